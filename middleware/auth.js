@@ -0,0 +1,156 @@
+const jwt = require('jsonwebtoken');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { DEFAULT_ROLES, hasPermission } = require('../utils/permissions');
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+if (!ACCESS_TOKEN_SECRET) {
+  throw new Error('❌ JWT_SECRET not found in environment');
+}
+
+/**
+ * Claims embedded in every token issued for a user.
+ */
+function tokenPayload(user) {
+  return {
+    id: String(user._id),
+    email: user.email,
+    name: user.name || '',
+    role: user.role,
+  };
+}
+
+/**
+ * Sign a short-lived access token sent as `Authorization: Bearer <token>`.
+ */
+function signAccessToken(user) {
+  return jwt.sign({ ...tokenPayload(user), type: 'access' }, ACCESS_TOKEN_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * Sign a long-lived refresh token used only against POST /api/auth/refresh.
+ */
+function signRefreshToken(user) {
+  return jwt.sign({ id: String(user._id), type: 'refresh' }, REFRESH_TOKEN_SECRET, {
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * True if the token was issued before the user's last password change (and is revoked).
+ */
+function issuedBeforePasswordChange(claims, user) {
+  return Boolean(user.passwordChangedAt && claims.iat < Math.floor(user.passwordChangedAt.getTime() / 1000));
+}
+
+/**
+ * Verify a refresh token and return its claims. Throws on invalid/expired tokens.
+ */
+function verifyRefreshToken(token) {
+  const claims = jwt.verify(token, REFRESH_TOKEN_SECRET);
+  if (claims.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return claims;
+}
+
+// 🔐 Reject requests without a valid access token; exposes the user as req.user,
+// with the role as stored now so a changed role applies to tokens already issued
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, ACCESS_TOKEN_SECRET);
+  } catch (err) {
+    const message = err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return res.status(401).json({ success: false, message });
+  }
+
+  let user;
+  try {
+    if (claims.type !== 'access') {
+      return res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+
+    // Tokens of deleted users, or issued before the last password change, are revoked
+    user = await User.findById(claims.id, 'passwordChangedAt role').lean();
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+    if (issuedBeforePasswordChange(claims, user)) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+    }
+  } catch (err) {
+    console.error('Token user lookup error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+
+  req.user = {
+    id: claims.id,
+    email: claims.email,
+    name: claims.name,
+    role: user.role,
+  };
+  next();
+}
+
+/**
+ * Load the permissions granted to a role, falling back to the built-in defaults.
+ */
+async function getRolePermissions(roleName) {
+  const role = await Role.findOne({ name: roleName }).lean();
+  if (role) return role.permissions || [];
+  return DEFAULT_ROLES[roleName]?.permissions || [];
+}
+
+/**
+ * Manual discount limit (percent of the bill) for a role, falling back to the
+ * built-in default. Null means no limit.
+ */
+async function getRoleDiscountLimit(roleName) {
+  const role = await Role.findOne({ name: roleName }).lean();
+  return role?.maxDiscountPercent ?? DEFAULT_ROLES[roleName]?.maxDiscountPercent ?? null;
+}
+
+// 🛡️ Allow the request only if the user's role grants the named permission
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    try {
+      req.permissions = req.permissions || await getRolePermissions(req.user.role);
+      if (!hasPermission(req.permissions, permission)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+      }
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  getRoleDiscountLimit,
+  getRolePermissions,
+  issuedBeforePasswordChange,
+  requirePermission,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+};
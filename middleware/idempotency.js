@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Hash of the parts of a request that must match for a key to be replayed.
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+    .digest('hex');
+}
+
+// 🔁 Replay the stored response when a client retries with the same Idempotency-Key header
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const requestHash = hashRequest(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      userId: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error('Idempotency key error:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne({ key, userId: req.user.id });
+      if (!existing) {
+        return res.status(409).json({ success: false, message: 'Idempotency-Key conflict, please retry' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ success: false, message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    } catch (lookupErr) {
+      console.error('Idempotency lookup error:', lookupErr);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+
+  // Store the response before sending it so a retry never sees a half-finished key;
+  // server errors release the key so the client can retry
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ key, userId: req.user.id })
+      : IdempotencyKey.updateOne(
+          { key, userId: req.user.id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+
+    save
+      .catch(err => console.error('Idempotency save error:', err))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  next();
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,32 @@
+const Shift = require('../models/Shift');
+
+const REQUIRE_OPEN_SHIFT = process.env.REQUIRE_OPEN_SHIFT === 'true';
+
+// 🕒 Load the authenticated user's open shift as req.shift (and require one if configured)
+async function attachShift(req, res, next) {
+  try {
+    req.shift = await Shift.findOpenForUser(req.user.id);
+
+    if (!req.shift && REQUIRE_OPEN_SHIFT) {
+      return res.status(400).json({ success: false, message: 'Open a shift before recording sales or payments' });
+    }
+    next();
+  } catch (err) {
+    console.error('Shift lookup error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+/**
+ * Fields identifying who recorded a document and in which shift.
+ */
+function shiftAttribution(req) {
+  return {
+    userId: req.user.id,
+    name: req.user.name || req.user.email,
+    shiftId: req.shift ? req.shift._id : undefined,
+    terminalId: req.shift ? req.shift.terminalId : undefined,
+  };
+}
+
+module.exports = { attachShift, shiftAttribution };
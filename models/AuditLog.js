@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  entity: { type: String, required: true, trim: true }, // model name, e.g. "Order"
+  entityId: { type: String, trim: true },
+  action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+  user: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    email: String,
+    role: String,
+  },
+  method: String,
+  route: String,
+  ip: String,
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  changes: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+  note: String,
+  createdAt: { type: Date, default: Date.now },
+}, { minimize: false });
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'user.userId': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Advance booking: the customer pays part of the price now, optionally locks
+// today's metal rate and reserves pieces, and collects them later on an order
+const bookingSchema = new mongoose.Schema({
+  bookingNumber: { type: String, required: true, unique: true }, // BKG/2025/0001
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+  },
+  // Pieces held for the customer; reserved pieces are out of stock until released
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    sku: String,
+    name: String,
+    metal: String,
+    purity: String,
+    metalWeight: Number,
+    priceAtBooking: Number,
+    reserved: { type: Boolean, default: false },
+    releasedAt: Date,
+  }],
+  description: { type: String, trim: true, default: '' }, // for custom orders with no SKU yet
+  // Metal rate locked from Rate at booking time
+  rateLock: {
+    metal: String,
+    purity: String,
+    ratePerGram: Number,
+    lockedAt: Date,
+    lockedUntil: Date,
+  },
+  // Advance instalments collected against the booking
+  payments: [{
+    method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Bank Transfer'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    reference: String,
+    date: String,
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      name: String,
+    },
+    shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  }],
+  advanceAmount: { type: Number, default: 0 }, // sum of payments
+  expiresAt: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['Active', 'Converted', 'Expired', 'Cancelled'],
+    default: 'Active'
+  },
+  // Final order the booking was converted into
+  conversion: {
+    orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderId: String,
+    invoiceNumber: String,
+    appliedAdvance: Number,
+    walletCredit: Number,
+    convertedAt: Date,
+  },
+  // What happened to the advance when the booking expired or was cancelled
+  settlement: {
+    policy: { type: String, enum: ['refund', 'forfeit', 'store_credit'] },
+    forfeitedAmount: Number,
+    refundableAmount: Number,
+    refundStatus: { type: String, enum: ['none', 'pending', 'paid'] },
+    refundMethod: { type: String, enum: ['cash', 'upi', 'bank', 'store_credit'] },
+    reference: String,
+    walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+    date: String,
+    settledAt: Date,
+    refundedAt: Date,
+    shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+    notes: String,
+  },
+  notes: { type: String, trim: true, default: '' },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  terminalId: String,
+}, { timestamps: true });
+
+bookingSchema.index({ status: 1, expiresAt: 1 });
+bookingSchema.index({ 'customer.phone': 1 });
+bookingSchema.index({ 'payments.shiftId': 1 });
+bookingSchema.index({ 'payments.date': 1 });
+bookingSchema.index({ 'settlement.shiftId': 1 });
+
+module.exports = mongoose.model('Booking', bookingSchema);
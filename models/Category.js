@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   description: { type: String },
+  hsnCode: { type: String, trim: true }, // GST HSN code printed on invoices; falls back to the gst setting
   productCount: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
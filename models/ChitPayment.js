@@ -68,6 +68,14 @@ const chitPaymentSchema = new mongoose.Schema({
     trim: true,
     default: 'Admin'
   },
+  collectedById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  shiftId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Shift' 
+  },
   
   // Payment status tracking
   paymentStatus: {
@@ -90,6 +98,8 @@ const chitPaymentSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+chitPaymentSchema.index({ shiftId: 1 });
+
 // Virtuals - UPDATED to remove lateFee and discount
 chitPaymentSchema.virtual('totalAmount').get(function() {
   return this.amount; // Simplified, no more lateFee and discount
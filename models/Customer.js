@@ -29,6 +29,12 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Store credit; changed only through utils/wallet.js so every change has a WalletTransaction
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A closed business day. Orders dated on a closed day can only be edited with an override.
+const dayCloseSchema = new mongoose.Schema({
+  date: { type: String, required: true, unique: true, trim: true }, // YYYY-MM-DD, matches Order.date
+  summary: { type: mongoose.Schema.Types.Mixed }, // daily summary at the time of closing
+  notes: { type: String, trim: true, default: '' },
+  closedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  closedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('DayClose', dayCloseSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Bill parked at the counter while the customer decides. Takes no ORD/INV numbers;
+// the parked quantities are soft-held (Product.holds) until `heldUntil`.
+const draftOrderSchema = new mongoose.Schema({
+  label: { type: String, trim: true, default: '' }, // e.g. customer name, shown in the parked list
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+    gstNumber: String,
+  },
+  items: [{
+    _id: false,
+    sku: { type: String, required: true },
+    name: String,
+    qty: { type: Number, default: 1 },
+    price: Number,
+  }],
+  // Rest of the POST /api/orders payload as entered so far (discount, payments, ...)
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['Parked', 'Finalized', 'Discarded'],
+    default: 'Parked'
+  },
+  heldUntil: { type: Date, required: true },
+  finalized: {
+    orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderId: String,
+    invoiceNumber: String,
+    at: Date,
+  },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  terminalId: String,
+}, { timestamps: true });
+
+draftOrderSchema.index({ status: 1, 'items.sku': 1, heldUntil: 1 });
+draftOrderSchema.index({ terminalId: 1, status: 1 });
+draftOrderSchema.index({ 'createdBy.userId': 1, status: 1 });
+
+// Holds lapse on their own once `heldUntil` passes; the draft itself can still be resumed
+draftOrderSchema.virtual('holdActive').get(function() {
+  return this.status === 'Parked' && this.heldUntil > new Date();
+});
+
+draftOrderSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('DraftOrder', draftOrderSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true }, // detects a key reused with a different body
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+
+  // Stored once the original request finishes, replayed for repeats
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+
+  createdAt: { type: Date, default: Date.now, expires: IDEMPOTENCY_TTL_HOURS * 60 * 60 },
+});
+
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
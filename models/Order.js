@@ -27,12 +27,27 @@ const orderSchema = new mongoose.Schema({
       makingCharges: { type: Number, default: 0 },
       wastage: { type: Number, default: 0 },
       stonePrice: { type: Number, default: 0 },
+      hsnCode: String,
+      returnedQty: { type: Number, default: 0 },
+      // How the server priced the line (utils/pricing.js)
+      pricing: {
+        source: { type: String, enum: ['rate', 'catalogue', 'locked', 'quoted'] },
+        ratePerGram: Number,
+        weight: Number,
+        metalValue: Number,
+        wastagePercent: Number,
+        wastageValue: Number,
+        makingCharges: Number,
+        stonePrice: Number,
+        expectedPrice: Number,
+        variance: Number, // billed unit price minus expectedPrice
+      },
     },
   ],
   paymentMethods: [{
     method: { 
       type: String, 
-      enum: ['Cash', 'Card', 'UPI', 'Bank Transfer', 'Gold Exchange', 'Chit Settlement'],
+      enum: ['Cash', 'Card', 'UPI', 'Bank Transfer', 'Gold Exchange', 'Chit Settlement', 'Exchange Credit', 'Store Credit', 'Booking Advance'],
       required: true 
     },
     amount: { 
@@ -56,11 +71,69 @@ const orderSchema = new mongoose.Schema({
       currentGoldRate: Number,
       goldValue: Number,
       extraAmount: Number,
+    },
+    // Credit from pieces returned in the same exchange (routes/exchanges.js)
+    exchangeCredit: {
+      returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+      creditNoteNumber: String,
+      originalInvoiceNumber: String,
+      weight: Number,
+      grossValue: Number,
+      deduction: Number,
+      credit: Number,
+    },
+    // Customer wallet debited for a Store Credit payment
+    storeCredit: {
+      customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+      transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+      balanceAfter: Number,
+    },
+    // Advance collected on the booking this order fulfils (routes/bookings.js)
+    bookingAdvance: {
+      bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+      bookingNumber: String,
+      rateLocked: Boolean,
+    }
+  }],
+  // Payments collected after billing against the balance due (credit sales)
+  collections: [{
+    method: {
+      type: String,
+      enum: ['Cash', 'Card', 'UPI', 'Bank Transfer', 'Store Credit'],
+      required: true
+    },
+    amount: { type: Number, required: true, min: 0 },
+    reference: String,
+    notes: String,
+    date: String,
+    collectedAt: { type: Date, default: Date.now },
+    collectedBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      name: String,
+    },
+    shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+    storeCredit: {
+      customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+      transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+      balanceAfter: Number,
     }
   }],
   paymentMode: String,
   subtotal: Number,
-  discount: Number,
+  discount: Number, // manualDiscount + promotionDiscount
+  manualDiscount: Number, // entered at the counter, within the biller's role limit
+  promotionDiscount: Number,
+  // Promotions applied by the server when the order was billed (utils/promotions.js)
+  promotions: [{
+    _id: false,
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    name: String,
+    code: String,
+    type: { type: String },
+    value: Number,
+    amount: Number,
+    lines: [{ _id: false, sku: String, amount: Number }],
+  }],
   amountAfterDiscount: Number,
   advanceAmount: { type: Number, default: 0 }, // ADDED: Advance amount field
   extraCharges: Number,
@@ -69,6 +142,32 @@ const orderSchema = new mongoose.Schema({
   remainingWeightGST: Number,
   tax: Number,
   grandTotal: Number,
+  // Server-side GST calculation (utils/gst.js)
+  gst: {
+    supplyType: { type: String, enum: ['intra', 'inter'] },
+    placeOfSupply: String,
+    metalRate: Number,
+    makingRate: Number,
+    subtotal: Number,
+    discount: Number,
+    taxableValue: Number,
+    metalValue: Number,
+    makingValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    lines: [{
+      _id: false,
+      sku: String,
+      hsnCode: String,
+      makingHsnCode: String, // SAC the making charges are taxed under
+      metalValue: Number,
+      makingValue: Number,
+      metalTax: Number,
+      makingTax: Number,
+    }],
+  },
   date: String,
   time: String,
   // Chit settlement reference with weight reduction data
@@ -103,12 +202,60 @@ const orderSchema = new mongoose.Schema({
     originalGrandTotal: Number,
     adjustedGrandTotal: Number
   },
+  // Credit notes issued by returns against this invoice
+  creditNotes: [{
+    _id: false,
+    returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+    number: String,
+    taxableValue: Number,
+    totalTax: Number,
+    amount: Number,
+    issuedAt: Date,
+  }],
+  // Cancelled invoices stay on file (and printable) so the INV sequence has no gaps
+  status: { type: String, enum: ['active', 'cancelled'], default: 'active' },
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      name: String,
+    },
+    date: String, // business date of the cancellation; its refunds count on this day
+    shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+    // What was handed back: the billed payments and collections, in the same method,
+    // or as store credit for wallet-linked payments
+    refunds: [{
+      _id: false,
+      method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Bank Transfer', 'Store Credit'], required: true },
+      amount: { type: Number, required: true, min: 0 },
+      source: { type: String, enum: ['payment', 'collection'], required: true },
+      paidWith: String, // the billed method when it differs, e.g. "Booking Advance"
+      walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+    }],
+  },
+  revision: { type: Number, default: 0 }, // edits so far; earlier versions are in OrderRevision
+  // Staff member and shift that billed the order
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  terminalId: String,
   createdAt: { type: Date, default: Date.now },
 });
 
-// Virtual for total paid amount
+orderSchema.index({ shiftId: 1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ 'collections.date': 1 });
+orderSchema.index({ 'collections.shiftId': 1 });
+orderSchema.index({ 'cancellation.date': 1 });
+orderSchema.index({ 'cancellation.shiftId': 1 });
+
+// Virtual for total paid amount (at billing and collected since)
 orderSchema.virtual('totalPaid').get(function() {
-  return this.paymentMethods.reduce((total, payment) => total + payment.amount, 0);
+  const paidAtBilling = this.paymentMethods.reduce((total, payment) => total + payment.amount, 0);
+  return (this.collections || []).reduce((total, collection) => total + collection.amount, paidAtBilling);
 });
 
 // Virtual for balance after advance (due or change)
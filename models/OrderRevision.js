@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One entry per edit of an order: the order as it was before the edit, who
+// changed it, why, and the field-level changes
+const orderRevisionSchema = new mongoose.Schema({
+  orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  invoiceNumber: String,
+  revision: { type: Number, required: true }, // the order's revision after this edit (first edit = 1)
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // order before the edit
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+  reason: { type: String, required: true, trim: true },
+  dayCloseOverride: { type: Boolean, default: false }, // edited after the business day was closed
+  editedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+orderRevisionSchema.index({ orderRef: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('OrderRevision', orderRevisionSchema);
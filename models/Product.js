@@ -16,7 +16,17 @@ const productSchema = new mongoose.Schema({
   description: { type: String, default: '' },
   image: { type: String, default: '' }, // path like /uploads/...
   qrCode: { type: String, default: '' },
-  available: { type: Boolean, default: true },
+  stock: { type: Number, min: 0 }, // pieces on hand (1 for new products); change via utils/stock.js so movements are recorded
+  location: { type: String, trim: true, default: 'Showroom' },
+  bucket: { type: String, enum: ['sellable', 'melt', 'repair'], default: 'sellable' }, // returned pieces may go to melt/repair
+  available: { type: Boolean, default: true }, // derived from stock and bucket
+  // Quantities parked on bills (DraftOrder); other counters cannot sell them until heldUntil
+  holds: [{
+    _id: false,
+    draftId: { type: mongoose.Schema.Types.ObjectId, ref: 'DraftOrder' },
+    qty: Number,
+    heldUntil: Date,
+  }],
 }, { timestamps: true });
 
 // Calculate net weight before saving - FIXED: Store as Number, not String
@@ -31,6 +41,15 @@ productSchema.pre('save', function(next) {
   const metalWeight = parseFloat(this.weight || '0') || 0;
   const stoneWeight = parseFloat(this.stoneWeight || '0') || 0;
   this.netWeight = metalWeight + stoneWeight; // Store as Number
+
+  // Availability follows the quantity on hand and the bucket. Products created
+  // before stock tracking have no stock value and keep their stored availability.
+  if (this.isNew && (this.stock === undefined || this.stock === null)) {
+    this.stock = 1;
+  }
+  if (this.stock !== undefined && this.stock !== null) {
+    this.available = this.stock > 0 && (this.bucket || 'sellable') === 'sellable';
+  }
   
   next();
 });
@@ -38,6 +57,12 @@ productSchema.pre('save', function(next) {
 // Also calculate net weight before updating - FIXED: Store as Number, not String
 productSchema.pre('findOneAndUpdate', function(next) {
   const update = this.getUpdate();
+
+  // Only recompute when the update touches a weight; status/stock updates must not zero netWeight
+  const touchesWeight = ['weight', 'stoneWeight'].some(
+    field => field in update || (update.$set && field in update.$set)
+  );
+  if (!touchesWeight) return next();
   
   // Get metal and stone weight values
   let metalWeight = 0;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Offer evaluated by the server when an order is billed (utils/promotions.js)
+const promotionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // printed on the invoice, e.g. "Diwali silver offer"
+  description: { type: String, trim: true, default: '' },
+  // making_percent: % off making charges | wastage_percent: % off wastage value |
+  // per_gram: ₹ off per gram of metal | percent: % off the line | flat: ₹ off the order
+  type: {
+    type: String,
+    enum: ['making_percent', 'wastage_percent', 'per_gram', 'percent', 'flat'],
+    required: true,
+  },
+  value: { type: Number, required: true, min: 0 },
+  // Lines the offer covers; empty lists cover every metal / category
+  metals: [{ type: String, trim: true, lowercase: true }],
+  categories: [{ type: String, trim: true }],
+  minOrderValue: { type: Number, default: 0 }, // order subtotal needed before the offer applies
+  maxDiscount: { type: Number, min: 0 }, // cap on the discount per order
+  code: { type: String, trim: true, uppercase: true }, // coupon code; offers without one apply automatically
+  startsAt: Date,
+  endsAt: Date,
+  usageLimit: { type: Number, min: 0 }, // orders the offer can be used on; unlimited when unset
+  usedCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+}, { timestamps: true });
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+promotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+// Live means active, inside its date window and not used up
+promotionSchema.virtual('isLive').get(function() {
+  const now = new Date();
+  return this.active
+    && (!this.startsAt || this.startsAt <= now)
+    && (!this.endsAt || this.endsAt >= now)
+    && (this.usageLimit == null || this.usedCount < this.usageLimit);
+});
+
+promotionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
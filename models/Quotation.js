@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Price estimate given to a customer before buying; converts to an Order
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: { type: String, required: true, unique: true }, // QT/2025/0001
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+    gstNumber: String,
+  },
+  items: [
+    {
+      name: String,
+      price: Number, // unit price at the quoted rate
+      qty: Number,
+      sku: String,
+      category: String,
+      metal: String,
+      purity: String,
+      metalWeight: { type: Number, default: 0 },
+      stoneWeight: { type: Number, default: 0 },
+      netWeight: { type: Number, default: 0 },
+      makingCharges: { type: Number, default: 0 },
+      wastage: { type: Number, default: 0 },
+      stonePrice: { type: Number, default: 0 },
+      hsnCode: String,
+      ratePerGram: Number, // null when priced from the catalogue (no rate set)
+      // Quoted price breakdown, honoured on conversion within validity
+      pricing: {
+        source: { type: String, enum: ['rate', 'catalogue', 'locked', 'quoted'] },
+        ratePerGram: Number,
+        weight: Number,
+        metalValue: Number,
+        wastagePercent: Number,
+        wastageValue: Number,
+        makingCharges: Number,
+        stonePrice: Number,
+        expectedPrice: Number,
+        variance: Number, // billed unit price minus expectedPrice
+      },
+    },
+  ],
+  subtotal: Number,
+  discount: { type: Number, default: 0 },
+  amountAfterDiscount: Number,
+  extraCharges: { type: Number, default: 0 },
+  tax: Number,
+  grandTotal: Number,
+  gst: { type: mongoose.Schema.Types.Mixed }, // same breakdown as Order.gst
+  validUntil: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['Open', 'Converted', 'Cancelled'],
+    default: 'Open'
+  },
+  // Order the quotation was converted into
+  conversion: {
+    orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderId: String,
+    invoiceNumber: String,
+    repriced: Boolean, // true when the quote had lapsed and was billed at the day's rates
+    convertedAt: Date,
+  },
+  notes: { type: String, trim: true, default: '' },
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+}, { timestamps: true });
+
+quotationSchema.index({ 'customer.phone': 1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+
+// A quote past its validity is billed at the day's rates instead of the quoted prices
+quotationSchema.virtual('isExpired').get(function() {
+  return this.status === 'Open' && this.validUntil < new Date();
+});
+
+quotationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -2,28 +2,136 @@ const mongoose = require('mongoose');
 
 const returnSchema = new mongoose.Schema({
   orderId: { type: String, required: true },
+  orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
   invoiceNumber: String,
   customer: {
     name: String,
     phone: String,
     email: String,
+    gstNumber: String,
   },
   items: [
     {
+      lineId: { type: mongoose.Schema.Types.ObjectId }, // _id of the order line being returned
       name: String,
       price: Number,
       qty: Number,
       sku: String,
+      hsnCode: String,
+      metalWeight: Number,
+      metal: String,
+      purity: String,
+      taxableValue: Number,
+      tax: Number,
+      amount: Number,
+      bucket: { type: String, enum: ['sellable', 'melt', 'repair'] }, // where the piece went when restocked
     },
   ],
+  // Credit note issued against the original invoice (reverses the proportional GST)
+  creditNote: {
+    number: String,
+    issuedAt: Date,
+    supplyType: { type: String, enum: ['intra', 'inter'] },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    amount: Number,
+  },
+  // Set when the return was part of an exchange: credit by weight at the day's rate, and the new order
+  exchange: {
+    orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    orderId: String,
+    invoiceNumber: String,
+    weight: Number,
+    grossValue: Number,
+    deductionPercent: Number,
+    deduction: Number,
+    credit: Number,
+    appliedCredit: Number,
+    walletCredit: Number, // unused credit moved to the customer's store-credit wallet
+    refundDue: Number, // unused credit owed to a walk-in customer, paid through POST /api/returns/:id/refunds
+    lines: [{
+      _id: false,
+      sku: String,
+      metal: String,
+      purity: String,
+      weight: Number,
+      ratePerGram: Number,
+      value: Number,
+    }],
+  },
   grandTotal: Number,
   returnReason: String,
   returnType: String,
   returnWeight: Number, // Added returnWeight field
   returnDate: String,
   returnTime: String,
-  status: { type: String, default: 'Completed' },
+  // Requested -> Inspected -> Approved/Rejected -> Refunded (utils/returnHelper.js RETURN_TRANSITIONS);
+  // Pending and Completed are kept for returns recorded before the approval workflow
+  status: {
+    type: String,
+    enum: ['Requested', 'Inspected', 'Approved', 'Rejected', 'Refunded', 'Pending', 'Completed'],
+    default: 'Requested',
+  },
+  inspection: {
+    measuredWeight: Number,
+    weightDifference: Number, // measuredWeight - returnWeight
+    notes: String,
+    by: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    at: Date,
+  },
+  approval: {
+    notes: String,
+    by: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    at: Date,
+  },
+  rejection: {
+    reason: String,
+    by: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    at: Date,
+  },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    note: String,
+    by: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    at: { type: Date, default: Date.now },
+  }],
+  restocked: { type: Boolean, default: false },
+  restockedAt: Date,
+  // Worked out on the first refund from the "refundPolicy" setting
+  refundSummary: {
+    eligibleAmount: Number, // credit note amount
+    wastageDeduction: Number,
+    makingDeduction: Number,
+    otherDeduction: Number,
+    refundableAmount: Number,
+    refundedAmount: { type: Number, default: 0 },
+  },
+  refunds: [{
+    method: { type: String, enum: ['cash', 'upi', 'bank', 'store_credit', 'gold_credit'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    goldCredit: {
+      ratePerGram: Number,
+      weight: Number,
+    },
+    reference: String, // UPI / bank transaction id
+    walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' }, // store credit refunds
+    notes: String,
+    date: String, // business date, same format as Order.date, for the daily summary
+    refundedAt: { type: Date, default: Date.now },
+    refundedBy: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  }],
   createdAt: { type: Date, default: Date.now },
 });
 
+returnSchema.index({ orderRef: 1 });
+returnSchema.index({ 'refunds.date': 1 });
+returnSchema.index({ 'refunds.shiftId': 1 });
+returnSchema.index({ 'creditNote.number': 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Return', returnSchema);
\ No newline at end of file
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  description: { type: String, trim: true, default: '' },
+  permissions: [{ type: String, trim: true }],
+  maxDiscountPercent: { type: Number, min: 0, max: 100 }, // manual discount limit on bills; unset = built-in default or none
+  isSystem: { type: Boolean, default: false }, // built-in roles cannot be deleted
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', roleSchema);
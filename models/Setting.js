@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Shop-wide configuration stored as one document per key (e.g. "gst")
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+}, { timestamps: true, minimize: false });
+
+module.exports = mongoose.model('Setting', settingSchema);
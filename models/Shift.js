@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const shiftSchema = new mongoose.Schema({
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  userName: { 
+    type: String, 
+    trim: true 
+  },
+  terminalId: { 
+    type: String, 
+    required: true, 
+    trim: true 
+  },
+  status: { 
+    type: String, 
+    enum: ['open', 'closed'], 
+    default: 'open' 
+  },
+  openedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  closedAt: { 
+    type: Date 
+  },
+  openingCash: { 
+    type: Number, 
+    default: 0, 
+    min: 0 
+  },
+
+  // Filled in when the shift is closed
+  closingCash: { 
+    type: Number, 
+    min: 0 
+  },
+  expectedCash: { 
+    type: Number 
+  },
+  cashDifference: { 
+    type: Number 
+  },
+  closedBy: { 
+    type: String, 
+    trim: true 
+  },
+  notes: { 
+    type: String, 
+    trim: true 
+  }
+}, { timestamps: true });
+
+shiftSchema.index({ userId: 1, status: 1 });
+shiftSchema.index({ terminalId: 1, status: 1 });
+shiftSchema.index({ openedAt: -1 });
+// At most one open shift per user and per terminal, even when two opens race
+shiftSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ terminalId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+// Static methods
+shiftSchema.statics.findOpenForUser = function(userId) {
+  return this.findOne({ userId, status: 'open' });
+};
+
+shiftSchema.statics.findOpenForTerminal = function(terminalId) {
+  return this.findOne({ terminalId, status: 'open' });
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
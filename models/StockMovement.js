@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  sku: { type: String, required: true, trim: true },
+  type: {
+    type: String,
+    enum: ['sale', 'return', 'adjustment', 'transfer', 'reservation'],
+    required: true
+  },
+  quantity: { type: Number, required: true }, // signed change; transfers record the quantity moved
+  balanceAfter: { type: Number, required: true },
+  reason: { type: String, trim: true, default: '' },
+  fromLocation: { type: String, trim: true },
+  toLocation: { type: String, trim: true },
+  // Document that caused the movement, e.g. { kind: 'Order', id, number: 'INV/2025/0001' }
+  reference: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId,
+    number: String
+  },
+  user: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ sku: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.id': 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
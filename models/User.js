@@ -5,8 +5,35 @@ const userSchema = new mongoose.Schema({
   phone: { type: String },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'staff'], default: 'staff' },
+  role: { type: String, trim: true, lowercase: true, default: 'staff' }, // name of a Role (see utils/permissions.js for built-ins)
+
+  pin: { type: String }, // bcrypt hash of the counter quick-login PIN
+  pinUpdatedAt: { type: Date },
+
+  // Login protection
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: { type: Date, default: null },
+  passwordChangedAt: { type: Date },
+
   createdAt: { type: Date, default: Date.now }
 });
 
+userSchema.virtual('hasPin').get(function() {
+  return Boolean(this.pin);
+});
+
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Never expose credentials when a user is serialized into a response
+const hideSecrets = (doc, ret) => {
+  delete ret.password;
+  delete ret.pin;
+  return ret;
+};
+
+userSchema.set('toJSON', { virtuals: true, transform: hideSecrets });
+userSchema.set('toObject', { transform: hideSecrets });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a customer's store-credit balance
+const walletTransactionSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  type: { type: String, enum: ['credit', 'debit'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  balanceAfter: { type: Number, required: true },
+  source: {
+    type: String,
+    enum: ['refund', 'exchange', 'advance', 'booking', 'order', 'order_reversal', 'adjustment'],
+    required: true,
+  },
+  reference: {
+    kind: { type: String, enum: ['Order', 'Return', 'Booking'] },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    number: String, // invoice, credit note or booking number
+  },
+  notes: { type: String, trim: true },
+  // Advance deposits: how the money was paid in, and the business date and shift it counts in
+  method: { type: String, enum: ['Cash', 'Card', 'UPI', 'Bank Transfer'] },
+  date: String,
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  user: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+walletTransactionSchema.index({ customerId: 1, createdAt: -1 });
+walletTransactionSchema.index({ 'reference.id': 1 });
+walletTransactionSchema.index({ date: 1 });
+walletTransactionSchema.index({ shiftId: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
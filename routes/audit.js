@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { requirePermission } = require('../middleware/auth');
+
+// GET /api/audit - Filter by entity, entityId, user, action and date range
+router.get('/', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, entity, entityId, userId, action, startDate, endDate } = req.query;
+
+    let query = {};
+
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      query['user.userId'] = userId;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalLogs: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Audit log fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+// GET /api/audit/:id - Single audit entry with full before/after snapshots
+router.get('/:id', requirePermission('audit.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audit log ID'
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      log
+    });
+  } catch (err) {
+    console.error('Audit log fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,114 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Shift = require('../models/Shift');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES, findUnknownPermissions, hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const {
+  authenticate,
+  getRolePermissions,
+  issuedBeforePasswordChange,
+  requirePermission,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = require('../middleware/auth');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10);
+const MIN_PASSWORD_LENGTH = 6;
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const isValidPin = (pin) => typeof pin === 'string' && /^\d{4,6}$/.test(pin);
+
+// Count a failed attempt and lock the account once the limit is reached
+const registerFailedLogin = async (user) => {
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+  if (user.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    user.lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    user.failedLoginAttempts = 0;
+  }
+  await user.save();
+};
+
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockUntil) {
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+  }
+};
+
+const lockedResponse = (res, user) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+  return res.status(423).json({
+    success: false,
+    message: `Account locked after too many failed attempts. Try again in ${minutes} minute(s).`,
+  });
+};
+
+// Role names are valid if stored in MongoDB or built in
+const roleExists = async (name) => Boolean(DEFAULT_ROLES[name]) || Boolean(await Role.exists({ name }));
+
+// Only admins may act on admin accounts (password, PIN, email, role, lockout, deletion)
+const actsOnAdmin = (req, target) => target?.role === 'admin' && req.user.role !== 'admin';
+const adminOnlyResponse = (res) => res.status(403).json({ success: false, message: 'Only admins can change admin accounts' });
+
+// Discount limits are a percentage of the bill; null falls back to the built-in default
+const isValidDiscountLimit = (value) => value === null || (typeof value === 'number' && value >= 0 && value <= 100);
+
+// Registration is open only while no users exist (first admin); afterwards admins only
+const authorizeRegistration = async (req, res, next) => {
+  try {
+    const userCount = await User.estimatedDocumentCount();
+    if (userCount === 0) {
+      req.body.role = 'admin';
+      return next();
+    }
+    authenticate(req, res, () => requirePermission('users.manage')(req, res, next));
+  } catch (err) {
+    console.error('Registration auth error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
 // 🔐 Login
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
   try {
     const user = await User.findOne({ email });
-    if (!user || !(await bcrypt.compare(password, user.password))) {
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (user.isLocked) {
+      return lockedResponse(res, user);
+    }
+
+    if (!(await bcrypt.compare(password || '', user.password))) {
+      await registerFailedLogin(user);
+      if (user.isLocked) return lockedResponse(res, user);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
+    await clearFailedLogins(user);
+
     res.json({
       success: true,
       message: 'Login successful',
-      user: { email: user.email, role: user.role },
+      accessToken: signAccessToken(user),
+      refreshToken: signRefreshToken(user),
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      permissions: await getRolePermissions(user.role),
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -23,8 +116,101 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// 🔢 Quick PIN login for counter staff
+router.post('/pin-login', async (req, res) => {
+  const { userId, email, pin, terminalId } = req.body;
+  try {
+    if ((!userId && !email) || !pin) {
+      return res.status(400).json({ success: false, message: 'User and PIN are required' });
+    }
+
+    const user = userId && mongoose.Types.ObjectId.isValid(userId)
+      ? await User.findById(userId)
+      : await User.findOne({ email });
+    if (!user || !user.pin) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    if (user.isLocked) {
+      return lockedResponse(res, user);
+    }
+
+    if (!(await bcrypt.compare(String(pin), user.pin))) {
+      await registerFailedLogin(user);
+      if (user.isLocked) return lockedResponse(res, user);
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    await clearFailedLogins(user);
+
+    // Hand back the open shift so the counter can resume it
+    const shift = await Shift.findOpenForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      accessToken: signAccessToken(user),
+      refreshToken: signRefreshToken(user),
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      permissions: await getRolePermissions(user.role),
+      shift,
+      terminalMismatch: Boolean(shift && terminalId && shift.terminalId !== terminalId),
+    });
+  } catch (err) {
+    console.error('PIN login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🔄 Refresh access token
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+
+  try {
+    const claims = verifyRefreshToken(refreshToken);
+    const user = await User.findById(claims.id);
+    if (!user || user.isLocked) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    // Tokens issued before the last password change are revoked
+    if (issuedBeforePasswordChange(claims, user)) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+    }
+
+    res.json({
+      success: true,
+      accessToken: signAccessToken(user),
+      refreshToken: signRefreshToken(user),
+    });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+    console.error('Token refresh error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 👤 Current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id, 'name phone email role');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, user, permissions: await getRolePermissions(user.role) });
+  } catch (err) {
+    console.error('Current user fetch error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // 🆕 Register
-router.post('/register', async (req, res) => {
+router.post('/register', authorizeRegistration, async (req, res) => {
   const { email, password, role, name, phone } = req.body;
   try {
     const existing = await User.findOne({ email });
@@ -32,9 +218,24 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ success: false, message: 'User already exists' });
     }
 
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    if (role && !(await roleExists(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+
+    // Only admins may create other admins
+    if (role === 'admin' && req.user && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can assign the admin role' });
+    }
+
     const hashed = await bcrypt.hash(password, 10);
-    const newUser = new User({ email, password: hashed, role, name, phone });
+    const newUser = new User({ email, password: hashed, role, name, phone, passwordChangedAt: new Date() });
     await newUser.save();
+    await recordAudit(req, { entity: 'User', action: 'create', after: newUser });
 
     res.json({ success: true, message: 'User registered successfully', user: newUser });
   } catch (err) {
@@ -44,9 +245,10 @@ router.post('/register', async (req, res) => {
 });
 
 // 📋 Get All Users
-router.get('/users', async (req, res) => {
+router.get('/users', authenticate, requirePermission('users.manage'), async (req, res) => {
   try {
-    const users = await User.find({}, 'name phone email role');
+    // `pin` is selected only for the hasPin virtual; toJSON never sends the hash
+    const users = await User.find({}, 'name phone email role pin failedLoginAttempts lockUntil');
     res.json({ success: true, users });
   } catch (err) {
     console.error('User fetch error:', err);
@@ -54,21 +256,199 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// ✏️ Update User
-router.put('/users/:id', async (req, res) => {
+// ✏️ Update User (profile fields for self; role changes need users.manage)
+router.put('/users/:id', authenticate, async (req, res) => {
   try {
-    const updated = await User.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const isSelf = req.user.id === req.params.id;
+    const canManage = hasPermission(await getRolePermissions(req.user.role), 'users.manage');
+    if (!isSelf && !canManage) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    const { name, phone, email, role } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (phone !== undefined) updates.phone = phone;
+    if (email !== undefined) updates.email = email;
+
+    if (role !== undefined) {
+      if (!canManage) {
+        return res.status(403).json({ success: false, message: 'You cannot change your own role' });
+      }
+      if (!(await roleExists(role))) {
+        return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+      }
+      if (role === 'admin' && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Only admins can assign the admin role' });
+      }
+      updates.role = role;
+    }
+
+    const before = await User.findById(req.params.id);
+    if (actsOnAdmin(req, before)) {
+      return adminOnlyResponse(res);
+    }
+
+    const updated = before && await User.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await recordAudit(req, { entity: 'User', action: 'update', before, after: updated });
+
     res.json({ success: true, message: 'User updated', user: updated });
   } catch (err) {
     console.error('Update error:', err);
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Email already in use' });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🔑 Change own password
+router.post('/change-password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword || '', user.password))) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    const before = user.toObject();
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await recordAudit(req, { entity: 'User', action: 'update', before, after: user, note: 'Password changed' });
+
+    res.json({
+      success: true,
+      message: 'Password changed',
+      accessToken: signAccessToken(user),
+      refreshToken: signRefreshToken(user),
+    });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🔢 Set quick-login PIN (own PIN, or any user's with users.manage)
+router.put('/users/:id/pin', authenticate, async (req, res) => {
+  const { pin } = req.body;
+  try {
+    const isSelf = req.user.id === req.params.id;
+    const canManage = hasPermission(await getRolePermissions(req.user.role), 'users.manage');
+    if (!isSelf && !canManage) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    if (!isValidPin(pin)) {
+      return res.status(400).json({ success: false, message: 'PIN must be 4 to 6 digits' });
+    }
+
+    const before = await User.findById(req.params.id);
+    if (actsOnAdmin(req, before)) {
+      return adminOnlyResponse(res);
+    }
+
+    const user = before && await User.findByIdAndUpdate(
+      req.params.id,
+      { pin: await bcrypt.hash(pin, 10), pinUpdatedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await recordAudit(req, { entity: 'User', action: 'update', before, after: user, note: 'PIN changed' });
+
+    res.json({ success: true, message: 'PIN updated', user });
+  } catch (err) {
+    console.error('PIN update error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🔁 Admin password reset (also clears any lockout)
+router.post('/users/:id/reset-password', authenticate, requirePermission('users.manage'), async (req, res) => {
+  const { newPassword } = req.body;
+  try {
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (actsOnAdmin(req, user)) {
+      return adminOnlyResponse(res);
+    }
+
+    const before = user.toObject();
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    await recordAudit(req, { entity: 'User', action: 'update', before, after: user, note: 'Password reset' });
+
+    res.json({ success: true, message: 'Password reset', user });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🔓 Unlock User
+router.post('/users/:id/unlock', authenticate, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const before = await User.findById(req.params.id);
+    if (actsOnAdmin(req, before)) {
+      return adminOnlyResponse(res);
+    }
+
+    const user = before && await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, lockUntil: null },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await recordAudit(req, { entity: 'User', action: 'update', before, after: user, note: 'Unlocked' });
+
+    res.json({ success: true, message: 'User unlocked', user });
+  } catch (err) {
+    console.error('Unlock error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // ❌ Delete User
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', authenticate, requirePermission('users.manage'), async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.params.id);
+    const target = await User.findById(req.params.id);
+    if (actsOnAdmin(req, target)) {
+      return adminOnlyResponse(res);
+    }
+
+    const deleted = target && await User.findByIdAndDelete(req.params.id);
+    if (deleted) {
+      await recordAudit(req, { entity: 'User', action: 'delete', before: deleted });
+    }
     res.json({ success: true, message: 'User deleted' });
   } catch (err) {
     console.error('Delete error:', err);
@@ -76,4 +456,153 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// 🗝️ List available permissions
+router.get('/permissions', authenticate, requirePermission('roles.manage'), (req, res) => {
+  res.json({ success: true, permissions: PERMISSIONS });
+});
+
+// 📋 Get All Roles (stored roles plus built-in defaults not yet saved)
+router.get('/roles', authenticate, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+    const stored = new Set(roles.map(r => r.name));
+    const defaults = Object.entries(DEFAULT_ROLES)
+      .filter(([name]) => !stored.has(name))
+      .map(([name, def]) => ({ name, ...def, isSystem: true }));
+
+    res.json({ success: true, roles: [...defaults, ...roles] });
+  } catch (err) {
+    console.error('Roles fetch error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 🆕 Create Role
+router.post('/roles', authenticate, requirePermission('roles.manage'), async (req, res) => {
+  const { name, description, permissions = [], maxDiscountPercent = null } = req.body;
+  try {
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'Role name is required' });
+    }
+
+    const normalizedName = String(name).trim().toLowerCase();
+    if (await roleExists(normalizedName)) {
+      return res.status(400).json({ success: false, message: 'Role already exists' });
+    }
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length) {
+      return res.status(400).json({ success: false, message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    if (permissions.includes(ALL_PERMISSIONS) && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can grant full access' });
+    }
+
+    if (!isValidDiscountLimit(maxDiscountPercent)) {
+      return res.status(400).json({ success: false, message: 'Discount limit must be between 0 and 100 percent' });
+    }
+
+    const role = new Role({ name: normalizedName, description, permissions, maxDiscountPercent });
+    await role.save();
+    await recordAudit(req, { entity: 'Role', action: 'create', after: role });
+
+    res.json({ success: true, message: 'Role created', role });
+  } catch (err) {
+    console.error('Role create error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ✏️ Update Role permissions and discount limit (built-in roles are saved on first edit)
+router.put('/roles/:name', authenticate, requirePermission('roles.manage'), async (req, res) => {
+  const { description, permissions, maxDiscountPercent } = req.body;
+  const name = req.params.name.toLowerCase();
+  try {
+    if (name === 'admin') {
+      return res.status(400).json({ success: false, message: 'The admin role cannot be modified' });
+    }
+
+    if (!(await roleExists(name))) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ success: false, message: 'Permissions must be an array' });
+      }
+      const unknown = findUnknownPermissions(permissions);
+      if (unknown.length) {
+        return res.status(400).json({ success: false, message: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+      if (permissions.includes(ALL_PERMISSIONS) && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Only admins can grant full access' });
+      }
+    }
+
+    if (maxDiscountPercent !== undefined && !isValidDiscountLimit(maxDiscountPercent)) {
+      return res.status(400).json({ success: false, message: 'Discount limit must be between 0 and 100 percent' });
+    }
+
+    const defaults = DEFAULT_ROLES[name];
+    const update = {};
+    if (description !== undefined) update.description = description;
+    if (permissions !== undefined) update.permissions = permissions;
+    if (maxDiscountPercent !== undefined) update.maxDiscountPercent = maxDiscountPercent;
+
+    const before = await Role.findOne({ name });
+    const role = await Role.findOneAndUpdate(
+      { name },
+      {
+        $set: update,
+        $setOnInsert: {
+          isSystem: Boolean(defaults),
+          ...(defaults && description === undefined ? { description: defaults.description } : {}),
+          ...(defaults && permissions === undefined ? { permissions: defaults.permissions } : {}),
+        },
+      },
+      { new: true, upsert: true }
+    );
+
+    await recordAudit(req, {
+      entity: 'Role',
+      action: 'update',
+      before: before || { name, ...defaults },
+      after: role,
+    });
+
+    res.json({ success: true, message: 'Role updated', role });
+  } catch (err) {
+    console.error('Role update error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ❌ Delete Role
+router.delete('/roles/:name', authenticate, requirePermission('roles.manage'), async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  try {
+    if (DEFAULT_ROLES[name]) {
+      return res.status(400).json({ success: false, message: 'Built-in roles cannot be deleted' });
+    }
+
+    const assigned = await User.countDocuments({ role: name });
+    if (assigned > 0) {
+      return res.status(400).json({ success: false, message: `Role is assigned to ${assigned} user(s)` });
+    }
+
+    const deleted = await Role.findOneAndDelete({ name });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    await recordAudit(req, { entity: 'Role', action: 'delete', before: deleted });
+
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (err) {
+    console.error('Role delete error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,556 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Product = require('../models/Product');
+const { getRoleDiscountLimit, requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const { getSetting } = require('../utils/settings');
+const {
+  addAdvancePayment,
+  closeBooking,
+  convertBooking,
+  createBooking,
+  lockedPricingFor,
+  recordBookingRefund
+} = require('../utils/bookingHelper');
+
+const ADVANCE_METHODS = ['Cash', 'Card', 'UPI', 'Bank Transfer'];
+const EXPIRY_POLICIES = ['refund', 'forfeit', 'store_credit'];
+const REFUND_METHODS = ['cash', 'upi', 'bank', 'store_credit'];
+
+// Helper: check an advance instalment from the request body
+const validateAdvance = (advance) => {
+  if (!advance || !ADVANCE_METHODS.includes(advance.method)) {
+    return `Advance payment method must be one of ${ADVANCE_METHODS.join(', ')}`;
+  }
+  if (typeof advance.amount !== 'number' || advance.amount <= 0) {
+    return 'Advance amount must be a positive number';
+  }
+  return null;
+};
+
+// POST /api/bookings - Take an advance, reserve pieces and optionally lock today's rate
+//
+// Body: {
+//   customerId?, customer: { name, phone, email },
+//   skus?: ['SKU1'], description?,
+//   advance: { method, amount, reference? },
+//   lockRate?: true, rateLockDays?, rateLock?: { metal, purity },
+//   validityDays?, notes?
+// }
+router.post('/', requirePermission('bookings.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { customer, skus = [], description, advance } = req.body;
+
+    if (!customer?.name || !customer?.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer name and phone are required'
+      });
+    }
+
+    if (!Array.isArray(skus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'SKUs must be an array'
+      });
+    }
+
+    if (skus.length === 0 && !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reserve at least one SKU or describe the piece being booked'
+      });
+    }
+
+    const advanceError = validateAdvance(advance);
+    if (advanceError) {
+      return res.status(400).json({ success: false, message: advanceError });
+    }
+
+    const config = await getSetting('booking');
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await createBooking(req.body, config, shiftAttribution(req), session);
+    });
+
+    await recordAudit(req, { entity: 'Booking', action: 'create', after: booking });
+
+    res.status(201).json({
+      success: true,
+      booking,
+      message: `Booking ${booking.bookingNumber} created with an advance of ₹${booking.advanceAmount.toLocaleString()}`
+    });
+  } catch (err) {
+    console.error('Booking create error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating booking'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// GET /api/bookings - List bookings, filtered by status, customer phone or number
+router.get('/', requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, phone, q } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (phone) query['customer.phone'] = phone;
+    if (q) {
+      const searchRegex = { $regex: q, $options: 'i' };
+      query.$or = [
+        { bookingNumber: searchRegex },
+        { 'customer.name': searchRegex },
+        { 'items.sku': searchRegex }
+      ];
+    }
+
+    const bookings = await Booking.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      success: true,
+      bookings,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalBookings: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Bookings fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bookings'
+    });
+  }
+});
+
+// POST /api/bookings/expire - Close every active booking past its expiry date under the expiry policy
+router.post('/expire', requirePermission('bookings.manage'), async (req, res) => {
+  try {
+    const config = await getSetting('booking');
+    const overdue = await Booking.find({ status: 'Active', expiresAt: { $lt: new Date() } }).select('_id');
+    const by = { userId: req.user.id, name: req.user.name || req.user.email };
+    const expired = [];
+    const failed = [];
+
+    // One transaction per booking so a single bad record does not block the rest
+    for (const { _id } of overdue) {
+      const session = await mongoose.startSession();
+      try {
+        let before;
+        let booking;
+        await session.withTransaction(async () => {
+          booking = await Booking.findById(_id).session(session);
+          if (booking.status !== 'Active') return;
+          before = booking.toObject();
+          await closeBooking(booking, {
+            status: 'Expired',
+            policy: config.expiryPolicy,
+            forfeitPercent: config.forfeitPercent,
+            notes: 'Expired',
+            by
+          }, session);
+          await booking.save({ session });
+        });
+
+        if (before) {
+          await recordAudit(req, { entity: 'Booking', action: 'update', before, after: booking, note: 'Booking expired' });
+          expired.push(booking.bookingNumber);
+        }
+      } catch (err) {
+        console.error('Booking expiry error:', err);
+        failed.push({ id: _id, message: err.message });
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    res.json({
+      success: true,
+      expired,
+      failed,
+      message: `${expired.length} booking(s) expired`
+    });
+  } catch (err) {
+    console.error('Booking expiry run error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while expiring bookings'
+    });
+  }
+});
+
+// GET /api/bookings/:id - Booking with current prices of reserved pieces at the locked rate
+router.get('/:id', requirePermission('bookings.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const lockedPrices = {};
+    if (booking.status === 'Active') {
+      const products = await Product.find({ _id: { $in: booking.items.map(item => item.productId) } });
+      products.forEach(product => {
+        const locked = lockedPricingFor(booking, product);
+        if (locked) lockedPrices[product.sku] = locked.total;
+      });
+    }
+
+    res.json({
+      success: true,
+      booking,
+      lockedPrices
+    });
+  } catch (err) {
+    console.error('Booking fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking'
+    });
+  }
+});
+
+// POST /api/bookings/:id/payments - Collect a further advance instalment
+router.post('/:id/payments', requirePermission('bookings.create'), attachShift, idempotency, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const advanceError = validateAdvance(req.body);
+    if (advanceError) {
+      return res.status(400).json({ success: false, message: advanceError });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'Active') {
+      return res.status(400).json({
+        success: false,
+        message: `Advances can only be taken on active bookings (this one is ${booking.status})`
+      });
+    }
+
+    const before = booking.toObject();
+    const payment = addAdvancePayment(booking, req.body, shiftAttribution(req));
+    await booking.save();
+
+    await recordAudit(req, {
+      entity: 'Booking',
+      action: 'update',
+      before,
+      after: booking,
+      note: `Advance of ₹${payment.amount} by ${payment.method}`
+    });
+
+    res.status(201).json({
+      success: true,
+      payment,
+      booking
+    });
+  } catch (err) {
+    console.error('Booking payment error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording advance'
+    });
+  }
+});
+
+// POST /api/bookings/:id/convert - Bill the booking as a final order with the advance applied
+//
+// Body: same payload as POST /api/orders. Lines in the locked metal are re-priced
+// at the locked rate, so totals must be worked out from those prices.
+router.post('/:id/convert', requirePermission('bookings.create'), requirePermission('orders.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must contain at least one item'
+      });
+    }
+
+    const before = await Booking.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const maxDiscountPercent = await getRoleDiscountLimit(req.user.role);
+    let result;
+
+    // Releasing the reservation, the sale and the advance commit together
+    await session.withTransaction(async () => {
+      const booking = await Booking.findById(req.params.id).session(session);
+      result = await convertBooking(booking, req.body, shiftAttribution(req), session, { maxDiscountPercent });
+      await booking.save({ session });
+    });
+
+    const { booking, order, appliedAdvance, walletCredit, excessAdvance } = result;
+    await recordAudit(req, { entity: 'Order', action: 'create', after: order, note: `Converted from ${booking.bookingNumber}` });
+    await recordAudit(req, {
+      entity: 'Booking',
+      action: 'update',
+      before,
+      after: booking,
+      note: `Converted to ${order.invoiceNumber}`
+    });
+
+    res.status(201).json({
+      success: true,
+      booking,
+      order,
+      appliedAdvance,
+      excessAdvance,
+      walletCredit,
+      message: `Booking ${booking.bookingNumber} converted to ${order.invoiceNumber}. Advance of ₹${appliedAdvance.toLocaleString()} applied`
+    });
+  } catch (err) {
+    console.error('Booking convert error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while converting booking'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// POST /api/bookings/:id/cancel - Cancel at the customer's request, releasing pieces and settling the advance
+router.post('/:id/cancel', requirePermission('bookings.manage'), async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { policy, forfeitPercent, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    if (policy !== undefined && !EXPIRY_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Policy must be one of ${EXPIRY_POLICIES.join(', ')}`
+      });
+    }
+
+    if (forfeitPercent !== undefined && (typeof forfeitPercent !== 'number' || forfeitPercent < 0 || forfeitPercent > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forfeit percent must be between 0 and 100'
+      });
+    }
+
+    const before = await Booking.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Cancellations default to the expiry policy unless the manager overrides it
+    const config = await getSetting('booking');
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(req.params.id).session(session);
+      await closeBooking(booking, {
+        status: 'Cancelled',
+        policy: policy || config.expiryPolicy,
+        forfeitPercent: forfeitPercent ?? config.forfeitPercent,
+        notes,
+        by: { userId: req.user.id, name: req.user.name || req.user.email }
+      }, session);
+      await booking.save({ session });
+    });
+
+    await recordAudit(req, { entity: 'Booking', action: 'update', before, after: booking, note: 'Booking cancelled' });
+
+    res.json({
+      success: true,
+      booking,
+      message: `Booking ${booking.bookingNumber} cancelled`
+    });
+  } catch (err) {
+    console.error('Booking cancel error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling booking'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// POST /api/bookings/:id/refund - Pay back the refundable advance of an expired, cancelled or over-paid booking
+router.post('/:id/refund', requirePermission('bookings.manage'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { method, reference, notes, customerId } = req.body;
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund method must be one of ${REFUND_METHODS.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID'
+      });
+    }
+
+    const before = await Booking.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { userId, name, shiftId } = shiftAttribution(req);
+    let booking;
+
+    await session.withTransaction(async () => {
+      booking = await Booking.findById(req.params.id).session(session);
+      await recordBookingRefund(booking, { method, reference, notes, customerId }, { userId, name, shiftId }, session);
+      await booking.save({ session });
+    });
+
+    await recordAudit(req, {
+      entity: 'Booking',
+      action: 'update',
+      before,
+      after: booking,
+      note: `Advance refund of ₹${booking.settlement.refundableAmount} by ${method}`
+    });
+
+    res.status(201).json({
+      success: true,
+      settlement: booking.settlement,
+      booking
+    });
+  } catch (err) {
+    console.error('Booking refund error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording booking refund'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
 const Product = require('../models/Product'); // ✅ Import Product model
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
 
 // 📋 Get All Categories with Product Count
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('categories.view'), async (req, res) => {
   try {
     const categories = await Category.find();
 
@@ -30,16 +32,17 @@ router.get('/', async (req, res) => {
 });
 
 // 🆕 Create Category
-router.post('/', async (req, res) => {
-  const { name, description } = req.body;
+router.post('/', requirePermission('categories.manage'), async (req, res) => {
+  const { name, description, hsnCode } = req.body;
   try {
     const existing = await Category.findOne({ name });
     if (existing) {
       return res.status(400).json({ success: false, message: 'Category already exists' });
     }
 
-    const newCategory = new Category({ name, description });
+    const newCategory = new Category({ name, description, hsnCode });
     await newCategory.save();
+    await recordAudit(req, { entity: 'Category', action: 'create', after: newCategory });
 
     res.json({ success: true, category: newCategory });
   } catch (err) {
@@ -49,9 +52,13 @@ router.post('/', async (req, res) => {
 });
 
 // ✏️ Update Category
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('categories.manage'), async (req, res) => {
   try {
+    const before = await Category.findById(req.params.id);
     const updated = await Category.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    if (updated) {
+      await recordAudit(req, { entity: 'Category', action: 'update', before, after: updated });
+    }
     res.json({ success: true, category: updated });
   } catch (err) {
     console.error('Update error:', err);
@@ -60,9 +67,12 @@ router.put('/:id', async (req, res) => {
 });
 
 // ❌ Delete Category
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('categories.manage'), async (req, res) => {
   try {
-    await Category.findByIdAndDelete(req.params.id);
+    const deleted = await Category.findByIdAndDelete(req.params.id);
+    if (deleted) {
+      await recordAudit(req, { entity: 'Category', action: 'delete', before: deleted });
+    }
     res.json({ success: true, message: 'Category deleted' });
   } catch (err) {
     console.error('Delete error:', err);
@@ -4,9 +4,35 @@ const ChitPayment = require('../models/ChitPayment');
 const Chit = require('../models/Chit');
 const Customer = require('../models/Customer');
 const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const { getSetting } = require('../utils/settings');
+const { ESCPOS_WIDTHS, buildReceiptData, renderReceiptEscPos, renderReceiptPdf } = require('../utils/chitReceipt');
+
+// Helper: receipt data for a receipt number, or null if there is no such payment
+const loadReceiptData = async (receiptNumber) => {
+  const payment = await ChitPayment.findOne({ receiptNumber });
+  if (!payment) return null;
+
+  const chit = await Chit.findById(payment.chitId);
+
+  // Gold accumulated up to and including this installment, so reprints of older receipts stay correct
+  const [accumulated] = await ChitPayment.aggregate([
+    { $match: {
+      chitId: payment.chitId,
+      paymentStatus: 'completed',
+      installmentNumber: { $lte: payment.installmentNumber }
+    } },
+    { $group: { _id: null, grams: { $sum: '$goldDetails.goldWeight' } } }
+  ]);
+
+  return buildReceiptData(payment, chit, accumulated ? accumulated.grams : payment.goldDetails.goldWeight);
+};
 
 // GET payments for a specific chit
-router.get('/chit/:chitId', async (req, res) => {
+router.get('/chit/:chitId', requirePermission('chits.view'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
     
@@ -44,7 +70,7 @@ router.get('/chit/:chitId', async (req, res) => {
 });
 
 // Record a payment (direct access endpoint) - UPDATED
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('chits.payment'), attachShift, idempotency, async (req, res) => {
   try {
     const paymentData = req.body;
     
@@ -86,7 +112,8 @@ router.post('/', async (req, res) => {
       paymentData.receiptNumber = `CHIT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     }
     
-    // Prepare payment data with gold details
+    // Prepare payment data with gold details, attributed to the logged-in staff member and shift
+    const collector = shiftAttribution(req);
     const paymentRecord = {
       chitId: paymentData.chitId,
       chitNumber: chit.chitNumber || paymentData.chitNumber,
@@ -104,11 +131,14 @@ router.post('/', async (req, res) => {
         calculatedValue: paymentData.amount
       },
       notes: paymentData.notes || '',
-      collectedBy: paymentData.collectedBy || 'Admin'
+      collectedBy: collector.name,
+      collectedById: collector.userId,
+      shiftId: collector.shiftId
     };
     
     const payment = new ChitPayment(paymentRecord);
     await payment.save();
+    await recordAudit(req, { entity: 'ChitPayment', action: 'create', after: payment });
     
     res.json({ 
       success: true, 
@@ -142,7 +172,7 @@ router.post('/', async (req, res) => {
 });
 
 // GET payment statistics - UPDATED to remove lateFee and discount
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('chits.view'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -204,7 +234,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET payments by customer
-router.get('/customer/:customerId', async (req, res) => {
+router.get('/customer/:customerId', requirePermission('chits.view'), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
     
@@ -243,7 +273,7 @@ router.get('/customer/:customerId', async (req, res) => {
 });
 
 // GET recent payments
-router.get('/recent', async (req, res) => {
+router.get('/recent', requirePermission('chits.view'), async (req, res) => {
   try {
     const { limit = 20 } = req.query;
     
@@ -267,7 +297,7 @@ router.get('/recent', async (req, res) => {
 });
 
 // GET payment by receipt number
-router.get('/receipt/:receiptNumber', async (req, res) => {
+router.get('/receipt/:receiptNumber', requirePermission('chits.view'), async (req, res) => {
   try {
     const payment = await ChitPayment.findOne({ receiptNumber: req.params.receiptNumber })
       .populate('chitId', 'chitNumber customerName customerPhone chitAmount installmentAmount totalInstallments')
@@ -293,8 +323,71 @@ router.get('/receipt/:receiptNumber', async (req, res) => {
   }
 });
 
+// GET payment receipt as PDF
+router.get('/receipt/:receiptNumber/pdf', requirePermission('chits.view'), async (req, res) => {
+  try {
+    const data = await loadReceiptData(req.params.receiptNumber);
+    
+    if (!data) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+
+    const template = await getSetting('invoice');
+    const filename = data.receiptNumber.replace(/[^\w-]+/g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    renderReceiptPdf(data, template, res);
+  } catch (err) {
+    console.error('Receipt PDF error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while generating receipt' 
+      });
+    }
+  }
+});
+
+// GET payment receipt for a thermal printer (?width=58|80, ?raw=false for a preview without control codes)
+router.get('/receipt/:receiptNumber/escpos', requirePermission('chits.view'), async (req, res) => {
+  try {
+    const paperWidth = parseInt(req.query.width || '80', 10);
+
+    if (!ESCPOS_WIDTHS[paperWidth]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Width must be one of ${Object.keys(ESCPOS_WIDTHS).join(', ')}` 
+      });
+    }
+
+    const data = await loadReceiptData(req.params.receiptNumber);
+    
+    if (!data) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Payment not found' 
+      });
+    }
+
+    const template = await getSetting('invoice');
+
+    res.type('text/plain; charset=utf-8');
+    res.send(renderReceiptEscPos(data, template, { paperWidth, raw: req.query.raw !== 'false' }));
+  } catch (err) {
+    console.error('Receipt ESC/POS error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while generating receipt' 
+    });
+  }
+});
+
 // SEARCH payments
-router.get('/search/:query', async (req, res) => {
+router.get('/search/:query', requirePermission('chits.view'), async (req, res) => {
   try {
     const searchQuery = req.params.query;
     
@@ -6,6 +6,10 @@ const ChitPayment = require('../models/ChitPayment');
 const Customer = require('../models/Customer');
 const Rate = require('../models/Rate');
 const { generateChitNumber, generateReceiptNumber } = require('../utils/counterHelper');
+const { requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
 
 // Helper function to update customer chit stats
 const updateCustomerChitStats = async (customerId, updates) => {
@@ -17,7 +21,7 @@ const updateCustomerChitStats = async (customerId, updates) => {
 };
 
 // GET all chits with filters - UPDATED: Removed paymentMethod filter
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('chits.view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -76,7 +80,7 @@ router.get('/', async (req, res) => {
 });
 
 // CREATE new chit - UPDATED: paymentMethod is optional now
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('chits.create'), async (req, res) => {
   try {
     const {
       customerId,
@@ -147,6 +151,7 @@ router.post('/', async (req, res) => {
     });
 
     await newChit.save();
+    await recordAudit(req, { entity: 'Chit', action: 'create', after: newChit });
 
     // Update customer chit status
     await updateCustomerChitStats(customerId, {
@@ -190,7 +195,7 @@ router.post('/', async (req, res) => {
 });
 
 // RECORD payment for chit - UPDATED: Uses currentGoldRate from request
-router.post('/:id/payment', async (req, res) => {
+router.post('/:id/payment', requirePermission('chits.payment'), attachShift, idempotency, async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -227,8 +232,7 @@ router.post('/:id/payment', async (req, res) => {
       paymentDate, 
       receiptNumber,
       currentGoldRate, // Get current gold rate from frontend
-      notes, 
-      collectedBy 
+      notes
     } = req.body;
     
     // Validate current gold rate
@@ -256,7 +260,8 @@ router.post('/:id/payment', async (req, res) => {
     // Use provided receipt number or generate new
     const receiptNum = receiptNumber || await generateReceiptNumber();
     
-    // Create payment record
+    // Create payment record attributed to the logged-in staff member and shift
+    const collector = shiftAttribution(req);
     const payment = new ChitPayment({
       chitId: chit._id,
       chitNumber: chit.chitNumber,
@@ -274,12 +279,16 @@ router.post('/:id/payment', async (req, res) => {
         calculatedValue: amount
       },
       notes: notes || '',
-      collectedBy: collectedBy || 'Admin'
+      collectedBy: collector.name,
+      collectedById: collector.userId,
+      shiftId: collector.shiftId
     });
 
     await payment.save();
+    await recordAudit(req, { entity: 'ChitPayment', action: 'create', after: payment });
 
     // Update chit
+    const chitBefore = chit.toObject();
     chit.paidInstallments = actualInstallmentNumber;
     chit.remainingInstallments = chit.totalInstallments - actualInstallmentNumber;
     chit.paymentMethod = paymentMethod; // Update payment method
@@ -329,6 +338,7 @@ router.post('/:id/payment', async (req, res) => {
     }
 
     await chit.save();
+    await recordAudit(req, { entity: 'Chit', action: 'update', before: chitBefore, after: chit });
 
     res.json({ 
       success: true, 
@@ -346,7 +356,7 @@ router.post('/:id/payment', async (req, res) => {
 });
 
 // GET chit by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('chits.view'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -379,7 +389,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // UPDATE chit
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('chits.update'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -396,7 +406,8 @@ router.put('/:id', async (req, res) => {
     delete updates.chitNumber;
     delete updates.createdAt;
     
-    const chit = await Chit.findByIdAndUpdate(
+    const before = await Chit.findById(req.params.id);
+    const chit = before && await Chit.findByIdAndUpdate(
       req.params.id,
       { $set: updates },
       { new: true, runValidators: true }
@@ -421,6 +432,8 @@ router.put('/:id', async (req, res) => {
         }
       );
     }
+
+    await recordAudit(req, { entity: 'Chit', action: 'update', before, after: chit });
     
     res.json({ 
       success: true, 
@@ -437,7 +450,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // UPDATE chit status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('chits.update'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -457,7 +470,8 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
     
-    const chit = await Chit.findByIdAndUpdate(
+    const before = await Chit.findById(req.params.id);
+    const chit = before && await Chit.findByIdAndUpdate(
       req.params.id,
       { $set: { status, updatedAt: new Date() } },
       { new: true }
@@ -499,6 +513,8 @@ router.patch('/:id/status', async (req, res) => {
     if (Object.keys(customerUpdate).length > 0) {
       await updateCustomerChitStats(chit.customerId, customerUpdate);
     }
+
+    await recordAudit(req, { entity: 'Chit', action: 'update', before, after: chit });
     
     res.json({ 
       success: true, 
@@ -515,7 +531,7 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // DELETE chit
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('chits.delete'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -554,6 +570,7 @@ router.delete('/:id', async (req, res) => {
     await updateCustomerChitStats(chit.customerId, customerUpdate);
     
     await Chit.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entity: 'Chit', action: 'delete', before: chit });
     
     res.json({ 
       success: true, 
@@ -569,7 +586,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // SETTLE chit - UPDATED: Added settlementGoldRate
-router.post('/:id/settle', async (req, res) => {
+router.post('/:id/settle', requirePermission('chits.settle'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -618,6 +635,7 @@ router.post('/:id/settle', async (req, res) => {
     }
 
     // Update chit with settlement details
+    const before = chit.toObject();
     chit.settlementType = settlementType;
     chit.settlementAmount = finalSettlementAmount;
     chit.settlementDate = settlementDate ? new Date(settlementDate) : new Date();
@@ -627,6 +645,7 @@ router.post('/:id/settle', async (req, res) => {
     chit.updatedAt = new Date();
 
     await chit.save();
+    await recordAudit(req, { entity: 'Chit', action: 'update', before, after: chit, note: 'Chit settled' });
 
     // Update customer stats
     const customerUpdate = {
@@ -662,7 +681,7 @@ router.post('/:id/settle', async (req, res) => {
 });
 
 // SETTLE chit for purchase
-router.post('/:id/settle-purchase', async (req, res) => {
+router.post('/:id/settle-purchase', requirePermission('chits.settle'), async (req, res) => {
   try {
     // Validate chit ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -699,6 +718,7 @@ router.post('/:id/settle-purchase', async (req, res) => {
     }
 
     // Update chit with purchase settlement details
+    const before = chit.toObject();
     chit.settlementType = settlementType;
     chit.settlementAmount = purchaseAmount;
     chit.settlementDate = settlementDate ? new Date(settlementDate) : new Date();
@@ -711,6 +731,7 @@ router.post('/:id/settle-purchase', async (req, res) => {
     chit.updatedAt = new Date();
 
     await chit.save();
+    await recordAudit(req, { entity: 'Chit', action: 'update', before, after: chit, note: `Settled for purchase - Invoice: ${invoiceNumber}` });
 
     // Update customer stats
     const customerUpdate = {
@@ -738,7 +759,7 @@ router.post('/:id/settle-purchase', async (req, res) => {
 });
 
 // GET chit statistics - UPDATED: Include settled chits
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('chits.view'), async (req, res) => {
   try {
     const totalChits = await Chit.countDocuments();
     const activeChits = await Chit.countDocuments({ status: 'active' });
@@ -801,7 +822,7 @@ router.get('/stats/summary', async (req, res) => {
 });
 
 // SEARCH chits
-router.get('/search/:query', async (req, res) => {
+router.get('/search/:query', requirePermission('chits.view'), async (req, res) => {
   try {
     const searchQuery = req.params.query;
     
@@ -827,7 +848,7 @@ router.get('/search/:query', async (req, res) => {
 });
 
 // GET chits by customer phone
-router.get('/customer/:phone', async (req, res) => {
+router.get('/customer/:phone', requirePermission('chits.view'), async (req, res) => {
   try {
     const phone = req.params.phone.replace(/\D/g, ''); // Clean phone number
     
@@ -857,7 +878,7 @@ router.get('/customer/:phone', async (req, res) => {
 });
 
 // GET completed chits by customer
-router.get('/customer/:phone/completed', async (req, res) => {
+router.get('/customer/:phone/completed', requirePermission('chits.view'), async (req, res) => {
   try {
     const phone = req.params.phone.replace(/\D/g, ''); // Clean phone number
     
@@ -3,9 +3,18 @@ const router = express.Router();
 const Customer = require('../models/Customer');
 const mongoose = require('mongoose');
 const Chit = require('../models/Chit');
+const WalletTransaction = require('../models/WalletTransaction');
+const { requirePermission } = require('../middleware/auth');
+const { attachShift } = require('../middleware/shift');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const { creditWallet, debitWallet } = require('../utils/wallet');
+const { businessDate } = require('../utils/businessDate');
+
+const DEPOSIT_METHODS = WalletTransaction.schema.path('method').enumValues;
 
 // GET all customers - Your original simple version
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('customers.view'), async (req, res) => {
   try {
     const customers = await Customer.find().sort({ createdAt: -1 });
     res.json({ success: true, customers });
@@ -16,7 +25,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST - Check for duplicate phone number - Your original POST route
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('customers.create'), async (req, res) => {
   try {
     const { name, phone, email, gstNumber, aadharNumber, panNumber } = req.body;
 
@@ -50,6 +59,7 @@ router.post('/', async (req, res) => {
     });
 
     await newCustomer.save();
+    await recordAudit(req, { entity: 'Customer', action: 'create', after: newCustomer });
     res.json({ 
       success: true, 
       customer: newCustomer,
@@ -84,7 +94,7 @@ router.post('/', async (req, res) => {
 });
 
 // UPDATE customer - Check for duplicate phone number (excluding current customer) - Your original PUT route
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('customers.update'), async (req, res) => {
   try {
     const { name, phone, email, gstNumber, aadharNumber, panNumber } = req.body;
 
@@ -109,7 +119,8 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const updated = await Customer.findByIdAndUpdate(
+    const before = await Customer.findById(req.params.id);
+    const updated = before && await Customer.findByIdAndUpdate(
       req.params.id, 
       {
         name: name.trim(),
@@ -131,6 +142,8 @@ router.put('/:id', async (req, res) => {
         message: 'Customer not found' 
       });
     }
+
+    await recordAudit(req, { entity: 'Customer', action: 'update', before, after: updated });
     
     res.json({ 
       success: true, 
@@ -173,15 +186,24 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE customer - Your original DELETE route
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('customers.delete'), async (req, res) => {
   try {
-    const deleted = await Customer.findByIdAndDelete(req.params.id);
+    // Customers holding store credit must have it paid out or adjusted first
+    const deleted = await Customer.findOneAndDelete({ _id: req.params.id, walletBalance: { $not: { $gt: 0 } } });
+    if (!deleted && await Customer.exists({ _id: req.params.id })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Customer has store credit; settle the wallet balance before deleting' 
+      });
+    }
     if (!deleted) {
       return res.status(404).json({ 
         success: false, 
         message: 'Customer not found' 
       });
     }
+
+    await recordAudit(req, { entity: 'Customer', action: 'delete', before: deleted });
     
     res.json({ 
       success: true, 
@@ -205,7 +227,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // GET customer by phone number - Your original GET by phone route
-router.get('/phone/:phone', async (req, res) => {
+router.get('/phone/:phone', requirePermission('customers.view'), async (req, res) => {
   try {
     const customer = await Customer.findOne({ 
       phone: req.params.phone 
@@ -232,7 +254,7 @@ router.get('/phone/:phone', async (req, res) => {
 });
 
 // GET customer by ID - Your original GET by ID route
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('customers.view'), async (req, res) => {
   try {
     // Add validation to check if it's a valid ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -275,7 +297,7 @@ router.get('/:id', async (req, res) => {
 // Additional routes with enhanced features (keeping your originals above intact)
 
 // Enhanced GET all customers with pagination and search (alternative to the simple version)
-router.get('/paginated', async (req, res) => {
+router.get('/paginated', requirePermission('customers.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search, chitCustomer } = req.query;
     
@@ -322,7 +344,7 @@ router.get('/paginated', async (req, res) => {
 });
 
 // Enhanced POST for additional fields (alternative to simple POST)
-router.post('/enhanced', async (req, res) => {
+router.post('/enhanced', requirePermission('customers.create'), async (req, res) => {
   try {
     const { 
       name, 
@@ -371,6 +393,7 @@ router.post('/enhanced', async (req, res) => {
     });
 
     await newCustomer.save();
+    await recordAudit(req, { entity: 'Customer', action: 'create', after: newCustomer });
     res.json({ 
       success: true, 
       customer: newCustomer,
@@ -403,7 +426,7 @@ router.post('/enhanced', async (req, res) => {
 });
 
 // Enhanced UPDATE with chit sync (alternative to simple PUT)
-router.put('/enhanced/:id', async (req, res) => {
+router.put('/enhanced/:id', requirePermission('customers.update'), async (req, res) => {
   try {
     // Validate customer ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -447,7 +470,8 @@ router.put('/enhanced/:id', async (req, res) => {
       });
     }
 
-    const updated = await Customer.findByIdAndUpdate(
+    const before = await Customer.findById(req.params.id);
+    const updated = before && await Customer.findByIdAndUpdate(
       req.params.id, 
       {
         name: name.trim(),
@@ -473,6 +497,8 @@ router.put('/enhanced/:id', async (req, res) => {
       });
     }
     
+    await recordAudit(req, { entity: 'Customer', action: 'update', before, after: updated });
+    
     // Update chits with new customer details
     if (updated.chitCustomer) {
       await Chit.updateMany(
@@ -518,7 +544,7 @@ router.put('/enhanced/:id', async (req, res) => {
 });
 
 // Enhanced GET by ID with chits
-router.get('/enhanced/:id', async (req, res) => {
+router.get('/enhanced/:id', requirePermission('customers.view'), async (req, res) => {
   try {
     // Validate customer ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -557,7 +583,7 @@ router.get('/enhanced/:id', async (req, res) => {
 });
 
 // SEARCH customers
-router.get('/search/:query', async (req, res) => {
+router.get('/search/:query', requirePermission('customers.view'), async (req, res) => {
   try {
     const searchQuery = req.params.query;
     
@@ -596,7 +622,7 @@ router.get('/search/:query', async (req, res) => {
 });
 
 // GET customer chit statistics
-router.get('/:id/chit-stats', async (req, res) => {
+router.get('/:id/chit-stats', requirePermission('customers.view'), async (req, res) => {
   try {
     // Validate customer ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -658,4 +684,137 @@ router.get('/:id/chit-stats', async (req, res) => {
   }
 });
 
+// GET customer's store-credit balance and wallet history
+router.get('/:id/wallet', requirePermission('customers.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid customer ID' 
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Customer not found' 
+      });
+    }
+
+    const transactions = await WalletTransaction.find({ customerId: customer._id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await WalletTransaction.countDocuments({ customerId: customer._id });
+
+    res.json({ 
+      success: true, 
+      customer: { _id: customer._id, name: customer.name, phone: customer.phone },
+      balance: customer.walletBalance || 0,
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total
+      }
+    });
+  } catch (err) {
+    console.error('Wallet fetch error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching wallet' 
+    });
+  }
+});
+
+// POST customer wallet entry - advance deposits (paid in by `method`, Cash by default) and manual adjustments
+router.post('/:id/wallet', requirePermission('customers.wallet'), attachShift, async (req, res) => {
+  try {
+    const { type, amount, source = 'advance', method = 'Cash', notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid customer ID' 
+      });
+    }
+
+    if (!['credit', 'debit'].includes(type)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Type must be credit or debit' 
+      });
+    }
+
+    if (!['advance', 'adjustment'].includes(source) || (source === 'advance' && type !== 'credit')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Source must be advance (credit only) or adjustment' 
+      });
+    }
+
+    if (typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Amount must be a positive number' 
+      });
+    }
+
+    if (source === 'advance' && !DEPOSIT_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Method must be one of: ${DEPOSIT_METHODS.join(', ')}` 
+      });
+    }
+
+    if (source === 'adjustment' && !notes) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Notes are required for wallet adjustments' 
+      });
+    }
+
+    const before = await Customer.findById(req.params.id);
+    const change = type === 'credit' ? creditWallet : debitWallet;
+    const { customer, transaction } = await change({
+      customerId: req.params.id,
+      amount,
+      source,
+      notes,
+      user: { userId: req.user.id, name: req.user.name || req.user.email },
+      // Deposits are money in the drawer, counted in the day's and the shift's takings
+      payment: source === 'advance'
+        ? { method, date: businessDate(), shiftId: req.shift?._id }
+        : undefined
+    });
+
+    await recordAudit(req, { entity: 'Customer', action: 'update', before, after: customer, note: `Wallet ${type} of ₹${amount} (${source})` });
+
+    res.status(201).json({ 
+      success: true, 
+      balance: customer.walletBalance,
+      transaction
+    });
+  } catch (err) {
+    console.error('Wallet update error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating wallet' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const DayClose = require('../models/DayClose');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { buildDailySummary } = require('../utils/dailySummary');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/day-close - Closed business days, most recent first
+router.get('/', requirePermission('orders.view'), async (req, res) => {
+  try {
+    const { limit = 30 } = req.query;
+    const days = await DayClose.find().sort({ date: -1 }).limit(parseInt(limit));
+    res.json({ success: true, days });
+  } catch (err) {
+    console.error('Day close fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching closed days'
+    });
+  }
+});
+
+// GET /api/day-close/:date - Whether a day is closed, with the summary taken at closing
+router.get('/:date', requirePermission('orders.view'), async (req, res) => {
+  try {
+    const day = await DayClose.findOne({ date: req.params.date });
+    res.json({ success: true, closed: Boolean(day), day });
+  } catch (err) {
+    console.error('Day close fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching day close'
+    });
+  }
+});
+
+// POST /api/day-close - Close a business day; its orders can then only be edited with an override
+router.post('/', requirePermission('dayclose.manage'), async (req, res) => {
+  try {
+    const { date, notes } = req.body;
+
+    if (!DATE_PATTERN.test(date || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (await DayClose.exists({ date })) {
+      return res.status(400).json({
+        success: false,
+        message: `${date} is already closed`
+      });
+    }
+
+    const day = await DayClose.create({
+      date,
+      summary: await buildDailySummary(date),
+      notes: notes || '',
+      closedBy: { userId: req.user.id, name: req.user.name || req.user.email }
+    });
+
+    await recordAudit(req, { entity: 'DayClose', action: 'create', after: day });
+
+    res.status(201).json({
+      success: true,
+      day,
+      message: `Business day ${date} closed`
+    });
+  } catch (err) {
+    console.error('Day close error:', err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: `${req.body.date} is already closed`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing day'
+    });
+  }
+});
+
+// DELETE /api/day-close/:date - Reopen a closed day
+router.delete('/:date', requirePermission('dayclose.manage'), async (req, res) => {
+  try {
+    const day = await DayClose.findOneAndDelete({ date: req.params.date });
+
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        message: `${req.params.date} is not closed`
+      });
+    }
+
+    await recordAudit(req, { entity: 'DayClose', action: 'delete', before: day, note: 'Business day reopened' });
+
+    res.json({
+      success: true,
+      message: `Business day ${req.params.date} reopened`
+    });
+  } catch (err) {
+    console.error('Day reopen error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening day'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { getRoleDiscountLimit, requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const { getSetting } = require('../utils/settings');
+const { createOrder } = require('../utils/orderHelper');
+const { approveReturn, computeExchangeCredit, createReturn } = require('../utils/returnHelper');
+const { round2 } = require('../utils/gst');
+const { creditWallet, findWalletCustomer } = require('../utils/wallet');
+
+// POST /api/exchanges - Return pieces from an earlier order and bill new ones against the credit
+//
+// Body: {
+//   return: { orderId, items: [{ sku, qty }], returnReason?, returnType?, returnWeight? },
+//   order: { ...same payload as POST /api/orders },
+//   deductionAmount?: flat deduction on top of the configured percentage
+// }
+//
+// The returned pieces are approved on the spot, so the biller also needs returns.approve
+router.post('/', requirePermission('returns.create'), requirePermission('returns.approve'), requirePermission('orders.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { return: returnData, order: orderData, deductionAmount = 0 } = req.body;
+
+    if (!returnData || (!returnData.orderId && !returnData.orderRef) || !Array.isArray(returnData.items) || returnData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Return details with the original orderId and at least one item are required'
+      });
+    }
+
+    if (!orderData || !Array.isArray(orderData.items) || orderData.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'New order must contain at least one item'
+      });
+    }
+
+    if (typeof deductionAmount !== 'number' || deductionAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deduction amount must be a non-negative number'
+      });
+    }
+
+    const { deductionPercent } = await getSetting('exchange');
+    const attribution = shiftAttribution(req);
+    const maxDiscountPercent = await getRoleDiscountLimit(req.user.role);
+    let result;
+
+    // Return, restock, credit and the new order succeed or fail as one
+    await session.withTransaction(async () => {
+      const { returnDoc, order: returnedOrder, orderBefore } = await createReturn({
+        ...returnData,
+        returnReason: returnData.returnReason || 'Exchange',
+        returnType: returnData.returnType || 'Exchange'
+      }, session);
+
+      // The counter inspects exchanged pieces on the spot, so the return is approved
+      // (credit note + restock) straight away and settled by the new order below
+      const by = { userId: attribution.userId, name: attribution.name };
+      const { order: creditedOrder } = await approveReturn(returnDoc, by, 'Approved at exchange', session);
+      const originalOrder = creditedOrder || returnedOrder;
+
+      const exchange = await computeExchangeCredit(returnDoc, { deductionPercent, deductionAmount }, session);
+
+      // The credit is applied up to the new order's server-computed total
+      const newOrder = await createOrder(orderData, attribution, session, {
+        promotions: true,
+        maxDiscountPercent,
+        prepaid: {
+          method: 'Exchange Credit',
+          amount: exchange.credit,
+          exchangeCredit: {
+            returnId: returnDoc._id,
+            creditNoteNumber: returnDoc.creditNote.number,
+            originalInvoiceNumber: returnDoc.invoiceNumber,
+            weight: exchange.weight,
+            grossValue: exchange.grossValue,
+            deduction: exchange.deduction,
+            credit: exchange.credit
+          }
+        }
+      });
+      const appliedCredit = newOrder.paymentMethods.find(payment => payment.method === 'Exchange Credit')?.amount || 0;
+
+      // Credit the new order did not use is kept as store credit when the customer is
+      // registered, and otherwise stays on the return as a refund still to be paid
+      const excessCredit = round2(exchange.credit - appliedCredit);
+      let walletCredit = 0;
+      let refundDue = 0;
+      if (excessCredit > 0) {
+        const customer = await findWalletCustomer({ customerId: orderData.customerId, phone: returnDoc.customer?.phone }, session);
+        if (customer) {
+          await creditWallet({
+            customerId: customer._id,
+            amount: excessCredit,
+            source: 'exchange',
+            reference: { kind: 'Return', id: returnDoc._id, number: returnDoc.creditNote.number },
+            notes: `Unused exchange credit from ${newOrder.invoiceNumber}`,
+            user: by,
+            session
+          });
+          walletCredit = excessCredit;
+        } else {
+          refundDue = excessCredit;
+        }
+      }
+
+      returnDoc.exchange = {
+        ...exchange,
+        orderRef: newOrder._id,
+        orderId: newOrder.orderId,
+        invoiceNumber: newOrder.invoiceNumber,
+        appliedCredit,
+        walletCredit,
+        refundDue
+      };
+      if (returnDoc.returnWeight === undefined) {
+        returnDoc.returnWeight = exchange.weight;
+      }
+      returnDoc.statusHistory.push(
+        { to: 'Requested', by },
+        { from: 'Requested', to: 'Approved', note: 'Approved at exchange', by }
+      );
+      if (refundDue > 0) {
+        // Left Approved so the balance is paid out like any other refund
+        returnDoc.refundSummary = {
+          eligibleAmount: refundDue,
+          wastageDeduction: 0,
+          makingDeduction: 0,
+          otherDeduction: 0,
+          refundableAmount: refundDue,
+          refundedAmount: 0
+        };
+        returnDoc.status = 'Approved';
+      } else {
+        returnDoc.statusHistory.push(
+          { from: 'Approved', to: 'Refunded', note: `Settled by exchange credit on ${newOrder.invoiceNumber}`, by }
+        );
+        returnDoc.status = 'Refunded';
+      }
+      await returnDoc.save({ session });
+
+      result = { returnDoc, originalOrder, orderBefore, newOrder, exchange, appliedCredit, walletCredit, refundDue };
+    });
+
+    const { returnDoc, originalOrder, orderBefore, newOrder, exchange, appliedCredit, walletCredit, refundDue } = result;
+    await recordAudit(req, { entity: 'Return', action: 'create', after: returnDoc, note: `Exchange for ${newOrder.invoiceNumber}` });
+    await recordAudit(req, {
+      entity: 'Order',
+      action: 'update',
+      before: orderBefore,
+      after: originalOrder,
+      note: `Credit note ${returnDoc.creditNote.number} issued for exchange`
+    });
+    await recordAudit(req, { entity: 'Order', action: 'create', after: newOrder, note: `Exchange against ${returnDoc.invoiceNumber}` });
+
+    res.status(201).json({
+      success: true,
+      return: returnDoc,
+      order: newOrder,
+      exchange: {
+        ...exchange,
+        appliedCredit,
+        // Credit the new order did not use: kept as store credit, or owed as a refund
+        excessCredit: round2(exchange.credit - appliedCredit),
+        walletCredit,
+        refundDue
+      },
+      message: refundDue > 0
+        ? `Exchange recorded. Credit of ₹${appliedCredit.toLocaleString()} applied to ${newOrder.invoiceNumber}; ₹${refundDue.toLocaleString()} is due as a refund`
+        : `Exchange recorded. Credit of ₹${appliedCredit.toLocaleString()} applied to ${newOrder.invoiceNumber}`
+    });
+  } catch (err) {
+    console.error('Exchange error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording exchange'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
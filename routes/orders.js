@@ -2,185 +2,147 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const Counter = require('../models/Counter');
-
-// Helper to generate formatted IDs
-async function getNextFormattedNumber(prefix, separator = '/') {
-  const counter = await Counter.findOneAndUpdate(
-    { name: prefix },
-    { $inc: { value: 1 } },
-    { new: true, upsert: true }
-  );
-  const year = new Date().getFullYear();
-  const padded = String(counter.value).padStart(4, '0');
-  return `${prefix}${separator}${year}${separator}${padded}`;
-}
+const Customer = require('../models/Customer');
+const DraftOrder = require('../models/DraftOrder');
+const OrderRevision = require('../models/OrderRevision');
+const DayClose = require('../models/DayClose');
+const mongoose = require('mongoose');
+const { getRoleDiscountLimit, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const { computeOrderGst, reconcileTotals, round2 } = require('../utils/gst');
+const {
+  BALANCE_DUE,
+  LINKED_PAYMENT_METHODS,
+  applyGst,
+  buildOrderItem,
+  cancelOrder,
+  createOrder,
+  hasChitWeightReduction,
+  moveEditedStock,
+  priceEditedItems,
+  recordCollection,
+  withoutServerFields
+} = require('../utils/orderHelper');
+const { getSetting } = require('../utils/settings');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { checkDraftItems, holdUntil, placeHolds, releaseHolds } = require('../utils/draftHelper');
+const { recordOrderRevision } = require('../utils/orderRevision');
+const { buildDailySummary } = require('../utils/dailySummary');
+const { businessDate } = require('../utils/businessDate');
+const { currentPriceBreakdown, linePricing } = require('../utils/pricing');
+const { assertDiscountWithinLimit, couponCodesFrom, evaluatePromotions } = require('../utils/promotions');
+
+const COLLECTION_METHODS = ['Cash', 'Card', 'UPI', 'Bank Transfer', 'Store Credit'];
+const AGEING_BUCKETS = ['0-30', '31-60', '60+'];
+
+// Helper: ageing bucket for an order billed `days` ago
+const ageingBucket = (days) => (days <= 30 ? '0-30' : days <= 60 ? '31-60' : '60+');
+
+// Helper: split a submitted bill into the fields a draft stores separately
+const draftFields = ({ label, customer, items, ...details }) => ({
+  label: label || customer?.name || '',
+  customer,
+  items: items.map(item => ({ sku: item.sku, name: item.name, qty: Number(item.qty) || 1, price: item.price })),
+  details
+});
+
+// Helper: reject a draft body without items or with items missing a SKU
+const draftItemsError = (items) => {
+  if (!Array.isArray(items) || items.length === 0) return 'A parked bill must contain at least one item';
+  if (items.some(item => !item?.sku)) return 'Every item needs a SKU';
+  return null;
+};
+
+// POST /api/orders/gst/preview - Tax breakdown and promotions for a cart before billing
+//
+// Body: { items, discount?, couponCodes?, customer?, extraCharges? }. `discount` is the
+// counter's manual discount; the promotions POST /api/orders would apply are added to it.
+router.post('/gst/preview', requirePermission('orders.create'), async (req, res) => {
+  try {
+    const { items, discount = 0, customer, extraCharges = 0 } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'At least one item is required' 
+      });
+    }
+
+    const products = await Product.find({ sku: { $in: items.map(item => item.sku) } });
+    const lines = await Promise.all(items.map(async item => {
+      const product = products.find(p => p.sku === item.sku);
+      if (!product) return item;
+
+      const breakdown = await currentPriceBreakdown(product);
+      return {
+        ...buildOrderItem({ ...item, qty: Number(item.qty) || 1, price: item.price ?? breakdown.total }, product),
+        pricing: linePricing(breakdown)
+      };
+    }));
+
+    const manualDiscount = round2(Math.max(Number(discount) || 0, 0));
+    const subtotal = lines.reduce((sum, line) => sum + (Number(line.price) || 0) * (Number(line.qty) || 1), 0);
+    assertDiscountWithinLimit(manualDiscount, subtotal, await getRoleDiscountLimit(req.user.role));
+    const promotions = await evaluatePromotions(lines, couponCodesFrom(req.body));
+
+    const { breakdown } = await computeOrderGst({ items: lines, discount: manualDiscount + promotions.total, customer });
+    const { totals } = reconcileTotals({ extraCharges }, breakdown, 0);
+
+    res.json({ 
+      success: true, 
+      gst: breakdown,
+      totals,
+      manualDiscount,
+      promotionDiscount: promotions.total,
+      promotions: promotions.applied
+    });
+  } catch (err) {
+    console.error('GST preview error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while calculating GST' 
+    });
+  }
+});
 
 // POST /api/orders
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('orders.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const orderId = await getNextFormattedNumber('ORD', '-');
-    const invoiceNumber = await getNextFormattedNumber('INV', '/');
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Order must contain at least one item' 
+      });
+    }
 
     // Calculate total paid from payment methods
     const totalPaid = req.body.paymentMethods 
       ? req.body.paymentMethods.reduce((sum, payment) => sum + (payment.amount || 0), 0)
       : 0;
 
-    // Process payment methods to ensure proper structure
-    const processedPaymentMethods = req.body.paymentMethods ? req.body.paymentMethods.map(payment => {
-      // Ensure goldExchange object exists for Gold Exchange payments
-      if (payment.method === 'Gold Exchange') {
-        return {
-          method: payment.method,
-          amount: payment.amount,
-          goldExchange: payment.goldExchange || {
-            weight: 0,
-            goldRatePerGram: 6000,
-            calculatedAmount: payment.amount || 0
-          }
-        };
-      }
-      // Ensure chitSettlement object exists for Chit Settlement payments
-      if (payment.method === 'Chit Settlement') {
-        return {
-          method: payment.method,
-          amount: payment.amount,
-          chitSettlement: payment.chitSettlement || {
-            chitId: '',
-            chitNumber: '',
-            customerName: '',
-            customerPhone: '',
-            accumulatedGold: 0,
-            chitAmount: 0,
-            paidAmount: 0,
-            currentGoldRate: req.body.chitSettlement?.goldPricePerGram || 6000,
-            goldValue: 0,
-            extraAmount: 0
-          }
-        };
-      }
-      return {
-        ...payment,
-        goldExchange: undefined, // Remove goldExchange for non-gold payments
-        chitSettlement: undefined // Remove chitSettlement for non-chit payments
-      };
-    }) : [];
-
-    // Process items to include weight data and additional fields from products
-    const processedItems = await Promise.all(
-      req.body.items.map(async (item) => {
-        try {
-          // Fetch product details to get weight data and additional fields
-          const product = await Product.findOne({ sku: item.sku });
-          
-          if (product) {
-            return {
-              name: item.name,
-              price: item.price,
-              qty: item.qty,
-              sku: item.sku,
-              category: product.category || '',
-              metal: product.metal || '',
-              purity: product.purity || '',
-              costPrice: product.costPrice || 0,
-              metalWeight: product.weight || 0,
-              stoneWeight: product.stoneWeight || 0,
-              netWeight: product.netWeight || 0,
-              makingCharges: product.makingCharges || 0,
-              wastage: product.wastage || 0,
-              stonePrice: product.stonePrice || 0,
-            };
-          } else {
-            // If product not found, use item data without additional fields
-            return {
-              ...item,
-              category: item.category || '',
-              metal: item.metal || '',
-              purity: item.purity || '',
-              costPrice: item.costPrice || 0,
-              metalWeight: item.metalWeight || 0,
-              stoneWeight: item.stoneWeight || 0,
-              netWeight: item.netWeight || 0,
-              makingCharges: item.makingCharges || 0,
-              wastage: item.wastage || 0,
-              stonePrice: item.stonePrice || 0,
-            };
-          }
-        } catch (error) {
-          console.error(`Error processing item ${item.sku}:`, error);
-          // Return item with default values if there's an error
-          return {
-            ...item,
-            category: item.category || '',
-            metal: item.metal || '',
-            purity: item.purity || '',
-            costPrice: item.costPrice || 0,
-            metalWeight: item.metalWeight || 0,
-            stoneWeight: item.stoneWeight || 0,
-            netWeight: item.netWeight || 0,
-            makingCharges: item.makingCharges || 0,
-            wastage: item.wastage || 0,
-            stonePrice: item.stonePrice || 0,
-          };
-        }
-      })
-    );
-
-    // Calculate gold value and extra amount for chit settlements
-    const processedPaymentMethodsWithCalculations = processedPaymentMethods.map(payment => {
-      if (payment.method === 'Chit Settlement' && payment.chitSettlement) {
-        const chitData = payment.chitSettlement;
-        const goldRate = chitData.currentGoldRate || req.body.chitSettlement?.goldPricePerGram || 6000;
-        const goldWeight = chitData.accumulatedGold || 0;
-        const goldValue = goldWeight * goldRate;
-        const extraAmount = payment.amount - goldValue;
-        
-        return {
-          ...payment,
-          chitSettlement: {
-            ...chitData,
-            currentGoldRate: goldRate,
-            goldValue: goldValue,
-            extraAmount: extraAmount > 0 ? extraAmount : 0,
-            remainingAmount: (chitData.chitAmount || 0) - (chitData.paidAmount || 0) - payment.amount
-          }
-        };
-      }
-      return payment;
-    });
-
-    const newOrder = new Order({
-      ...req.body,
-      items: processedItems, // Use processed items with all data
-      paymentMethods: processedPaymentMethodsWithCalculations, // Use processed payment methods with calculations
-      orderId,
-      invoiceNumber,
-      // Include advanceAmount if provided
-      advanceAmount: req.body.advanceAmount || 0,
-      // Include chit settlement data if provided
-      chitSettlement: req.body.chitSettlement ? {
-        ...req.body.chitSettlement,
-        goldPricePerGram: req.body.chitSettlement.goldPricePerGram || 6000
-      } : undefined,
-      // Set paymentMode for backward compatibility (use first method or 'Multiple')
-      paymentMode: req.body.paymentMethods && req.body.paymentMethods.length > 0 
-        ? req.body.paymentMethods.length === 1 
-          ? req.body.paymentMethods[0].method 
-          : 'Multiple'
-        : req.body.paymentMode || 'Multiple'
-    });
-
-    await newOrder.save();
-
-    // Update stock for each item
-    for (const item of req.body.items) {
-      await Product.findOneAndUpdate(
-        { sku: item.sku },
-        { $inc: { stock: -item.qty } },
-        { new: true }
-      );
-    }
+    const maxDiscountPercent = await getRoleDiscountLimit(req.user.role);
+    let newOrder;
+
+    // Numbers, stock and the order itself commit together or not at all
+    await session.withTransaction(async () => {
+      newOrder = await createOrder(req.body, shiftAttribution(req), session, { promotions: true, maxDiscountPercent });
+    });
+
+    await recordAudit(req, { entity: 'Order', action: 'create', after: newOrder });
 
     // Calculate total due including advance
     const totalDue = newOrder.grandTotal + (newOrder.advanceAmount || 0);
@@ -193,6 +155,14 @@ router.post('/', async (req, res) => {
     });
   } catch (err) {
     console.error('Order save error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
     
     // Handle duplicate key errors
     if (err.code === 11000) {
@@ -216,13 +186,15 @@ router.post('/', async (req, res) => {
       success: false, 
       message: 'Server error while creating order' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 // GET /api/orders
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('orders.view'), async (req, res) => {
   try {
-    const { page = 1, limit = Number.MAX_SAFE_INTEGER, customer, date, paymentMethod } = req.query;
+    const { page = 1, limit = Number.MAX_SAFE_INTEGER, customer, date, paymentMethod, status } = req.query;
     
     let query = {};
     
@@ -240,6 +212,11 @@ router.get('/', async (req, res) => {
     if (paymentMethod) {
       query['paymentMethods.method'] = paymentMethod;
     }
+
+    // Filter by status (active / cancelled)
+    if (status) {
+      query.status = status === 'active' ? { $ne: 'cancelled' } : status;
+    }
     
     const orders = await Order.find(query)
       .sort({ createdAt: -1 })
@@ -268,8 +245,401 @@ router.get('/', async (req, res) => {
   }
 });
 
+// POST /api/orders/drafts - Park a bill (no invoice number) and hold its SKUs for a while
+router.post('/drafts', requirePermission('orders.create'), attachShift, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const itemsError = draftItemsError(req.body.items);
+    if (itemsError) {
+      return res.status(400).json({ success: false, message: itemsError });
+    }
+
+    await checkDraftItems(req.body.items);
+
+    const config = await getSetting('draftOrder');
+    const { userId, name, shiftId, terminalId } = shiftAttribution(req);
+    let draft;
+
+    // The bill and the holds on its pieces are written together
+    await session.withTransaction(async () => {
+      [draft] = await DraftOrder.create([{
+        ...draftFields(req.body),
+        heldUntil: holdUntil(config),
+        createdBy: { userId, name },
+        shiftId,
+        terminalId: terminalId || req.body.terminalId
+      }], { session });
+      await placeHolds(draft._id, draft.items, draft.heldUntil, session);
+    });
+
+    await recordAudit(req, { entity: 'DraftOrder', action: 'create', after: draft });
+
+    res.status(201).json({ 
+      success: true, 
+      draft,
+      message: 'Bill parked'
+    });
+  } catch (err) {
+    console.error('Draft park error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while parking bill' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// GET /api/orders/drafts - Parked bills, filtered by terminal or user (defaults to parked ones)
+router.get('/drafts', requirePermission('orders.create'), async (req, res) => {
+  try {
+    const { terminalId, userId, status = 'Parked' } = req.query;
+
+    const query = { status };
+    if (terminalId) query.terminalId = terminalId;
+    if (userId) query['createdBy.userId'] = userId;
+
+    const drafts = await DraftOrder.find(query).sort({ updatedAt: -1 }).limit(100);
+
+    res.json({ success: true, drafts });
+  } catch (err) {
+    console.error('Drafts fetch error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching parked bills' 
+    });
+  }
+});
+
+// GET /api/orders/drafts/:id
+router.get('/drafts/:id', requirePermission('orders.create'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid draft ID' 
+      });
+    }
+
+    const draft = await DraftOrder.findById(req.params.id);
+
+    if (!draft) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Parked bill not found' 
+      });
+    }
+
+    res.json({ success: true, draft });
+  } catch (err) {
+    console.error('Draft fetch error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching parked bill' 
+    });
+  }
+});
+
+// PUT /api/orders/drafts/:id - Resume a parked bill: save edits and renew the hold on its SKUs
+router.put('/drafts/:id', requirePermission('orders.create'), async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid draft ID' 
+      });
+    }
+
+    const before = await DraftOrder.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Parked bill not found' 
+      });
+    }
+
+    if (before.status !== 'Parked') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `This bill is already ${before.status.toLowerCase()}` 
+      });
+    }
+
+    // An empty body just renews the hold on the bill as parked
+    const body = req.body.items ? req.body : { ...before.details, label: before.label, customer: before.customer, items: before.items, ...req.body };
+    const itemsError = draftItemsError(body.items);
+    if (itemsError) {
+      return res.status(400).json({ success: false, message: itemsError });
+    }
+
+    // The hold may have lapsed while parked, so re-check every piece
+    await checkDraftItems(body.items, before._id);
+
+    const config = await getSetting('draftOrder');
+    let draft;
+
+    // The old holds are swapped for the edited quantities in one go
+    await session.withTransaction(async () => {
+      draft = await DraftOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'Parked' },
+        { ...draftFields(body), heldUntil: holdUntil(config) },
+        { new: true, runValidators: true, session }
+      );
+      if (!draft) return;
+
+      await releaseHolds(draft._id, session);
+      await placeHolds(draft._id, draft.items, draft.heldUntil, session);
+    });
+
+    if (!draft) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This bill was finalized or discarded on another counter' 
+      });
+    }
+
+    await recordAudit(req, { entity: 'DraftOrder', action: 'update', before, after: draft });
+
+    res.json({ success: true, draft });
+  } catch (err) {
+    console.error('Draft update error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating parked bill' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// POST /api/orders/drafts/:id/finalize - Bill a parked bill as a real order
+//
+// Body: any POST /api/orders fields to apply over the parked bill (payments, totals, ...)
+router.post('/drafts/:id/finalize', requirePermission('orders.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid draft ID' 
+      });
+    }
+
+    const maxDiscountPercent = await getRoleDiscountLimit(req.user.role);
+    let draft;
+    let newOrder;
+
+    // Closing the draft first releases its own hold before the sale checks for holds
+    await session.withTransaction(async () => {
+      draft = await DraftOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'Parked' },
+        { status: 'Finalized' },
+        { new: true, session }
+      );
+      if (!draft) {
+        const exists = await DraftOrder.findById(req.params.id).session(session);
+        throw exists
+          ? new HttpError(400, `This bill is already ${exists.status.toLowerCase()}`)
+          : new HttpError(404, 'Parked bill not found');
+      }
+      await releaseHolds(draft._id, session);
+
+      const body = {
+        ...draft.details,
+        customer: draft.customer,
+        items: draft.items.map(item => item.toObject()),
+        ...req.body
+      };
+      const itemsError = draftItemsError(body.items);
+      if (itemsError) {
+        throw new HttpError(400, itemsError);
+      }
+
+      newOrder = await createOrder(body, shiftAttribution(req), session, { promotions: true, maxDiscountPercent });
+      draft.finalized = {
+        orderRef: newOrder._id,
+        orderId: newOrder.orderId,
+        invoiceNumber: newOrder.invoiceNumber,
+        at: new Date()
+      };
+      await draft.save({ session });
+    });
+
+    await recordAudit(req, { entity: 'Order', action: 'create', after: newOrder, note: 'Finalized from a parked bill' });
+    await recordAudit(req, { entity: 'DraftOrder', action: 'update', after: draft, note: `Finalized as ${newOrder.invoiceNumber}` });
+
+    res.status(201).json({ 
+      success: true, 
+      order: newOrder,
+      draft,
+      message: `Parked bill finalized as ${newOrder.invoiceNumber}`
+    });
+  } catch (err) {
+    console.error('Draft finalize error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while finalizing parked bill' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// DELETE /api/orders/drafts/:id - Discard a parked bill and release its SKUs
+router.delete('/drafts/:id', requirePermission('orders.create'), async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid draft ID' 
+      });
+    }
+
+    let draft;
+    await session.withTransaction(async () => {
+      draft = await DraftOrder.findOneAndUpdate(
+        { _id: req.params.id, status: 'Parked' },
+        { status: 'Discarded', heldUntil: new Date() },
+        { new: true, session }
+      );
+      if (draft) await releaseHolds(draft._id, session);
+    });
+
+    if (!draft) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Parked bill not found' 
+      });
+    }
+
+    await recordAudit(req, { entity: 'DraftOrder', action: 'update', after: draft, note: 'Parked bill discarded' });
+
+    res.json({ 
+      success: true, 
+      message: 'Parked bill discarded' 
+    });
+  } catch (err) {
+    console.error('Draft discard error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while discarding parked bill' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// GET /api/orders/outstanding - Orders with a balance due, grouped by customer with ageing buckets
+router.get('/outstanding', requirePermission('orders.view'), async (req, res) => {
+  try {
+    const { customerId, phone } = req.query;
+
+    const match = { status: { $ne: 'cancelled' } };
+    if (customerId) {
+      const customer = mongoose.Types.ObjectId.isValid(customerId) ? await Customer.findById(customerId) : null;
+      if (!customer) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Customer not found' 
+        });
+      }
+      match['customer.phone'] = customer.phone;
+    } else if (phone) {
+      match['customer.phone'] = phone;
+    }
+
+    const orders = await Order.aggregate([
+      { $match: match },
+      { $addFields: { balanceDue: BALANCE_DUE } },
+      { $match: { balanceDue: { $gt: 0 } } },
+      { $sort: { createdAt: 1 } },
+      { $project: { orderId: 1, invoiceNumber: 1, customer: 1, grandTotal: 1, balanceDue: 1, date: 1, createdAt: 1 } }
+    ]);
+
+    const now = Date.now();
+    const emptyBuckets = () => AGEING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket]: 0 }), {});
+    const totals = { balanceDue: 0, orders: orders.length, buckets: emptyBuckets() };
+    const byCustomer = new Map();
+
+    orders.forEach(order => {
+      order.ageDays = Math.floor((now - new Date(order.createdAt).getTime()) / (24 * 60 * 60 * 1000));
+      order.bucket = ageingBucket(order.ageDays);
+
+      const key = order.customer?.phone || 'walk-in';
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          name: order.customer?.name || '',
+          phone: order.customer?.phone || '',
+          balanceDue: 0,
+          orders: 0,
+          buckets: emptyBuckets()
+        });
+      }
+      const entry = byCustomer.get(key);
+      entry.balanceDue = round2(entry.balanceDue + order.balanceDue);
+      entry.orders += 1;
+      entry.buckets[order.bucket] = round2(entry.buckets[order.bucket] + order.balanceDue);
+
+      totals.balanceDue = round2(totals.balanceDue + order.balanceDue);
+      totals.buckets[order.bucket] = round2(totals.buckets[order.bucket] + order.balanceDue);
+    });
+
+    res.json({ 
+      success: true, 
+      totals,
+      customers: [...byCustomer.values()].sort((a, b) => b.balanceDue - a.balanceDue),
+      orders
+    });
+  } catch (err) {
+    console.error('Outstanding orders error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching outstanding balances' 
+    });
+  }
+});
+
 // GET /api/orders/:id
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('orders.view'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     
@@ -301,8 +671,218 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/orders/:id/invoice.pdf - Tax invoice rendered from the "invoice" setting template
+router.get('/:id/invoice.pdf', requirePermission('orders.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid order ID' 
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+
+    const template = await getSetting('invoice');
+    const gstConfig = await getSetting('gst');
+    const filename = order.invoiceNumber.replace(/[^\w-]+/g, '-');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    renderInvoicePdf(order, template, gstConfig, res);
+  } catch (err) {
+    console.error('Invoice PDF error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        success: false, 
+        message: 'Server error while generating invoice' 
+      });
+    }
+  }
+});
+
+// GET /api/orders/:id/revisions - Earlier versions of an order with who changed what and why
+router.get('/:id/revisions', requirePermission('orders.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid order ID' 
+      });
+    }
+
+    const order = await Order.findById(req.params.id).select('invoiceNumber revision');
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+
+    const revisions = await OrderRevision.find({ orderRef: order._id }).sort({ revision: 1 });
+
+    res.json({ 
+      success: true, 
+      invoiceNumber: order.invoiceNumber,
+      currentRevision: order.revision || 0,
+      revisions
+    });
+  } catch (err) {
+    console.error('Order revisions fetch error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching order revisions' 
+    });
+  }
+});
+
+// GET /api/orders/:id/collections - Payment ledger: payments at billing and collections since
+router.get('/:id/collections', requirePermission('orders.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid order ID' 
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+
+    const totalDue = round2(order.grandTotal + (order.advanceAmount || 0));
+    let balance = totalDue;
+    const ledger = [
+      ...order.paymentMethods.map(payment => ({
+        type: 'payment',
+        method: payment.method,
+        amount: payment.amount,
+        at: order.createdAt
+      })),
+      ...order.collections.map(collection => ({
+        type: 'collection',
+        _id: collection._id,
+        method: collection.method,
+        amount: collection.amount,
+        reference: collection.reference,
+        notes: collection.notes,
+        at: collection.collectedAt,
+        by: collection.collectedBy?.name
+      }))
+    ].map(entry => {
+      balance = round2(balance - entry.amount);
+      return { ...entry, balanceAfter: balance };
+    });
+
+    res.json({ 
+      success: true, 
+      invoiceNumber: order.invoiceNumber,
+      totalDue,
+      totalPaid: round2(order.totalPaid),
+      balance: round2(order.balance),
+      ledger
+    });
+  } catch (err) {
+    console.error('Order collections fetch error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching order payments' 
+    });
+  }
+});
+
+// POST /api/orders/:id/collections - Collect a payment against the balance due
+router.post('/:id/collections', requirePermission('orders.collect'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { method, amount, reference, notes, date, customerId } = req.body;
+
+    if (!COLLECTION_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Payment method must be one of ${COLLECTION_METHODS.join(', ')}` 
+      });
+    }
+
+    if (typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Amount must be a positive number' 
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid order ID' 
+      });
+    }
+
+    const before = await Order.findById(req.params.id);
+    const { userId, name, shiftId } = shiftAttribution(req);
+    let result;
+
+    // Wallet debit and the ledger entry commit together
+    await session.withTransaction(async () => {
+      result = await recordCollection(
+        req.params.id,
+        { method, amount, reference, notes, date, customerId },
+        { userId, name, shiftId },
+        session
+      );
+    });
+
+    const { order, collection } = result;
+    await recordAudit(req, {
+      entity: 'Order',
+      action: 'update',
+      before,
+      after: order,
+      note: `Collected ₹${collection.amount} by ${method}`
+    });
+
+    res.status(201).json({ 
+      success: true, 
+      collection,
+      balance: round2(order.balance),
+      order,
+      message: `Collected ₹${collection.amount.toLocaleString()} against ${order.invoiceNumber}`
+    });
+  } catch (err) {
+    console.error('Order collection error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while recording collection' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
 // GET /api/orders/invoice/:invoiceNumber
-router.get('/invoice/:invoiceNumber', async (req, res) => {
+router.get('/invoice/:invoiceNumber', requirePermission('orders.view'), async (req, res) => {
   try {
     const order = await Order.findOne({ 
       invoiceNumber: req.params.invoiceNumber 
@@ -329,7 +909,7 @@ router.get('/invoice/:invoiceNumber', async (req, res) => {
 });
 
 // GET /api/orders/customer/:phone
-router.get('/customer/:phone', async (req, res) => {
+router.get('/customer/:phone', requirePermission('orders.view'), async (req, res) => {
   try {
     const orders = await Order.find({ 
       'customer.phone': req.params.phone 
@@ -350,7 +930,7 @@ router.get('/customer/:phone', async (req, res) => {
 });
 
 // GET /api/orders/chit/:chitNumber
-router.get('/chit/:chitNumber', async (req, res) => {
+router.get('/chit/:chitNumber', requirePermission('orders.view'), async (req, res) => {
   try {
     const orders = await Order.find({
       $or: [
@@ -374,10 +954,23 @@ router.get('/chit/:chitNumber', async (req, res) => {
 });
 
 // PUT /api/orders/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('orders.update'), async (req, res) => {
+  const session = await mongoose.startSession();
   try {
+    const { reason: rawReason, overrideDayClose = false, ...body } = req.body;
+    const reason = typeof rawReason === 'string' ? rawReason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required to edit an order' 
+      });
+    }
+
     // If updating payment methods, process them properly
-    let updates = { ...req.body };
+    // Collections, cancellation, returns and promotions change through their own endpoints;
+    // the revision is bumped below on every edit
+    let updates = withoutServerFields(body);
     
     if (req.body.paymentMethods) {
       updates.paymentMethods = req.body.paymentMethods.map(payment => {
@@ -416,60 +1009,13 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // If updating items, process them to include weight data and additional fields
-    if (req.body.items) {
-      updates.items = await Promise.all(
-        req.body.items.map(async (item) => {
-          try {
-            const product = await Product.findOne({ sku: item.sku });
-            
-            if (product) {
-              return {
-                name: item.name,
-                price: item.price,
-                qty: item.qty,
-                sku: item.sku,
-                category: product.category || '',
-                metal: product.metal || '',
-                costPrice: product.costPrice || 0,
-                metalWeight: product.weight || 0,
-                stoneWeight: product.stoneWeight || 0,
-                netWeight: product.netWeight || 0,
-                makingCharges: product.makingCharges || 0,
-                wastage: product.wastage || 0,
-                stonePrice: product.stonePrice || 0,
-              };
-            } else {
-              return {
-                ...item,
-                category: item.category || '',
-                metal: item.metal || '',
-                costPrice: item.costPrice || 0,
-                metalWeight: item.metalWeight || 0,
-                stoneWeight: item.stoneWeight || 0,
-                netWeight: item.netWeight || 0,
-                makingCharges: item.makingCharges || 0,
-                wastage: item.wastage || 0,
-                stonePrice: item.stonePrice || 0,
-              };
-            }
-          } catch (error) {
-            console.error(`Error processing item ${item.sku}:`, error);
-            return {
-              ...item,
-              category: item.category || '',
-              metal: item.metal || '',
-              costPrice: item.costPrice || 0,
-              metalWeight: item.metalWeight || 0,
-              stoneWeight: item.stoneWeight || 0,
-              netWeight: item.netWeight || 0,
-              makingCharges: item.makingCharges || 0,
-              wastage: item.wastage || 0,
-              stonePrice: item.stonePrice || 0,
-            };
-          }
-        })
-      );
+    // Items are rebuilt from the catalogue and the billed lines once the order is loaded
+    delete updates.items;
+    if (req.body.items !== undefined && (!Array.isArray(req.body.items) || req.body.items.length === 0 || req.body.items.some(item => !item?.sku))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'An order must keep at least one item, and every item needs a SKU' 
+      });
     }
 
     // Calculate gold value and extra amount for chit settlements in updates
@@ -497,35 +1043,153 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    const before = await Order.findById(req.params.id);
     
-    if (!order) {
+    if (!before) {
       return res.status(404).json({ 
         success: false, 
         message: 'Order not found' 
       });
     }
-    
+
+    if (before.status === 'cancelled') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Cancelled orders cannot be edited' 
+      });
+    }
+
+    // Store credit, booking advances and exchange credit were settled against the wallet,
+    // booking or return at billing: they may be re-sent as they are but not added,
+    // changed or removed, and the billed entries are always kept
+    if (updates.paymentMethods) {
+      const linked = before.paymentMethods.filter(payment => LINKED_PAYMENT_METHODS.includes(payment.method));
+      const submittedLinked = updates.paymentMethods.filter(payment => LINKED_PAYMENT_METHODS.includes(payment.method));
+      const unmatched = [...linked];
+      const unchanged = submittedLinked.every(payment => {
+        const index = unmatched.findIndex(billed => billed.method === payment.method && billed.amount === Number(payment.amount));
+        if (index < 0) return false;
+        unmatched.splice(index, 1);
+        return true;
+      });
+      if (!unchanged || (submittedLinked.length > 0 && unmatched.length > 0)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Store credit, booking advance and exchange credit payments cannot be changed by editing an order' 
+        });
+      }
+
+      updates.paymentMethods = [
+        ...updates.paymentMethods.filter(payment => !LINKED_PAYMENT_METHODS.includes(payment.method)),
+        ...linked.map(payment => payment.toObject())
+      ];
+    }
+
+    // Once the business day is closed its orders are frozen unless an admin overrides,
+    // and an order cannot be moved onto a closed day either
+    const day = before.date || businessDate(before.createdAt);
+    const days = [...new Set([day, updates.date || day])];
+    const closed = await DayClose.find({ date: { $in: days } }, 'date').lean();
+    if (closed.length > 0) {
+      const closedDays = closed.map(dayClose => dayClose.date).sort();
+      if (!overrideDayClose) {
+        return res.status(409).json({ 
+          success: false, 
+          message: `Business day ${closedDays.join(' and ')} is closed. Editing this order needs a day-close override`,
+          dayClosed: true
+        });
+      }
+      if (!hasPermission(req.permissions, 'orders.overrideDayClose')) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to edit orders on a closed day' 
+        });
+      }
+    }
+
+    // Returns point at billed lines by id and count what was returned from each,
+    // so once anything has come back the lines are frozen
+    if (req.body.items && (before.creditNotes?.length || before.items.some(item => item.returnedQty > 0))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Items cannot be edited on an order with returns against it' 
+      });
+    }
+
+    // Lines already billed keep their billed price; added pieces are priced at today's rate
+    if (req.body.items) {
+      updates.items = await priceEditedItems(before, req.body.items);
+    }
+
+    // An edited discount is the counter's share, within the role limit; billed promotions stay on top
+    if (updates.discount !== undefined) {
+      const manualDiscount = round2(Math.max(Number(updates.discount) || 0, 0));
+      const subtotal = (updates.items || before.items)
+        .reduce((sum, item) => sum + (Number(item.price) || 0) * (Number(item.qty) || 1), 0);
+      assertDiscountWithinLimit(manualDiscount, subtotal, await getRoleDiscountLimit(req.user.role));
+      updates.manualDiscount = manualDiscount;
+      updates.discount = round2(manualDiscount + (before.promotionDiscount || 0));
+    }
+
+    // Recalculate GST whenever anything that feeds into it changes
+    const gstInputs = ['items', 'discount', 'customer', 'extraCharges', 'subtotal', 'amountAfterDiscount', 'tax', 'grandTotal'];
+    const merged = { ...before.toObject(), ...updates };
+    if (gstInputs.some(field => field in req.body) && !hasChitWeightReduction(merged)) {
+      Object.assign(updates, await applyGst(merged, { ...updates, extraCharges: merged.extraCharges }));
+    }
+
     // If updating chit settlement, update the top-level chitSettlement field
-    if (req.body.chitSettlement) {
-      order.chitSettlement = {
-        ...req.body.chitSettlement,
-        goldPricePerGram: req.body.chitSettlement.goldPricePerGram || 6000
+    if (body.chitSettlement) {
+      updates.chitSettlement = {
+        ...body.chitSettlement,
+        goldPricePerGram: body.chitSettlement.goldPricePerGram || 6000
       };
-      await order.save();
     }
+
+    let order;
+    let revision;
+
+    // The edit and its revision record commit together; the revision check
+    // rejects an edit based on a version someone else has already changed
+    await session.withTransaction(async () => {
+      if (updates.items) {
+        await moveEditedStock(before, updates.items, { userId: req.user.id, name: req.user.name || req.user.email }, session);
+      }
+
+      order = await Order.findOneAndUpdate(
+        { _id: req.params.id, revision: before.revision || { $in: [0, null] } },
+        { ...updates, $inc: { revision: 1 } },
+        { new: true, runValidators: true, session }
+      );
+      if (!order) {
+        throw new HttpError(409, 'This order was changed by someone else. Reload it and try again');
+      }
+
+      revision = await recordOrderRevision(before, order, {
+        reason,
+        by: { userId: req.user.id, name: req.user.name || req.user.email },
+        dayCloseOverride: closed.length > 0
+      }, session);
+    });
+
+    await recordAudit(req, { entity: 'Order', action: 'update', before, after: order, note: reason });
     
     res.json({ 
       success: true, 
       order,
+      revision,
       message: 'Order updated successfully' 
     });
   } catch (err) {
     console.error('Order update error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
     
     if (err.name === 'CastError') {
       return res.status(400).json({ 
@@ -547,53 +1211,107 @@ router.put('/:id', async (req, res) => {
       success: false, 
       message: 'Server error while updating order' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// DELETE /api/orders/:id
-router.delete('/:id', async (req, res) => {
+// POST /api/orders/:id/cancel - Cancel an invoice (kept on file), restore stock and chits and refund the payments
+//
+// Body: { reason, overrideDayClose? }
+router.post('/:id/cancel', requirePermission('orders.cancel'), attachShift, async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
-    
-    if (!order) {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required to cancel an order' 
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid order ID' 
+      });
+    }
+
+    const before = await Order.findById(req.params.id);
+
+    if (!before) {
       return res.status(404).json({ 
         success: false, 
         message: 'Order not found' 
       });
     }
-    
-    // Restore stock for each item
-    for (const item of order.items) {
-      await Product.findOneAndUpdate(
-        { sku: item.sku },
-        { $inc: { stock: item.qty } },
-        { new: true }
-      );
+
+    // The refunds land on today's figures and the sale leaves its own day's, so
+    // neither day may be closed unless an admin overrides
+    const today = businessDate();
+    const days = [...new Set([before.date || businessDate(before.createdAt), today])];
+    const closed = await DayClose.find({ date: { $in: days } }, 'date').lean();
+    if (closed.length > 0) {
+      const closedDays = closed.map(dayClose => dayClose.date).sort();
+      if (!req.body.overrideDayClose) {
+        return res.status(409).json({ 
+          success: false, 
+          message: `Business day ${closedDays.join(' and ')} is closed. Cancelling this order needs a day-close override`,
+          dayClosed: true
+        });
+      }
+      if (!hasPermission(req.permissions, 'orders.overrideDayClose')) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to cancel orders on a closed day' 
+        });
+      }
     }
+
+    let result;
+
+    // Stock, wallet, chits, refunds and the order's status change together
+    await session.withTransaction(async () => {
+      const order = await Order.findById(req.params.id).session(session);
+      result = await cancelOrder(order, {
+        reason,
+        by: { userId: req.user.id, name: req.user.name || req.user.email, shiftId: req.shift?._id }
+      }, session);
+    });
+
+    const { order, reopenedChits } = result;
+    await recordAudit(req, { entity: 'Order', action: 'update', before, after: order, note: `Cancelled: ${reason}` });
     
     res.json({ 
       success: true, 
-      message: 'Order deleted successfully' 
+      order,
+      reopenedChits,
+      refunds: order.cancellation.refunds,
+      message: `Order ${order.invoiceNumber} cancelled` 
     });
   } catch (err) {
-    console.error('Order delete error:', err);
-    
-    if (err.name === 'CastError') {
-      return res.status(400).json({ 
+    console.error('Order cancel error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
         success: false, 
-        message: 'Invalid order ID' 
+        message: err.message,
+        ...err.details
       });
     }
     
     res.status(500).json({ 
       success: false, 
-      message: 'Server error while deleting order' 
+      message: 'Server error while cancelling order' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 // GET /api/orders/summary/daily
-router.get('/summary/daily', async (req, res) => {
+router.get('/summary/daily', requirePermission('orders.view'), async (req, res) => {
   try {
     const { date } = req.query;
     
@@ -604,31 +1322,7 @@ router.get('/summary/daily', async (req, res) => {
       });
     }
     
-    const orders = await Order.find({ date: date });
-    
-    const summary = {
-      totalOrders: orders.length,
-      totalRevenue: orders.reduce((sum, order) => sum + order.grandTotal, 0),
-      totalAdvanceAmount: orders.reduce((sum, order) => sum + (order.advanceAmount || 0), 0), // ADDED: Sum of advance amounts
-      paymentMethods: {},
-      chitSettlements: orders.filter(order => 
-        order.paymentMethods?.some(p => p.method === 'Chit Settlement')
-      ).length,
-      goldExchanges: orders.filter(order => 
-        order.paymentMethods?.some(p => p.method === 'Gold Exchange')
-      ).length
-    };
-    
-    // Calculate payment method breakdown
-    orders.forEach(order => {
-      order.paymentMethods?.forEach(payment => {
-        const method = payment.method;
-        if (!summary.paymentMethods[method]) {
-          summary.paymentMethods[method] = 0;
-        }
-        summary.paymentMethods[method] += payment.amount;
-      });
-    });
+    const summary = await buildDailySummary(date);
     
     res.json({
       success: true,
@@ -645,7 +1339,7 @@ router.get('/summary/daily', async (req, res) => {
 });
 
 // GET /api/orders/search
-router.get('/search', async (req, res) => {
+router.get('/search', requirePermission('orders.view'), async (req, res) => {
   try {
     const { q, startDate, endDate, limit = 20 } = req.query;
     
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const mongoose = require('mongoose');
 const { getNextSequence } = require('../utils/counterHelper');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { setStock, adjustStock, transferStock } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+const { currentPriceBreakdown } = require('../utils/pricing');
 
 const multer = require('multer');
 const path = require('path');
@@ -65,7 +72,7 @@ async function uploadBufferToS3({ buffer, key, contentType }) {
 }
 
 // Image upload endpoint
-router.post('/upload', uploadMemory.single('image'), async (req, res) => {
+router.post('/upload', requirePermission('products.create'), uploadMemory.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded' });
@@ -84,7 +91,7 @@ router.post('/upload', uploadMemory.single('image'), async (req, res) => {
 });
 
 // Multiple images upload
-router.post('/upload-multiple', uploadMemory.array('images', 10), async (req, res) => {
+router.post('/upload-multiple', requirePermission('products.create'), uploadMemory.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ success: false, message: 'No files uploaded' });
@@ -111,7 +118,7 @@ router.post('/upload-multiple', uploadMemory.array('images', 10), async (req, re
 });
 
 // List all products
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('products.view'), async (req, res) => {
   try {
     const products = await Product.find().sort({ createdAt: -1 });
     res.json({ success: true, products });
@@ -122,7 +129,7 @@ router.get('/', async (req, res) => {
 });
 
 // Fetch single product by id
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('products.view'), async (req, res) => {
   try {
     const prod = await Product.findById(req.params.id);
     if (!prod) return res.status(404).json({ success: false, message: 'Product not found' });
@@ -134,7 +141,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Fetch by SKU
-router.get('/sku/:sku', async (req, res) => {
+router.get('/sku/:sku', requirePermission('products.view'), async (req, res) => {
   try {
     const { sku } = req.params;
     const prod = await Product.findOne({ sku });
@@ -146,6 +153,32 @@ router.get('/sku/:sku', async (req, res) => {
   }
 });
 
+// GET /api/products/:id/price - price breakdown at today's rate
+router.get('/:id/price', requirePermission('products.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const prod = await Product.findById(req.params.id);
+    if (!prod) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    res.json({ success: true, sku: prod.sku, storedPrice: prod.price, pricing: await currentPriceBreakdown(prod) });
+  } catch (err) {
+    console.error('Product price error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Fields the rate-based price depends on
+const PRICING_FIELDS = ['metal', 'purity', 'weight', 'wastage', 'makingCharges', 'stonePrice'];
+
+// Helper: today's rate-based price for a product, or null when no rate is set for its metal/purity
+const ratePriceFor = async (product) => {
+  const breakdown = await currentPriceBreakdown(product);
+  return breakdown.source === 'rate' ? breakdown.total : null;
+};
+
 // SKU generation helpers
 const getYyyymm = (d = new Date()) => {
   const y = d.getFullYear();
@@ -167,10 +200,11 @@ const parseWeight = (value) => {
 };
 
 // Create product with stone weight and net weight
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('products.create'), async (req, res) => {
   try {
     const {
       name, category, metal, weight, stoneWeight, netWeight, purity, makingCharges, wastage, stonePrice, price, description, image,
+      stock, location,
     } = req.body;
 
     if (!name || !category) {
@@ -206,12 +240,27 @@ router.post('/', async (req, res) => {
       price: parseWeight(price),
       description: description || '',
       image: image || '',
+      stock: stock !== undefined ? Math.max(0, parseInt(stock, 10) || 0) : 1,
+      location: location || undefined,
       sku,
       qrCode,
     };
 
     const product = new Product(payload);
+    // Priced from today's rate when one is set; the submitted price is kept otherwise
+    const ratePrice = await ratePriceFor(product);
+    if (ratePrice !== null) product.price = ratePrice;
     await product.save();
+    await StockMovement.create({
+      productId: product._id,
+      sku: product.sku,
+      type: 'adjustment',
+      quantity: product.stock,
+      balanceAfter: product.stock,
+      reason: 'Opening stock',
+      user: { userId: req.user.id, name: req.user.name || req.user.email },
+    });
+    await recordAudit(req, { entity: 'Product', action: 'create', after: product });
 
     return res.json({ success: true, product });
   } catch (err) {
@@ -221,9 +270,16 @@ router.post('/', async (req, res) => {
 });
 
 // Update product
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('products.update'), async (req, res) => {
   try {
     const updates = { ...req.body };
+
+    // Stock and bucket only change through /:id/stock so every change leaves a movement record;
+    // holds belong to parked bills
+    delete updates.stock;
+    delete updates.available;
+    delete updates.bucket;
+    delete updates.holds;
     
     // Parse weight values to ensure they are numbers
     if (updates.weight !== undefined) {
@@ -249,12 +305,21 @@ router.put('/:id', async (req, res) => {
     if (updates.stonePrice !== undefined) updates.stonePrice = parseWeight(updates.stonePrice);
     if (updates.price !== undefined) updates.price = parseWeight(updates.price);
 
-    const updated = await Product.findByIdAndUpdate(req.params.id, updates, { 
+    const before = await Product.findById(req.params.id);
+
+    // Reprice when anything the rate-based price depends on changes
+    if (before && PRICING_FIELDS.some(field => updates[field] !== undefined)) {
+      const ratePrice = await ratePriceFor({ ...before.toObject(), ...updates });
+      if (ratePrice !== null) updates.price = ratePrice;
+    }
+
+    const updated = before && await Product.findByIdAndUpdate(req.params.id, updates, { 
       new: true, 
       runValidators: true 
     });
     
     if (!updated) return res.status(404).json({ success: false, message: 'Product not found' });
+    await recordAudit(req, { entity: 'Product', action: 'update', before, after: updated });
     return res.json({ success: true, product: updated });
   } catch (err) {
     console.error('Product update error:', err);
@@ -263,7 +328,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete product
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('products.delete'), async (req, res) => {
   try {
     const prod = await Product.findById(req.params.id);
     if (!prod) return res.status(404).json({ success: false, message: 'Product not found' });
@@ -282,6 +347,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entity: 'Product', action: 'delete', before: prod });
     return res.json({ success: true, message: 'Product deleted' });
   } catch (err) {
     console.error('Product delete error:', err);
@@ -290,9 +356,18 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Mark as sold
-router.put('/:sku/mark-sold', async (req, res) => {
+router.put('/:sku/mark-sold', requirePermission('products.update'), async (req, res) => {
   try {
-    await Product.findOneAndUpdate({ sku: req.params.sku }, { available: false });
+    const before = await Product.findOne({ sku: req.params.sku });
+    if (before) {
+      const { product } = await setStock({
+        sku: req.params.sku,
+        quantity: 0,
+        reason: 'Marked as sold',
+        user: { userId: req.user.id, name: req.user.name || req.user.email },
+      });
+      await recordAudit(req, { entity: 'Product', action: 'update', before, after: product, note: 'Marked as sold' });
+    }
     res.json({ success: true });
   } catch (err) {
     console.error('Mark sold error:', err);
@@ -301,7 +376,7 @@ router.put('/:sku/mark-sold', async (req, res) => {
 });
 
 // Search products
-router.get('/search', async (req, res) => {
+router.get('/search', requirePermission('products.view'), async (req, res) => {
   try {
     const { q } = req.query;
     if (!q) {
@@ -324,7 +399,7 @@ router.get('/search', async (req, res) => {
 });
 
 // Get product stats
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('products.view'), async (req, res) => {
   try {
     const totalProducts = await Product.countDocuments();
     const goldProducts = await Product.countDocuments({ metal: 'gold' });
@@ -347,15 +422,24 @@ router.get('/stats', async (req, res) => {
 });
 
 // Update product availability
-router.patch('/:id/availability', async (req, res) => {
+router.patch('/:id/availability', requirePermission('products.update'), async (req, res) => {
   try {
     const { available } = req.body;
-    const updated = await Product.findByIdAndUpdate(
-      req.params.id,
-      { available },
-      { new: true, runValidators: true }
-    );
-    if (!updated) return res.status(404).json({ success: false, message: 'Product not found' });
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    // Availability is derived from stock: unavailable empties it, available restocks an empty piece
+    const currentStock = before.stock ?? (before.available ? 1 : 0);
+    const quantity = available ? Math.max(currentStock, 1) : 0;
+    const { product: updated } = await setStock({
+      productId: before._id,
+      quantity,
+      reason: available ? 'Marked available' : 'Marked unavailable',
+      bucket: available ? 'sellable' : undefined,
+      user: { userId: req.user.id, name: req.user.name || req.user.email },
+    });
+
+    await recordAudit(req, { entity: 'Product', action: 'update', before, after: updated });
     return res.json({ success: true, product: updated });
   } catch (err) {
     console.error('Product availability update error:', err);
@@ -363,4 +447,101 @@ router.patch('/:id/availability', async (req, res) => {
   }
 });
 
+// Adjust or transfer stock with a reason
+router.post('/:id/stock', requirePermission('products.stock'), async (req, res) => {
+  try {
+    const { type = 'adjustment', quantity, change, toLocation, reason, bucket } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required for stock changes' });
+    }
+    if (bucket !== undefined && !Product.schema.path('bucket').enumValues.includes(bucket)) {
+      return res.status(400).json({ success: false, message: 'Bucket must be sellable, melt or repair' });
+    }
+
+    const before = await Product.findById(req.params.id);
+    if (!before) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const user = { userId: req.user.id, name: req.user.name || req.user.email };
+    let result;
+
+    if (type === 'transfer') {
+      if (!toLocation) {
+        return res.status(400).json({ success: false, message: 'Destination location is required for transfers' });
+      }
+      result = await transferStock({ productId: before._id, toLocation, reason, user });
+    } else if (type === 'adjustment') {
+      if (quantity !== undefined) {
+        const target = parseInt(quantity, 10);
+        if (isNaN(target) || target < 0) {
+          return res.status(400).json({ success: false, message: 'Quantity must be a non-negative integer' });
+        }
+        result = await setStock({ productId: before._id, quantity: target, reason, user, bucket });
+      } else if (change === undefined && bucket) {
+        // Bucket-only move, e.g. a repaired piece going back on sale
+        const current = before.stock ?? (before.available ? 1 : 0);
+        result = await setStock({ productId: before._id, quantity: current, reason, user, bucket });
+      } else {
+        const delta = parseInt(change, 10);
+        if (isNaN(delta) || delta === 0) {
+          return res.status(400).json({ success: false, message: 'Provide a quantity, a non-zero change or a bucket' });
+        }
+        result = await adjustStock({ productId: before._id, change: delta, type: 'adjustment', reason, user, bucket });
+      }
+    } else {
+      return res.status(400).json({ success: false, message: 'Type must be adjustment or transfer' });
+    }
+
+    await recordAudit(req, { entity: 'Product', action: 'update', before, after: result.product, note: reason });
+    return res.json({ success: true, product: result.product, movement: result.movement });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error('Stock adjustment error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Stock movement history
+router.get('/:id/movements', requirePermission('products.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, type } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const query = { productId: product._id };
+    if (type) query.type = type;
+
+    const movements = await StockMovement.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.json({
+      success: true,
+      product: { _id: product._id, sku: product.sku, name: product.name, stock: product.stock, available: product.available },
+      movements,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalMovements: total,
+      },
+    });
+  } catch (err) {
+    console.error('Stock movements fetch error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
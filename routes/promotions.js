@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const PROMOTION_TYPES = Promotion.schema.path('type').enumValues;
+const PERCENT_TYPES = ['making_percent', 'wastage_percent', 'percent'];
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'value', 'metals', 'categories', 'minOrderValue',
+  'maxDiscount', 'code', 'startsAt', 'endsAt', 'usageLimit', 'active'
+];
+
+// Helper: the editable fields present in the body, with an empty coupon code meaning "automatic"
+const pickPromotionFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (fields.code !== undefined) fields.code = String(fields.code || '').trim().toUpperCase() || null;
+  return fields;
+};
+
+// Helper: reject an inconsistent promotion (the merged result of an edit is checked too)
+const promotionError = (promotion) => {
+  if (!promotion.name) return 'Promotion name is required';
+  if (!PROMOTION_TYPES.includes(promotion.type)) return `Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  if (typeof promotion.value !== 'number' || promotion.value <= 0) return 'Promotion value must be a positive number';
+  if (PERCENT_TYPES.includes(promotion.type) && promotion.value > 100) return 'A percentage promotion cannot exceed 100%';
+  if (promotion.startsAt && promotion.endsAt && new Date(promotion.startsAt) > new Date(promotion.endsAt)) {
+    return 'Promotion cannot end before it starts';
+  }
+  return null;
+};
+
+// Helper: a coupon code already used by another promotion
+const codeTaken = async (code, excludeId) => {
+  if (!code) return false;
+  return Boolean(await Promotion.exists({ code, ...(excludeId ? { _id: { $ne: excludeId } } : {}) }));
+};
+
+// GET /api/promotions - List promotions; ?live=true for those usable right now
+router.get('/', requirePermission('promotions.view'), async (req, res) => {
+  try {
+    const { live, code, metal, category } = req.query;
+
+    const query = {};
+    if (code) query.code = String(code).trim().toUpperCase();
+    if (metal) query.metals = { $in: [String(metal).toLowerCase(), []] };
+    if (category) query.categories = { $in: [category, []] };
+
+    let promotions = await Promotion.find(query).sort({ createdAt: -1 });
+    if (live === 'true') promotions = promotions.filter(promotion => promotion.isLive);
+
+    res.json({ success: true, promotions });
+  } catch (err) {
+    console.error('Promotions fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotions'
+    });
+  }
+});
+
+// GET /api/promotions/:id
+router.get('/:id', requirePermission('promotions.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({ success: true, promotion });
+  } catch (err) {
+    console.error('Promotion fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching promotion'
+    });
+  }
+});
+
+// POST /api/promotions - Create a promotion
+//
+// Body: { name, type, value, metals?, categories?, minOrderValue?, maxDiscount?, code?,
+//         startsAt?, endsAt?, usageLimit?, active?, description? }
+router.post('/', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    const fields = pickPromotionFields(req.body);
+
+    const error = promotionError(fields);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await codeTaken(fields.code)) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon code ${fields.code} is already in use`
+      });
+    }
+
+    const promotion = new Promotion({
+      ...fields,
+      code: fields.code || undefined,
+      createdBy: { userId: req.user.id, name: req.user.name || req.user.email }
+    });
+    await promotion.save();
+    await recordAudit(req, { entity: 'Promotion', action: 'create', after: promotion });
+
+    res.status(201).json({
+      success: true,
+      promotion,
+      message: `Promotion "${promotion.name}" created`
+    });
+  } catch (err) {
+    console.error('Promotion create error:', err);
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating promotion'
+    });
+  }
+});
+
+// PUT /api/promotions/:id - Edit a promotion (set active: false to switch it off)
+router.put('/:id', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const before = await Promotion.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const fields = pickPromotionFields(req.body);
+
+    const error = promotionError({ ...before.toObject(), ...fields });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await codeTaken(fields.code, before._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon code ${fields.code} is already in use`
+      });
+    }
+
+    const update = { $set: fields };
+    if (fields.code === null) {
+      delete fields.code;
+      update.$unset = { code: 1 };
+    }
+
+    const promotion = await Promotion.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+    await recordAudit(req, { entity: 'Promotion', action: 'update', before, after: promotion });
+
+    res.json({
+      success: true,
+      promotion,
+      message: `Promotion "${promotion.name}" updated`
+    });
+  } catch (err) {
+    console.error('Promotion update error:', err);
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating promotion'
+    });
+  }
+});
+
+// DELETE /api/promotions/:id - Delete a promotion that has never been used
+router.delete('/:id', requirePermission('promotions.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+
+    const promotion = await Promotion.findOneAndDelete({ _id: req.params.id, usedCount: { $in: [0, null] } });
+
+    if (!promotion) {
+      const exists = await Promotion.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists
+          ? 'This promotion has been used on orders. Deactivate it instead'
+          : 'Promotion not found'
+      });
+    }
+
+    await recordAudit(req, { entity: 'Promotion', action: 'delete', before: promotion });
+
+    res.json({
+      success: true,
+      message: `Promotion "${promotion.name}" deleted`
+    });
+  } catch (err) {
+    console.error('Promotion delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting promotion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const { getRoleDiscountLimit, requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const { getSetting } = require('../utils/settings');
+const { convertQuotation, createQuotation } = require('../utils/quotationHelper');
+
+// POST /api/quotations - Price an estimate at today's rates
+//
+// Body: { customerId?, customer: { name, phone }, items: [{ sku, qty }], discount?, extraCharges?, validityDays?, notes? }
+router.post('/', requirePermission('quotations.create'), async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotation must contain at least one item'
+      });
+    }
+
+    if (items.some(item => !item?.sku)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every item needs a SKU'
+      });
+    }
+
+    const config = await getSetting('quotation');
+    const quotation = await createQuotation(
+      req.body,
+      config,
+      { userId: req.user.id, name: req.user.name || req.user.email },
+      { maxDiscountPercent: await getRoleDiscountLimit(req.user.role) }
+    );
+
+    await recordAudit(req, { entity: 'Quotation', action: 'create', after: quotation });
+
+    res.status(201).json({
+      success: true,
+      quotation,
+      message: `Quotation ${quotation.quotationNumber} for ₹${quotation.grandTotal.toLocaleString()} valid until ${quotation.validUntil.toISOString().slice(0, 10)}`
+    });
+  } catch (err) {
+    console.error('Quotation create error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating quotation'
+    });
+  }
+});
+
+// GET /api/quotations - List quotations, filtered by status, customer phone or number
+router.get('/', requirePermission('quotations.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, phone, q } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (phone) query['customer.phone'] = phone;
+    if (q) {
+      const searchRegex = { $regex: q, $options: 'i' };
+      query.$or = [
+        { quotationNumber: searchRegex },
+        { 'customer.name': searchRegex },
+        { 'items.sku': searchRegex }
+      ];
+    }
+
+    const quotations = await Quotation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Quotation.countDocuments(query);
+
+    res.json({
+      success: true,
+      quotations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalQuotations: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Quotations fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching quotations'
+    });
+  }
+});
+
+// GET /api/quotations/:id
+router.get('/:id', requirePermission('quotations.view'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    res.json({ success: true, quotation });
+  } catch (err) {
+    console.error('Quotation fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching quotation'
+    });
+  }
+});
+
+// POST /api/quotations/:id/convert - Bill the quotation (quoted prices within validity, today's rates after)
+//
+// Body: { paymentMethods, ...any other POST /api/orders fields }. Items, discount and
+// extra charges come from the quotation.
+router.post('/:id/convert', requirePermission('quotations.create'), requirePermission('orders.create'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID'
+      });
+    }
+
+    const before = await Quotation.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    let result;
+
+    // The order and the quotation's status commit together
+    await session.withTransaction(async () => {
+      const quotation = await Quotation.findById(req.params.id).session(session);
+      result = await convertQuotation(quotation, req.body, shiftAttribution(req), session);
+      await quotation.save({ session });
+    });
+
+    const { quotation, order, repriced, priceChanges } = result;
+    await recordAudit(req, { entity: 'Order', action: 'create', after: order, note: `Converted from ${quotation.quotationNumber}` });
+    await recordAudit(req, {
+      entity: 'Quotation',
+      action: 'update',
+      before,
+      after: quotation,
+      note: `Converted to ${order.invoiceNumber}${repriced ? ' at current rates' : ''}`
+    });
+
+    res.status(201).json({
+      success: true,
+      quotation,
+      order,
+      repriced,
+      priceChanges,
+      message: repriced
+        ? `Quotation had expired and was billed at today's rates on ${order.invoiceNumber}`
+        : `Quotation ${quotation.quotationNumber} converted to ${order.invoiceNumber}`
+    });
+  } catch (err) {
+    console.error('Quotation convert error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while converting quotation'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// POST /api/quotations/:id/cancel
+router.post('/:id/cancel', requirePermission('quotations.create'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID'
+      });
+    }
+
+    const before = await Quotation.findById(req.params.id);
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id: req.params.id, status: 'Open' },
+      { status: 'Cancelled' },
+      { new: true }
+    );
+
+    if (!quotation) {
+      return res.status(400).json({
+        success: false,
+        message: `Only open quotations can be cancelled (this one is ${before.status})`
+      });
+    }
+
+    await recordAudit(req, { entity: 'Quotation', action: 'update', before, after: quotation, note: 'Quotation cancelled' });
+
+    res.json({
+      success: true,
+      quotation,
+      message: `Quotation ${quotation.quotationNumber} cancelled`
+    });
+  } catch (err) {
+    console.error('Quotation cancel error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling quotation'
+    });
+  }
+});
+
+module.exports = router;
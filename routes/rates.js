@@ -2,15 +2,12 @@ const express = require('express');
 const router = express.Router();
 const Rate = require('../models/Rate');
 const Product = require('../models/Product');
-
-function computePriceForProduct(rate, weight, wastage = 0, makingCharges = 0, stonePrice = 0) {
-  const w = parseFloat(weight || '0') || 0;
-  const wastageAmount = (w * rate * wastage) / 100;
-  return Math.round(w * rate + wastageAmount + makingCharges + stonePrice);
-}
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { normalizePurity, priceProductAt } = require('../utils/pricing');
 
 // GET all rates
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('rates.view'), async (req, res) => {
   try {
     const rates = await Rate.find().sort({ metal: 1, purity: 1 });
     res.json({ success: true, rates });
@@ -21,7 +18,7 @@ router.get('/', async (req, res) => {
 });
 
 // PUT update rate by metal and optional purity
-router.put('/:metal', async (req, res) => {
+router.put('/:metal', requirePermission('rates.update'), async (req, res) => {
   const { metal } = req.params;
   const { price, purity } = req.body;
 
@@ -32,9 +29,7 @@ router.put('/:metal', async (req, res) => {
   }
 
   try {
-    const validPurities = ['24K', '22K', '18K'];
-    const normalizedPurity =
-      metal === 'silver' ? null : validPurities.includes(purity) ? purity : '22K';
+    const normalizedPurity = normalizePurity(metal, purity);
 
     const query = { metal, purity: normalizedPurity };
     const update = {
@@ -43,6 +38,7 @@ router.put('/:metal', async (req, res) => {
       purity: normalizedPurity,
     };
 
+    const before = await Rate.findOne(query);
     const updatedRate = await Rate.findOneAndUpdate(query, update, {
       new: true,
       upsert: true,
@@ -64,13 +60,7 @@ router.put('/:metal', async (req, res) => {
           filter: { _id: p._id },
           update: {
             $set: {
-              price: computePriceForProduct(
-                Number(price),
-                p.weight,
-                p.wastage ?? 0,
-                p.makingCharges ?? 0,
-                p.stonePrice ?? 0
-              ),
+              price: priceProductAt(Number(price), p).total,
             },
           },
         },
@@ -80,6 +70,14 @@ router.put('/:metal', async (req, res) => {
       updatedCount = result.modifiedCount ?? result.nModified ?? 0;
     }
 
+    await recordAudit(req, {
+      entity: 'Rate',
+      action: before ? 'update' : 'create',
+      before,
+      after: updatedRate,
+      note: `Repriced ${updatedCount} product(s)`,
+    });
+
     res.json({ success: true, rate: updatedRate, updatedProducts: updatedCount });
   } catch (err) {
     console.error('Rate update error:', err);
@@ -88,7 +86,7 @@ router.put('/:metal', async (req, res) => {
 });
 
 // POST /api/rates/seed — optional seeding route
-router.post('/seed', async (req, res) => {
+router.post('/seed', requirePermission('rates.update'), async (req, res) => {
   try {
     const baseRates = [
       { metal: 'gold', purity: '24K', price: 0 },
@@ -98,11 +96,14 @@ router.post('/seed', async (req, res) => {
     ];
 
     for (const r of baseRates) {
-      await Rate.updateOne(
+      const result = await Rate.updateOne(
         { metal: r.metal, purity: r.purity },
         { $setOnInsert: { price: r.price, updatedAt: new Date() } },
         { upsert: true }
       );
+      if (result.upsertedId) {
+        await recordAudit(req, { entity: 'Rate', entityId: result.upsertedId, action: 'create', after: r, note: 'Seeded' });
+      }
     }
 
     res.json({ success: true, message: 'Rates seeded successfully' });
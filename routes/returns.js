@@ -1,34 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const Return = require('../models/Return');
+const Order = require('../models/Order');
+const mongoose = require('mongoose');
+const { requirePermission } = require('../middleware/auth');
+const { attachShift, shiftAttribution } = require('../middleware/shift');
+const { idempotency } = require('../middleware/idempotency');
+const { hasPermission } = require('../utils/permissions');
+const { getSetting } = require('../utils/settings');
+const { recordAudit } = require('../utils/audit');
+const HttpError = require('../utils/httpError');
+const {
+  RETURN_TRANSITIONS,
+  approveReturn,
+  canTransition,
+  createReturn,
+  recordRefund,
+  reverseReturn
+} = require('../utils/returnHelper');
 
-// POST /api/returns - Create a new return
-router.post('/', async (req, res) => {
+const REFUND_METHODS = ['cash', 'upi', 'bank', 'store_credit', 'gold_credit'];
+
+// Helper: the staff member acting on a return
+const actingUser = (req) => ({ userId: req.user.id, name: req.user.name || req.user.email });
+
+// POST /api/returns - Request a return against order lines (credit note is issued on approval)
+router.post('/', requirePermission('returns.create'), async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     // Validate required fields
-    const { orderId, returnReason, returnType, returnWeight } = req.body;
+    const { orderId, orderRef, items, returnReason, returnType, returnWeight } = req.body;
     
-    if (!orderId || !returnReason || !returnType || returnWeight === undefined) {
+    if ((!orderId && !orderRef) || !returnReason || !returnType || returnWeight === undefined) {
       return res.status(400).json({ 
         success: false, 
         message: 'Missing required fields (orderId, returnReason, returnType, returnWeight)' 
       });
     }
 
-    const newReturn = new Return({
-      ...req.body,
-      status: 'Completed', // Default status
-      createdAt: new Date()
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Select at least one item (sku and qty) to return' 
+      });
+    }
+
+    let result;
+
+    // The return and the order's returned quantities commit together
+    await session.withTransaction(async () => {
+      result = await createReturn(req.body, session);
+      result.returnDoc.statusHistory.push({ to: 'Requested', by: actingUser(req) });
+      await result.returnDoc.save({ session });
+    });
+
+    const { returnDoc: newReturn, order, orderBefore } = result;
+    await recordAudit(req, { entity: 'Return', action: 'create', after: newReturn });
+    await recordAudit(req, {
+      entity: 'Order',
+      action: 'update',
+      before: orderBefore,
+      after: order,
+      note: `Return ${newReturn._id} requested`
     });
-    
-    await newReturn.save();
     
     res.status(201).json({ 
       success: true, 
-      return: newReturn 
+      return: newReturn
     });
   } catch (err) {
     console.error('Return save error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message 
+      });
+    }
     
     if (err.name === 'ValidationError') {
       return res.status(400).json({ 
@@ -42,11 +90,13 @@ router.post('/', async (req, res) => {
       success: false, 
       message: 'Server error while creating return' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 // GET /api/returns - Get all returns
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('returns.view'), async (req, res) => {
   try {
     const returns = await Return.find().sort({ createdAt: -1 });
     res.json({ 
@@ -64,7 +114,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/returns/:id - Get return by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('returns.view'), async (req, res) => {
   try {
     const returnDoc = await Return.findById(req.params.id);
     
@@ -97,16 +147,39 @@ router.get('/:id', async (req, res) => {
 });
 
 // DELETE /api/returns/:id - Delete a return
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('returns.delete'), async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const deletedReturn = await Return.findByIdAndDelete(req.params.id);
+    let deletedReturn;
+    let exists = false;
+
+    // Give the returned quantities back to the order along with the delete. Once a
+    // numbered credit note, a restock or a refund is on record the return is part
+    // of the GST trail and stays
+    await session.withTransaction(async () => {
+      deletedReturn = await Return.findOneAndDelete({
+        _id: req.params.id,
+        'creditNote.number': { $exists: false },
+        restocked: { $ne: true },
+        'refunds.0': { $exists: false }
+      }, { session });
+      if (deletedReturn) {
+        await reverseReturn(deletedReturn, session);
+      } else {
+        exists = Boolean(await Return.exists({ _id: req.params.id }).session(session));
+      }
+    });
     
     if (!deletedReturn) {
-      return res.status(404).json({ 
+      return res.status(exists ? 400 : 404).json({ 
         success: false, 
-        message: 'Return not found' 
+        message: exists
+          ? 'This return has a credit note, restock or refund on record and cannot be deleted'
+          : 'Return not found' 
       });
     }
+
+    await recordAudit(req, { entity: 'Return', action: 'delete', before: deletedReturn });
     
     res.json({ 
       success: true, 
@@ -126,13 +199,16 @@ router.delete('/:id', async (req, res) => {
       success: false, 
       message: 'Server error while deleting return' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// PATCH /api/returns/:id/status - Update return status
-router.patch('/:id/status', async (req, res) => {
+// PATCH /api/returns/:id/status - Move a return through Requested -> Inspected -> Approved/Rejected
+router.patch('/:id/status', requirePermission('returns.update'), async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { status } = req.body;
+    const { status, notes, measuredWeight, reason } = req.body;
     
     if (!status) {
       return res.status(400).json({ 
@@ -140,19 +216,92 @@ router.patch('/:id/status', async (req, res) => {
         message: 'Status is required' 
       });
     }
+
+    if (['Approved', 'Rejected'].includes(status) && !hasPermission(req.permissions, 'returns.approve')) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'You do not have permission to perform this action' 
+      });
+    }
+
+    if (status === 'Inspected' && (typeof measuredWeight !== 'number' || measuredWeight < 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Measured weight is required when inspecting a return' 
+      });
+    }
+
+    if (status === 'Rejected' && !reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason is required to reject a return' 
+      });
+    }
     
-    const updatedReturn = await Return.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    );
+    const before = await Return.findById(req.params.id);
     
-    if (!updatedReturn) {
+    if (!before) {
       return res.status(404).json({ 
         success: false, 
         message: 'Return not found' 
       });
     }
+
+    let updatedReturn;
+    let orderChange = {};
+
+    await session.withTransaction(async () => {
+      updatedReturn = await Return.findById(req.params.id).session(session);
+      const from = updatedReturn.status;
+
+      if (!canTransition(from, status)) {
+        throw new HttpError(400, `Cannot change a return from ${from} to ${status}`, {
+          allowed: RETURN_TRANSITIONS[from] || []
+        });
+      }
+
+      const by = actingUser(req);
+      updatedReturn.statusHistory.push({ from, to: status, note: notes || reason || '', by });
+
+      if (status === 'Inspected') {
+        updatedReturn.status = status;
+        updatedReturn.inspection = {
+          measuredWeight,
+          weightDifference: Math.round((measuredWeight - (updatedReturn.returnWeight || 0)) * 1000) / 1000,
+          notes: notes || '',
+          by,
+          at: new Date()
+        };
+        await updatedReturn.save({ session });
+      } else if (status === 'Approved') {
+        // Approval issues the credit note and puts the pieces back into stock
+        orderChange = await approveReturn(updatedReturn, by, notes, session);
+      } else if (status === 'Rejected') {
+        // Release the order lines so they can be returned again later
+        const orderBefore = updatedReturn.orderRef ? (await Order.findById(updatedReturn.orderRef).session(session))?.toObject() : null;
+        const order = await reverseReturn(updatedReturn, session);
+        orderChange = { order, orderBefore };
+        updatedReturn.status = status;
+        updatedReturn.rejection = { reason, by, at: new Date() };
+        await updatedReturn.save({ session });
+      } else {
+        updatedReturn.status = status;
+        await updatedReturn.save({ session });
+      }
+    });
+
+    await recordAudit(req, { entity: 'Return', action: 'update', before, after: updatedReturn, note: `Status ${before.status} -> ${status}` });
+    if (orderChange.order) {
+      await recordAudit(req, {
+        entity: 'Order',
+        action: 'update',
+        before: orderChange.orderBefore,
+        after: orderChange.order,
+        note: status === 'Approved'
+          ? `Credit note ${updatedReturn.creditNote.number} issued`
+          : `Return ${updatedReturn._id} rejected`
+      });
+    }
     
     res.json({ 
       success: true, 
@@ -160,6 +309,14 @@ router.patch('/:id/status', async (req, res) => {
     });
   } catch (err) {
     console.error('Update return status error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
     
     if (err.name === 'CastError') {
       return res.status(400).json({ 
@@ -180,18 +337,109 @@ router.patch('/:id/status', async (req, res) => {
       success: false, 
       message: 'Server error while updating return status' 
     });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// POST /api/returns/:id/refunds - Pay back all or part of an approved return
+router.post('/:id/refunds', requirePermission('returns.refund'), attachShift, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { method, amount, reference, notes, date, goldRatePerGram, customerId } = req.body;
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Refund method must be one of ${REFUND_METHODS.join(', ')}` 
+      });
+    }
+
+    if (typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refund amount must be a positive number' 
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid return ID' 
+      });
+    }
+
+    const before = await Return.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Return not found' 
+      });
+    }
+
+    const policy = await getSetting('refundPolicy');
+    const { userId, name, shiftId } = shiftAttribution(req);
+    let updatedReturn;
+    let refund;
+
+    await session.withTransaction(async () => {
+      updatedReturn = await Return.findById(req.params.id).session(session);
+      refund = await recordRefund(
+        updatedReturn,
+        { method, amount, reference, notes, date, goldRatePerGram, customerId },
+        policy,
+        { userId, name, shiftId },
+        session
+      );
+      await updatedReturn.save({ session });
+    });
+
+    await recordAudit(req, {
+      entity: 'Return',
+      action: 'update',
+      before,
+      after: updatedReturn,
+      note: `Refund of ₹${refund.amount} by ${method}`
+    });
+
+    res.status(201).json({ 
+      success: true, 
+      refund,
+      refundSummary: updatedReturn.refundSummary,
+      return: updatedReturn
+    });
+  } catch (err) {
+    console.error('Return refund error:', err);
+
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ 
+        success: false, 
+        message: err.message,
+        ...err.details
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while recording refund' 
+    });
+  } finally {
+    await session.endSession();
   }
 });
 
 // GET /api/returns/stats - Get returns statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('returns.view'), async (req, res) => {
   try {
     const totalReturns = await Return.countDocuments();
     const returns = await Return.find();
     
-    const totalRefundAmount = returns.reduce((sum, ret) => sum + (ret.grandTotal || 0), 0);
-    const pendingReturns = await Return.countDocuments({ status: 'Pending' });
-    const completedReturns = await Return.countDocuments({ status: 'Completed' });
+    const totalRefundAmount = returns
+      .filter(ret => ret.status !== 'Rejected')
+      .reduce((sum, ret) => sum + (ret.grandTotal || 0), 0);
+    const pendingReturns = await Return.countDocuments({ status: { $in: ['Requested', 'Inspected', 'Pending'] } });
+    const completedReturns = await Return.countDocuments({ status: { $in: ['Approved', 'Refunded', 'Completed'] } });
     
     res.json({
       success: true,
@@ -212,7 +460,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET /api/returns/check/:orderId - Check if return exists for an order
-router.get('/check/:orderId', async (req, res) => {
+router.get('/check/:orderId', requirePermission('returns.view'), async (req, res) => {
   try {
     const returnDoc = await Return.findOne({ orderId: req.params.orderId });
     
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { SETTING_DEFAULTS, getSetting, settingErrors, updateSetting } = require('../utils/settings');
+
+// GET /api/settings - Every known setting with defaults applied
+router.get('/', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const settings = {};
+    for (const key of Object.keys(SETTING_DEFAULTS)) {
+      settings[key] = await getSetting(key);
+    }
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (err) {
+    console.error('Settings fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching settings'
+    });
+  }
+});
+
+// GET /api/settings/:key
+router.get('/:key', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    if (!SETTING_DEFAULTS[req.params.key]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown setting'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: req.params.key,
+      value: await getSetting(req.params.key)
+    });
+  } catch (err) {
+    console.error('Setting fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching setting'
+    });
+  }
+});
+
+// PUT /api/settings/:key - Only fields known for the key, of the right type, are accepted
+router.put('/:key', requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const defaults = SETTING_DEFAULTS[key];
+
+    if (!defaults) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown setting'
+      });
+    }
+
+    const unknownFields = Object.keys(req.body || {}).filter(field => !(field in defaults));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown fields for ${key}: ${unknownFields.join(', ')}`
+      });
+    }
+
+    const errors = settingErrors(key, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const before = await getSetting(key);
+    const value = await updateSetting(key, req.body, {
+      userId: req.user.id,
+      name: req.user.name || req.user.email
+    });
+
+    await recordAudit(req, { entity: 'Setting', entityId: key, action: 'update', before, after: value });
+
+    res.json({
+      success: true,
+      key,
+      value,
+      message: 'Setting updated successfully'
+    });
+  } catch (err) {
+    console.error('Setting update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating setting'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const Order = require('../models/Order');
+const ChitPayment = require('../models/ChitPayment');
+const Return = require('../models/Return');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const { requirePermission, getRolePermissions } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+// Helper: totals of everything billed, collected and refunded during a shift
+const buildShiftSummary = async (shift) => {
+  // Cancelled orders are left out of the order count and revenue; what was paid for
+  // them stays with the shift that took it and their refunds count in the shift
+  // that cancelled them, so each drawer reconciles
+  const orders = await Order.find({ shiftId: shift._id });
+  const activeOrders = orders.filter(order => order.status !== 'cancelled');
+  const chitPayments = await ChitPayment.find({ shiftId: shift._id, paymentStatus: 'completed' });
+
+  const paymentMethods = {};
+  orders.forEach(order => {
+    order.paymentMethods?.forEach(payment => {
+      paymentMethods[payment.method] = (paymentMethods[payment.method] || 0) + payment.amount;
+    });
+  });
+
+  // Balances collected during the shift, whichever shift billed the order
+  const ordersWithCollections = await Order.find({ 'collections.shiftId': shift._id });
+  const collectionMethods = {};
+  ordersWithCollections.forEach(order => {
+    order.collections.filter(collection => String(collection.shiftId) === String(shift._id)).forEach(collection => {
+      collectionMethods[collection.method] = (collectionMethods[collection.method] || 0) + collection.amount;
+    });
+  });
+
+  const chitPaymentMethods = {};
+  chitPayments.forEach(payment => {
+    chitPaymentMethods[payment.paymentMethod] = (chitPaymentMethods[payment.paymentMethod] || 0) + payment.amount;
+  });
+
+  // Refunds paid out during the shift
+  const returnsWithRefunds = await Return.find({ 'refunds.shiftId': shift._id });
+  const refundMethods = {};
+  returnsWithRefunds.forEach(ret => {
+    ret.refunds.filter(refund => String(refund.shiftId) === String(shift._id)).forEach(refund => {
+      refundMethods[refund.method] = (refundMethods[refund.method] || 0) + refund.amount;
+    });
+  });
+
+  // Booking advances taken, and booking advances paid back, during the shift
+  const bookingAdvanceMethods = {};
+  const bookingsWithAdvances = await Booking.find({ 'payments.shiftId': shift._id });
+  bookingsWithAdvances.forEach(booking => {
+    booking.payments.filter(payment => String(payment.shiftId) === String(shift._id)).forEach(payment => {
+      bookingAdvanceMethods[payment.method] = (bookingAdvanceMethods[payment.method] || 0) + payment.amount;
+    });
+  });
+
+  const bookingRefunds = await Booking.find({ 'settlement.shiftId': shift._id, 'settlement.refundStatus': 'paid' });
+  bookingRefunds.forEach(booking => {
+    const { refundMethod, refundableAmount } = booking.settlement;
+    refundMethods[refundMethod] = (refundMethods[refundMethod] || 0) + refundableAmount;
+  });
+
+  // Advance deposits into customer wallets taken during the shift
+  const deposits = await WalletTransaction.find({ shiftId: shift._id, source: 'advance', type: 'credit' });
+  const walletDepositMethods = {};
+  deposits.forEach(deposit => {
+    walletDepositMethods[deposit.method] = (walletDepositMethods[deposit.method] || 0) + deposit.amount;
+  });
+
+  // Money handed back for orders cancelled during the shift
+  const cancelledOrders = await Order.find({ 'cancellation.shiftId': shift._id });
+  const cancellationRefundMethods = {};
+  cancelledOrders.forEach(order => {
+    order.cancellation.refunds.forEach(refund => {
+      cancellationRefundMethods[refund.method] = (cancellationRefundMethods[refund.method] || 0) + refund.amount;
+    });
+  });
+
+  const cashSales = paymentMethods.Cash || 0;
+  const cashChitCollections = chitPaymentMethods.cash || 0;
+  const cashOrderCollections = collectionMethods.Cash || 0;
+  const cashBookingAdvances = bookingAdvanceMethods.Cash || 0;
+  const cashWalletDeposits = walletDepositMethods.Cash || 0;
+  const cashRefunds = (refundMethods.cash || 0) + (cancellationRefundMethods.Cash || 0);
+
+  return {
+    totalOrders: activeOrders.length,
+    totalRevenue: activeOrders.reduce((sum, order) => sum + (order.grandTotal || 0), 0),
+    paymentMethods,
+    collectionMethods,
+    totalCollections: Object.values(collectionMethods).reduce((sum, amount) => sum + amount, 0),
+    totalChitPayments: chitPayments.length,
+    totalChitCollection: chitPayments.reduce((sum, payment) => sum + payment.amount, 0),
+    chitPaymentMethods,
+    bookingAdvanceMethods,
+    totalBookingAdvances: Object.values(bookingAdvanceMethods).reduce((sum, amount) => sum + amount, 0),
+    walletDepositMethods,
+    totalWalletDeposits: Object.values(walletDepositMethods).reduce((sum, amount) => sum + amount, 0),
+    refundMethods,
+    totalRefunds: Object.values(refundMethods).reduce((sum, amount) => sum + amount, 0),
+    totalCancellations: cancelledOrders.length,
+    cancellationRefundMethods,
+    totalCancellationRefunds: Object.values(cancellationRefundMethods).reduce((sum, amount) => sum + amount, 0),
+    expectedCash: (shift.openingCash || 0) + cashSales + cashOrderCollections + cashChitCollections + cashBookingAdvances + cashWalletDeposits - cashRefunds
+  };
+};
+
+// Helper: a shift is visible to its owner or to users with shifts.view
+const canAccessShift = async (req, shift, permission) => {
+  if (String(shift.userId) === req.user.id) return true;
+  return hasPermission(await getRolePermissions(req.user.role), permission);
+};
+
+// GET current user's open shift
+router.get('/current', async (req, res) => {
+  try {
+    const shift = await Shift.findOpenForUser(req.user.id);
+    res.json({
+      success: true,
+      shift,
+      summary: shift ? await buildShiftSummary(shift) : null
+    });
+  } catch (err) {
+    console.error('Current shift fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching current shift'
+    });
+  }
+});
+
+// OPEN shift
+router.post('/open', async (req, res) => {
+  try {
+    const { terminalId, openingCash = 0, notes } = req.body;
+
+    if (!terminalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Terminal ID is required'
+      });
+    }
+
+    if (typeof openingCash !== 'number' || openingCash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening cash must be a non-negative number'
+      });
+    }
+
+    const existing = await Shift.findOpenForUser(req.user.id);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have an open shift on terminal ${existing.terminalId}`,
+        shift: existing
+      });
+    }
+
+    const terminalShift = await Shift.findOpenForTerminal(terminalId);
+    if (terminalShift) {
+      return res.status(400).json({
+        success: false,
+        message: `Terminal ${terminalId} already has an open shift for ${terminalShift.userName}`
+      });
+    }
+
+    const shift = new Shift({
+      userId: req.user.id,
+      userName: req.user.name || req.user.email,
+      terminalId,
+      openingCash,
+      notes: notes || ''
+    });
+
+    await shift.save();
+    await recordAudit(req, { entity: 'Shift', action: 'create', after: shift });
+
+    res.json({
+      success: true,
+      shift,
+      message: 'Shift opened successfully'
+    });
+  } catch (err) {
+    console.error('Shift open error:', err);
+
+    // Another shift was opened for this user or terminal at the same moment
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: err.keyPattern?.terminalId
+          ? `Terminal ${req.body.terminalId} already has an open shift`
+          : 'You already have an open shift'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening shift'
+    });
+  }
+});
+
+// CLOSE shift
+router.post('/:id/close', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shift ID'
+      });
+    }
+
+    const { closingCash, notes } = req.body;
+
+    if (typeof closingCash !== 'number' || closingCash < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closing cash must be a non-negative number'
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await canAccessShift(req, shift, 'shifts.manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const summary = await buildShiftSummary(shift);
+    const before = shift.toObject();
+
+    shift.status = 'closed';
+    shift.closedAt = new Date();
+    shift.closingCash = closingCash;
+    shift.expectedCash = summary.expectedCash;
+    shift.cashDifference = closingCash - summary.expectedCash;
+    shift.closedBy = req.user.name || req.user.email;
+    if (notes) {
+      shift.notes = shift.notes ? `${shift.notes}\n${notes}` : notes;
+    }
+
+    await shift.save();
+    await recordAudit(req, { entity: 'Shift', action: 'update', before, after: shift, note: 'Shift closed' });
+
+    res.json({
+      success: true,
+      shift,
+      summary,
+      message: 'Shift closed successfully'
+    });
+  } catch (err) {
+    console.error('Shift close error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing shift'
+    });
+  }
+});
+
+// GET all shifts with filters
+router.get('/', requirePermission('shifts.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, userId, terminalId, status, startDate, endDate } = req.query;
+
+    let query = {};
+
+    if (userId) query.userId = userId;
+    if (terminalId) query.terminalId = terminalId;
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const shifts = await Shift.find(query)
+      .sort({ openedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Shift.countDocuments(query);
+
+    res.json({
+      success: true,
+      shifts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalShifts: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Shifts fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shifts'
+    });
+  }
+});
+
+// GET shift by ID with summary
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shift ID'
+      });
+    }
+
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!(await canAccessShift(req, shift, 'shifts.view'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    res.json({
+      success: true,
+      shift,
+      summary: await buildShiftSummary(shift)
+    });
+  } catch (err) {
+    console.error('Shift fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shift'
+    });
+  }
+});
+
+module.exports = router;
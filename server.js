@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./db/connect'); // ✅ Modular Atlas connection
+const { authenticate } = require('./middleware/auth');
 
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
@@ -10,28 +11,44 @@ const orderRoutes = require('./routes/orders');
 const returnRoutes = require('./routes/returns');
 const categoryRoutes = require('./routes/category');
 const rateRoutes = require('./routes/rates');
+const shiftRoutes = require('./routes/shifts');
+const auditRoutes = require('./routes/audit');
+const settingRoutes = require('./routes/settings');
+const exchangeRoutes = require('./routes/exchanges');
+const bookingRoutes = require('./routes/bookings');
+const quotationRoutes = require('./routes/quotations');
+const promotionRoutes = require('./routes/promotions');
+const dayCloseRoutes = require('./routes/dayClose');
 
 // Add these imports for chits
 const chitRoutes = require('./routes/chits');
 const chitPaymentRoutes = require('./routes/chitPayments');
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Idempotent-Replayed'] }));
 app.use(express.json());
 
 // ✅ Use modular connection (Atlas or local via .env)
 connectDB();
 
-// API Routes
+// API Routes (auth handles its own public/protected endpoints; everything else requires a token)
 app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/customers', customerRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/returns', returnRoutes);
-app.use('/api/categories', categoryRoutes);
-app.use('/api/rates', rateRoutes);
-app.use('/api/chits', chitRoutes);
-app.use('/api/chit-payments', chitPaymentRoutes);
+app.use('/api/products', authenticate, productRoutes);
+app.use('/api/customers', authenticate, customerRoutes);
+app.use('/api/orders', authenticate, orderRoutes);
+app.use('/api/returns', authenticate, returnRoutes);
+app.use('/api/exchanges', authenticate, exchangeRoutes);
+app.use('/api/bookings', authenticate, bookingRoutes);
+app.use('/api/quotations', authenticate, quotationRoutes);
+app.use('/api/promotions', authenticate, promotionRoutes);
+app.use('/api/day-close', authenticate, dayCloseRoutes);
+app.use('/api/categories', authenticate, categoryRoutes);
+app.use('/api/rates', authenticate, rateRoutes);
+app.use('/api/chits', authenticate, chitRoutes);
+app.use('/api/chit-payments', authenticate, chitPaymentRoutes);
+app.use('/api/shifts', authenticate, shiftRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
+app.use('/api/settings', authenticate, settingRoutes);
 
 app.use('/uploads', express.static('uploads'));
 
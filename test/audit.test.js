@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditLog = require('../models/AuditLog');
+const { diffObjects, recordAudit, toPlain } = require('../utils/audit');
+
+test('diffObjects reports nested changes by dotted path and skips bookkeeping fields', () => {
+  const before = { name: 'Ring', price: 100, stones: { count: 2, type: 'ruby' }, updatedAt: 'a' };
+  const after = { name: 'Ring', price: 120, stones: { count: 3, type: 'ruby' }, updatedAt: 'b' };
+
+  assert.deepEqual(diffObjects(before, after), [
+    { field: 'price', from: 100, to: 120 },
+    { field: 'stones.count', from: 2, to: 3 }
+  ]);
+});
+
+test('passwords and PINs never reach the audit trail', () => {
+  assert.deepEqual(toPlain({ email: 'a@shop.in', password: 'hash', pin: 'hash' }), { email: 'a@shop.in' });
+  assert.deepEqual(diffObjects({ password: 'old' }, { password: 'new' }), []);
+});
+
+test('an update entry records who made it and what changed', async (t) => {
+  const create = t.mock.method(AuditLog, 'create', async (doc) => doc);
+  const req = { method: 'PUT', originalUrl: '/api/products/p1', ip: '::1', user: { id: 'u1', name: 'Asha', email: 'a@shop.in', role: 'staff' } };
+
+  await recordAudit(req, { entity: 'Product', action: 'update', before: { _id: 'p1', price: 100 }, after: { _id: 'p1', price: 120 } });
+
+  const [entry] = create.mock.calls[0].arguments;
+  assert.equal(entry.entityId, 'p1');
+  assert.deepEqual(entry.user, { userId: 'u1', name: 'Asha', email: 'a@shop.in', role: 'staff' });
+  assert.deepEqual(entry.changes, [{ field: 'price', from: 100, to: 120 }]);
+});
+
+test('a failing audit write never fails the request', async (t) => {
+  t.mock.method(AuditLog, 'create', async () => { throw new Error('disk full'); });
+  t.mock.method(console, 'error', () => {});
+
+  await recordAudit({ method: 'DELETE', originalUrl: '/api/customers/c1' }, { entity: 'Customer', action: 'delete', before: { _id: 'c1' } });
+});
@@ -0,0 +1,86 @@
+// middleware/auth.js refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const {
+  authenticate,
+  issuedBeforePasswordChange,
+  signAccessToken,
+  signRefreshToken
+} = require('../middleware/auth');
+const { fakeQuery } = require('./fakeQuery');
+
+// Response double recording the status and body sent
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const staff = { _id: '64b000000000000000000001', email: 'a@shop.in', name: 'Asha', role: 'staff' };
+
+test('authenticate accepts a valid access token and sets req.user', async (t) => {
+  t.mock.method(User, 'findById', () => fakeQuery({ role: 'staff' }));
+  const req = { headers: { authorization: `Bearer ${signAccessToken(staff)}` } };
+  let passed = false;
+
+  await authenticate(req, fakeResponse(), () => { passed = true; });
+
+  assert.equal(passed, true);
+  assert.deepEqual(req.user, { id: staff._id, email: 'a@shop.in', name: 'Asha', role: 'staff' });
+});
+
+test('authenticate refuses a missing token, a refresh token and a tampered one', async (t) => {
+  t.mock.method(User, 'findById', () => fakeQuery({ role: 'staff' }));
+  const next = () => assert.fail('next must not be called');
+  const headers = [
+    {},
+    { authorization: `Bearer ${signRefreshToken(staff)}` },
+    { authorization: `Bearer ${signAccessToken(staff)}x` }
+  ];
+
+  for (const header of headers) {
+    const res = fakeResponse();
+    await authenticate({ headers: header }, res, next);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('tokens issued before a password change are refused', () => {
+  const changedAt = new Date('2026-01-01T10:00:00Z');
+  const iat = (date) => Math.floor(date.getTime() / 1000);
+
+  assert.equal(issuedBeforePasswordChange({ iat: iat(new Date('2026-01-01T09:00:00Z')) }, { passwordChangedAt: changedAt }), true);
+  assert.equal(issuedBeforePasswordChange({ iat: iat(new Date('2026-01-01T11:00:00Z')) }, { passwordChangedAt: changedAt }), false);
+  assert.equal(issuedBeforePasswordChange({ iat: 0 }, {}), false);
+});
+
+test('authenticate rejects a token issued before the password was changed, or of a deleted user', async (t) => {
+  const token = signAccessToken(staff);
+  const next = () => assert.fail('next must not be called');
+
+  t.mock.method(User, 'findById', () => fakeQuery({ passwordChangedAt: new Date(Date.now() + 60 * 1000) }));
+  const revoked = fakeResponse();
+  await authenticate({ headers: { authorization: `Bearer ${token}` } }, revoked, next);
+  assert.equal(revoked.statusCode, 401);
+
+  User.findById.mock.mockImplementation(() => fakeQuery(null));
+  const deleted = fakeResponse();
+  await authenticate({ headers: { authorization: `Bearer ${token}` } }, deleted, next);
+  assert.equal(deleted.statusCode, 401);
+});
+
+test('authenticate takes the role stored now, not the one signed into the token', async (t) => {
+  // Signed while an admin, demoted since
+  const token = signAccessToken({ ...staff, role: 'admin' });
+  const lookup = t.mock.method(User, 'findById', () => fakeQuery({ role: 'staff' }));
+  const req = { headers: { authorization: `Bearer ${token}` } };
+
+  await authenticate(req, fakeResponse(), () => {});
+
+  assert.equal(lookup.mock.calls[0].arguments[1], 'passwordChangedAt role');
+  assert.equal(req.user.role, 'staff');
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Booking = require('../models/Booking');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const bookingsRouter = require('../routes/bookings');
+const { convertBooking, lockedPricingFor } = require('../utils/bookingHelper');
+const { fakeQuery } = require('./fakeQuery');
+
+const BOOKING_ID = '64b0000000000000000000b1';
+const RING = { _id: 'p1', sku: 'R1', name: 'Ring', metal: 'gold', purity: '22K', weight: 4, makingCharges: 800, stock: 0 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const activeBooking = (changes = {}) => ({
+  _id: BOOKING_ID,
+  bookingNumber: 'BKG-0001',
+  status: 'Active',
+  expiresAt: new Date(Date.now() + 10 * DAY_MS),
+  items: [],
+  advanceAmount: 40000,
+  customer: { name: 'Meena' },
+  ...changes
+});
+
+const fakeOrderModels = (t) => {
+  t.mock.method(Counter, 'findOneAndUpdate', () => fakeQuery({ value: 42 }));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Product, 'find', () => fakeQuery([]));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(RING));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  return t.mock.method(Order.prototype, 'save', async function () { return this; });
+};
+
+test('the advance is applied up to the order total and the rest of a walk-in advance is owed back', async (t) => {
+  fakeOrderModels(t);
+  const booking = activeBooking();
+
+  const { order, appliedAdvance, walletCredit } = await convertBooking(booking, {
+    items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }]
+  }, { userId: 'u1', name: 'Asha' }, null);
+
+  assert.equal(order.paymentMethods[0].method, 'Booking Advance');
+  assert.equal(appliedAdvance, 30916);
+  assert.equal(walletCredit, 0);
+  assert.equal(booking.settlement.refundableAmount, 9084);
+  assert.equal(booking.settlement.refundStatus, 'pending');
+});
+
+test('a conversion cannot bring its own booking advance or exchange credit', async (t) => {
+  const save = fakeOrderModels(t);
+  t.mock.method(Booking, 'findById', () => fakeQuery(activeBooking()));
+
+  for (const method of ['Booking Advance', 'Exchange Credit']) {
+    const res = await callRoute(t, bookingsRouter, {
+      method: 'POST',
+      url: `/${BOOKING_ID}/convert`,
+      body: { items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }], paymentMethods: [{ method, amount: 30916 }] }
+    });
+
+    assert.equal(res.status, 400, method);
+  }
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('an expired booking cannot be converted', async () => {
+  const expired = activeBooking({ expiresAt: new Date('2026-01-31T20:00:00Z') });
+
+  await assert.rejects(convertBooking(expired, { items: [] }, { userId: 'u1', name: 'Asha' }, null), (err) => {
+    assert.equal(err.status, 409);
+    // 20:00 UTC is already the next business day in India
+    assert.match(err.message, /expired on 2026-02-01/);
+    return true;
+  });
+});
+
+test('the locked rate only prices the locked metal and purity while the lock holds', () => {
+  const booking = activeBooking({
+    rateLock: { metal: 'gold', purity: '22K', ratePerGram: 6000, lockedUntil: new Date(Date.now() + DAY_MS) }
+  });
+
+  // 4 g at the locked 6,000 a gram plus 800 making
+  assert.equal(lockedPricingFor(booking, RING).total, 24800);
+  assert.equal(lockedPricingFor(booking, { ...RING, purity: '18K' }), null);
+  assert.equal(lockedPricingFor({ ...booking, rateLock: { ...booking.rateLock, lockedUntil: new Date(Date.now() - DAY_MS) } }, RING), null);
+});
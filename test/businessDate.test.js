@@ -0,0 +1,9 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BUSINESS_TIMEZONE, businessDate } = require('../utils/businessDate');
+
+test('the business day rolls over at midnight in the shop time zone', { skip: BUSINESS_TIMEZONE !== 'Asia/Kolkata' }, () => {
+  // 23:59 and 00:30 IST
+  assert.equal(businessDate(new Date('2026-03-05T18:29:00Z')), '2026-03-05');
+  assert.equal(businessDate(new Date('2026-03-05T19:00:00Z')), '2026-03-06');
+});
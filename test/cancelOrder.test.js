@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Order = require('../models/Order');
+const DayClose = require('../models/DayClose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const Promotion = require('../models/Promotion');
+const Chit = require('../models/Chit');
+const { cancelOrder } = require('../utils/orderHelper');
+const ordersRouter = require('../routes/orders');
+const { businessDate } = require('../utils/businessDate');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+// Replace the models cancelOrder touches; `registered` is the wallet customer found by phone
+const fakeModels = (t, { registered = null } = {}) => {
+  t.mock.method(Product, 'exists', () => fakeQuery({ _id: 'p1' }));
+  const restock = t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery({ _id: 'p1', sku: 'R1', stock: 1 }));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  t.mock.method(Customer, 'findOne', () => fakeQuery(registered));
+  const wallet = t.mock.method(Customer, 'findOneAndUpdate', (filter) => fakeQuery({ _id: filter._id, walletBalance: 1000 }));
+  t.mock.method(WalletTransaction, 'create', async (docs) => docs.map((doc, i) => ({ _id: `wt${i}`, ...doc })));
+  t.mock.method(Promotion, 'updateOne', async () => ({}));
+  t.mock.method(Chit, 'find', () => fakeQuery([]));
+  return { restock, wallet };
+};
+
+const makeOrder = (fields) => ({
+  _id: 'o1',
+  invoiceNumber: 'INV/0042',
+  status: 'active',
+  customer: { name: 'Walk-in', phone: '9800000000' },
+  items: [{ sku: 'R1', qty: 1, returnedQty: 0 }],
+  paymentMethods: [],
+  collections: [],
+  promotions: [],
+  creditNotes: [],
+  async save() { return this; },
+  ...fields
+});
+
+const by = { userId: 'u1', name: 'Asha', shiftId: 's9' };
+
+test('payments are refunded in their own method, and old gold and walk-in exchange credit as cash', async (t) => {
+  const { restock, wallet } = fakeModels(t);
+  const order = makeOrder({
+    paymentMethods: [
+      { method: 'Cash', amount: 500 },
+      { method: 'Card', amount: 300 },
+      { method: 'Exchange Credit', amount: 200 },
+      { method: 'Gold Exchange', amount: 100 }
+    ],
+    collections: [{ method: 'UPI', amount: 50 }]
+  });
+
+  await cancelOrder(order, { reason: 'Customer changed mind', by }, null);
+
+  assert.equal(order.status, 'cancelled');
+  assert.equal(order.cancellation.date, businessDate());
+  assert.equal(order.cancellation.shiftId, 's9');
+  assert.deepEqual(order.cancellation.refunds, [
+    { method: 'Cash', amount: 500, source: 'payment', paidWith: undefined },
+    { method: 'Card', amount: 300, source: 'payment', paidWith: undefined },
+    { method: 'Cash', amount: 200, source: 'payment', paidWith: 'Exchange Credit' },
+    { method: 'Cash', amount: 100, source: 'payment', paidWith: 'Gold Exchange' },
+    { method: 'UPI', amount: 50, source: 'collection', paidWith: undefined }
+  ]);
+  assert.equal(restock.mock.callCount(), 1, 'the sold piece goes back into stock');
+  assert.equal(wallet.mock.callCount(), 0);
+});
+
+test('store credit and booking advances go back to a registered customer\'s wallet', async (t) => {
+  const { wallet } = fakeModels(t, { registered: { _id: 'c7' } });
+  const order = makeOrder({
+    paymentMethods: [
+      { method: 'Store Credit', amount: 400, storeCredit: { customerId: 'c3' } },
+      { method: 'Booking Advance', amount: 1000, bookingAdvance: { bookingId: 'b1' } }
+    ]
+  });
+
+  await cancelOrder(order, { reason: 'Wrong size', by }, null);
+
+  assert.deepEqual(wallet.mock.calls.map(call => [call.arguments[0]._id, call.arguments[1]]), [
+    ['c3', { $inc: { walletBalance: 400 } }],
+    ['c7', { $inc: { walletBalance: 1000 } }]
+  ]);
+  assert.deepEqual(order.cancellation.refunds.map(refund => [refund.method, refund.amount, refund.paidWith]), [
+    ['Store Credit', 400, undefined],
+    ['Store Credit', 1000, 'Booking Advance']
+  ]);
+  assert.ok(order.cancellation.refunds.every(refund => refund.walletTransactionId));
+});
+
+test('orders with returns or already cancelled cannot be cancelled', async (t) => {
+  fakeModels(t);
+
+  await assert.rejects(
+    cancelOrder(makeOrder({ creditNotes: [{ number: 'CN/1' }] }), { reason: 'x', by }, null),
+    (err) => err instanceof HttpError && err.status === 400
+  );
+  await assert.rejects(
+    cancelOrder(makeOrder({ status: 'cancelled' }), { reason: 'x', by }, null),
+    (err) => err instanceof HttpError && err.status === 400
+  );
+});
+
+test('an order billed on a closed day is only cancelled with an override', async (t) => {
+  t.mock.method(Order, 'findById', () => fakeQuery(makeOrder({ date: '2026-10-10' })));
+  t.mock.method(DayClose, 'find', () => fakeQuery([{ date: '2026-10-10' }]));
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: '/64b0000000000000000000aa/cancel',
+    body: { reason: 'Billed twice' }
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.dayClosed, true);
+  assert.match(res.body.message, /2026-10-10 is closed/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ESCPOS_WIDTHS, buildReceiptData, renderReceiptEscPos } = require('../utils/chitReceipt');
+const { SETTING_DEFAULTS } = require('../utils/settings');
+
+const payment = {
+  receiptNumber: 'RC0007',
+  paymentDate: new Date('2026-03-05T10:00:00Z'),
+  chitNumber: 'CH001',
+  customerName: 'Meena',
+  installmentNumber: 3,
+  amount: 5000,
+  paymentMethod: 'upi',
+  goldDetails: { goldRate: 6250, purity: '22K', goldWeight: 0.8 },
+  collectedBy: 'Asha'
+};
+const chit = { customerPhone: '9800000000', totalInstallments: 11, status: 'active', nextDueDate: new Date('2026-04-05T10:00:00Z') };
+
+test('a receipt shows the installment, the grams to date and the next due date', () => {
+  const data = buildReceiptData(payment, chit, 2.4);
+
+  assert.equal(data.totalInstallments, 11);
+  assert.equal(data.gramsThisInstallment, 0.8);
+  assert.equal(data.gramsToDate, 2.4);
+  assert.deepEqual(data.nextDueDate, chit.nextDueDate);
+  assert.equal(buildReceiptData(payment, { ...chit, status: 'completed' }, 8.8).nextDueDate, null);
+});
+
+test('the thermal preview fits the paper width and leaves out printer codes', () => {
+  const template = { ...SETTING_DEFAULTS.invoice, shopName: 'NVJ Jewellers' };
+  const preview = renderReceiptEscPos(buildReceiptData(payment, chit, 2.4), template, { paperWidth: 58, raw: false });
+  const lines = preview.split('\n');
+
+  assert.ok(lines.every(line => line.length <= ESCPOS_WIDTHS[58]), 'no line wider than 32 characters');
+  assert.ok(lines.includes(`Installment${' '.repeat(14)}3 of 11`), 'label left, value right');
+  assert.ok(!/[\x1b\x1d]/.test(preview));
+
+  const raw = renderReceiptEscPos(buildReceiptData(payment, chit, 2.4), template);
+  assert.ok(raw.startsWith('\x1b@'));
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Order = require('../models/Order');
+const ordersRouter = require('../routes/orders');
+const { businessDate } = require('../utils/businessDate');
+const { fakeQuery } = require('./fakeQuery');
+
+const ORDER_ID = '64b0000000000000000000d1';
+
+// Billed at 1,000 with 600 paid at the counter
+const billed = (changes = {}) => new Order({
+  _id: ORDER_ID,
+  invoiceNumber: 'INV/2026/0042',
+  grandTotal: 1000,
+  paymentMethods: [{ method: 'Cash', amount: 600 }],
+  ...changes
+});
+
+test('a collection is added to the ledger with the business date and shift', async (t) => {
+  t.mock.method(Order, 'findById', () => fakeQuery(billed()));
+  const push = t.mock.method(Order, 'findOneAndUpdate', (filter, update) => fakeQuery(billed({ collections: [update.$push.collections] })));
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: `/${ORDER_ID}/collections`,
+    body: { method: 'UPI', amount: 250 },
+    shift: { _id: '64b0000000000000000000f1', terminalId: 'T1' }
+  });
+
+  assert.equal(res.status, 201, res.body.message);
+  assert.equal(res.body.collection.date, businessDate());
+  assert.equal(res.body.collection.shiftId, '64b0000000000000000000f1');
+  assert.equal(res.body.balance, 150);
+  const [filter] = push.mock.calls[0].arguments;
+  assert.equal(filter.$expr.$gte[1], 250, 'only matches while the balance covers the amount');
+});
+
+test('a collection beyond the balance due is refused', async (t) => {
+  t.mock.method(Order, 'findById', () => fakeQuery(billed()));
+  t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+
+  const res = await callRoute(t, ordersRouter, { method: 'POST', url: `/${ORDER_ID}/collections`, body: { method: 'Cash', amount: 500 } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.balance, 400);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const { buildDailySummary } = require('../utils/dailySummary');
+const { fakeQuery } = require('./fakeQuery');
+
+const DAY = '2026-10-19';
+
+test('cancelled orders earn no revenue and their refunds count on the day they were cancelled', async (t) => {
+  // Billed today and cancelled today; an older order was also cancelled today
+  const kept = { date: DAY, status: 'active', grandTotal: 500, paymentMethods: [{ method: 'Cash', amount: 500 }], collections: [] };
+  const billedToday = {
+    date: DAY,
+    status: 'cancelled',
+    grandTotal: 1000,
+    paymentMethods: [{ method: 'Cash', amount: 1000 }],
+    collections: [],
+    cancellation: { date: DAY, refunds: [{ method: 'Cash', amount: 1000 }] }
+  };
+  const billedEarlier = {
+    date: '2026-10-10',
+    status: 'cancelled',
+    grandTotal: 2000,
+    paymentMethods: [{ method: 'UPI', amount: 2000 }],
+    collections: [],
+    cancellation: { date: DAY, refunds: [{ method: 'Store Credit', amount: 2000 }] }
+  };
+
+  t.mock.method(Order, 'find', (filter) => {
+    if (filter.date) return fakeQuery([kept, billedToday]);
+    if (filter['cancellation.date']) return fakeQuery([billedToday, billedEarlier]);
+    return fakeQuery([]);
+  });
+  t.mock.method(Return, 'find', () => fakeQuery([]));
+  t.mock.method(Booking, 'find', () => fakeQuery([]));
+  t.mock.method(WalletTransaction, 'find', () => fakeQuery([{ method: 'Cash', amount: 300 }]));
+
+  const summary = await buildDailySummary(DAY);
+
+  assert.equal(summary.totalOrders, 1);
+  assert.equal(summary.totalRevenue, 500);
+  assert.equal(summary.cancellations.count, 2);
+  assert.equal(summary.cancellations.total, 3000);
+  assert.deepEqual(summary.cancellations.refunds.methods, { Cash: 1000, 'Store Credit': 2000 });
+  assert.equal(summary.walletDeposits.total, 300);
+  // 1500 cash taken on sales + 300 cash deposit - 1000 cash refund
+  assert.equal(summary.netCash, 800);
+});
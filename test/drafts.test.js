@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const DraftOrder = require('../models/DraftOrder');
+const { assertNotHeld, placeHolds } = require('../utils/draftHelper');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+test('only the parked quantity of a SKU is held back from sale', async (t) => {
+  t.mock.method(Product, 'find', () => fakeQuery([
+    { sku: 'CHAIN', stock: 3, holds: [{ draftId: 'd1', qty: 1, heldUntil: inAnHour() }] }
+  ]));
+  t.mock.method(DraftOrder, 'find', () => fakeQuery([{ _id: 'd1', terminalId: 'T2', createdBy: { name: 'Ravi' } }]));
+
+  await assertNotHeld([{ sku: 'CHAIN', qty: 2 }]);
+  await assert.rejects(assertNotHeld([{ sku: 'CHAIN', qty: 1 }, { sku: 'CHAIN', qty: 2 }]), (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 409);
+    assert.deepEqual(err.details.held.map(hold => [hold.sku, hold.qty, hold.terminalId, hold.heldBy]), [['CHAIN', 1, 'T2', 'Ravi']]);
+    return true;
+  });
+});
+
+test('lapsed holds and the bill being edited do not block', async (t) => {
+  t.mock.method(Product, 'find', () => fakeQuery([
+    {
+      sku: 'RING',
+      stock: 1,
+      holds: [
+        { draftId: 'd1', qty: 1, heldUntil: new Date(Date.now() - 1000) },
+        { draftId: 'd2', qty: 1, heldUntil: inAnHour() }
+      ]
+    }
+  ]));
+
+  await assertNotHeld([{ sku: 'RING', qty: 1 }], { excludeDraftId: 'd2' });
+});
+
+test('placing holds takes each SKU\'s total parked quantity in one conditional update', async (t) => {
+  const update = t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery({ sku: 'CHAIN' }));
+  const heldUntil = inAnHour();
+
+  await placeHolds('d5', [{ sku: 'CHAIN', qty: 1 }, { sku: 'CHAIN', qty: 2 }], heldUntil, null);
+
+  assert.equal(update.mock.callCount(), 1);
+  const [filter, pipeline] = update.mock.calls[0].arguments;
+  assert.equal(filter.sku, 'CHAIN');
+  assert.equal(filter.$expr.$gte[1], 3);
+  assert.deepEqual(pipeline[0].$set.holds.$concatArrays[1], [{ draftId: 'd5', qty: 3, heldUntil }]);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const Promotion = require('../models/Promotion');
+const { createOrder } = require('../utils/orderHelper');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+const RING = { _id: 'p1', sku: 'R1', name: 'Ring', metal: 'gold', purity: '22K', weight: 4, makingCharges: 800, stock: 0 };
+const attribution = { userId: 'u1', name: 'Asha' };
+
+const fakeModels = (t) => {
+  t.mock.method(Counter, 'findOneAndUpdate', () => fakeQuery({ value: 42 }));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Product, 'find', () => fakeQuery([]));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(RING));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  return t.mock.method(Order.prototype, 'save', async function () { return this; });
+};
+
+const exchangeCredit = (amount) => ({ method: 'Exchange Credit', amount, exchangeCredit: { creditNoteNumber: 'CN/0001', credit: amount } });
+
+test('exchange credit is applied first and never beyond the server-computed total', async (t) => {
+  fakeModels(t);
+  const body = { items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }], paymentMethods: [] };
+
+  const order = await createOrder(body, attribution, null, { prepaid: exchangeCredit(50000) });
+
+  assert.equal(order.grandTotal, 30916);
+  assert.equal(order.paymentMethods[0].method, 'Exchange Credit');
+  assert.equal(order.paymentMethods[0].amount, 30916);
+});
+
+test('an order cannot carry an exchange credit payment of its own', async (t) => {
+  const save = fakeModels(t);
+  const body = { items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }], paymentMethods: [exchangeCredit(30916)] };
+
+  await assert.rejects(createOrder(body, attribution, null), (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 400);
+    assert.match(err.message, /POST \/api\/exchanges/);
+    return true;
+  });
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('on an exchange bill with promotions the credit is capped at the discounted total', async (t) => {
+  fakeModels(t);
+  t.mock.method(Promotion, 'find', () => fakeQuery([
+    { _id: 'promo1', name: 'Festive', type: 'percent', value: 10, minOrderValue: 0, metals: [], categories: [] }
+  ]));
+  t.mock.method(Promotion, 'findOneAndUpdate', () => fakeQuery({ _id: 'promo1', usedCount: 1 }));
+  const body = { items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }], paymentMethods: [] };
+
+  const order = await createOrder(body, attribution, null, { promotions: true, prepaid: exchangeCredit(50000) });
+
+  assert.equal(order.promotionDiscount, 3000);
+  assert.equal(order.paymentMethods[0].amount, order.grandTotal);
+  assert.ok(order.grandTotal < 30916);
+});
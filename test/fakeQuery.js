@@ -0,0 +1,17 @@
+/**
+ * Stand-in for a Mongoose query resolving to `value`: chainable `session`, `lean`,
+ * `sort` and `select`, and awaitable like the real thing. Used to replace model
+ * statics in tests, which run without a database.
+ */
+function fakeQuery(value) {
+  const query = {
+    session: () => query,
+    lean: () => query,
+    sort: () => query,
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+}
+
+module.exports = { fakeQuery };
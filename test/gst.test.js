@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateGst, reconcileTotals, stateCodeFromGstin } = require('../utils/gst');
+const { SETTING_DEFAULTS } = require('../utils/settings');
+
+const config = { ...SETTING_DEFAULTS.gst, shopGstin: '33ABCDE1234F1Z5' };
+
+test('making charges are taxed at the making rate and the rest at the metal rate', () => {
+  const gst = calculateGst({ items: [{ sku: 'R1', price: 10000, qty: 1, makingCharges: 1000 }] }, config);
+
+  assert.equal(gst.metalValue, 9000);
+  assert.equal(gst.makingValue, 1000);
+  assert.equal(gst.totalTax, 270 + 50);
+  assert.equal(gst.cgst, 160);
+  assert.equal(gst.sgst, 160);
+  assert.equal(gst.igst, 0);
+});
+
+test('lines carry the category HSN code and the making SAC code', () => {
+  const gst = calculateGst({
+    items: [
+      { sku: 'R1', price: 1000, makingCharges: 100, category: 'Rings' },
+      { sku: 'C1', price: 500, category: 'Coins' }
+    ]
+  }, config, { Rings: '711319' });
+
+  assert.equal(gst.lines[0].hsnCode, '711319');
+  assert.equal(gst.lines[0].makingHsnCode, config.makingHsnCode);
+  assert.equal(gst.lines[1].hsnCode, config.defaultHsnCode);
+  assert.equal(gst.lines[1].makingHsnCode, undefined);
+});
+
+test('the order discount is spread over the lines before tax', () => {
+  const gst = calculateGst({
+    items: [{ sku: 'A', price: 600 }, { sku: 'B', price: 400 }],
+    discount: 100
+  }, config);
+
+  assert.equal(gst.taxableValue, 900);
+  assert.equal(gst.lines[0].metalValue, 540);
+  assert.equal(gst.lines[1].metalValue, 360);
+});
+
+test('a customer GSTIN from another state makes the sale inter-state', () => {
+  const gst = calculateGst({ items: [{ sku: 'A', price: 1000 }], customer: { gstNumber: '29XYZ' } }, config);
+
+  assert.equal(gst.supplyType, 'inter');
+  assert.equal(gst.placeOfSupply, '29');
+  assert.equal(gst.igst, 30);
+  assert.equal(gst.cgst, 0);
+  assert.equal(stateCodeFromGstin('x'), null);
+});
+
+test('reconcileTotals reports submitted totals outside the tolerance', () => {
+  const gst = calculateGst({ items: [{ sku: 'A', price: 1000 }] }, config);
+
+  const { totals, mismatches } = reconcileTotals({ subtotal: 1000, grandTotal: 1050, extraCharges: 0 }, gst, 1);
+
+  assert.equal(totals.grandTotal, 1030);
+  assert.deepEqual(mismatches, [{ field: 'grandTotal', submitted: 1050, expected: 1030 }]);
+});
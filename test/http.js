@@ -0,0 +1,51 @@
+// middleware/auth.js refuses to load without a signing secret; require this before any router
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const Shift = require('../models/Shift');
+const { fakeQuery } = require('./fakeQuery');
+
+const ADMIN = { id: '64b000000000000000000001', name: 'Asha', email: 'asha@shop.in', role: 'admin' };
+
+/**
+ * Send one request to `router` mounted on a throwaway app, as `user` (an admin
+ * by default) working in `shift`, and resolve to { status, headers, body }.
+ * Transactions run their callback directly, roles fall back to the built-in
+ * permissions and audit entries are dropped; every other model static the
+ * route touches is mocked by the test.
+ */
+async function callRoute(t, router, { method = 'GET', url = '/', body, headers = {}, user = ADMIN, shift = null }) {
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+  t.mock.method(Role, 'findOne', () => fakeQuery(null));
+  t.mock.method(AuditLog, 'create', async (doc) => doc);
+  t.mock.method(Shift, 'findOpenForUser', async () => shift);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(router);
+
+  const server = app.listen(0);
+  try {
+    await new Promise(resolve => server.once('listening', resolve));
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = { ADMIN, callRoute };
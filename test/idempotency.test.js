@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { callRoute } = require('./http');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+const { fakeQuery } = require('./fakeQuery');
+
+// A submission endpoint counting how often it really ran
+const paymentRouter = () => {
+  const router = express.Router();
+  router.runs = 0;
+  router.post('/payments', idempotency, (req, res) => {
+    router.runs += 1;
+    res.status(201).json({ success: true, receipt: `RC${router.runs}` });
+  });
+  return router;
+};
+
+// Keys stored by the middleware, keyed by the Idempotency-Key header
+const fakeKeys = (t) => {
+  const keys = new Map();
+  t.mock.method(IdempotencyKey, 'create', async (doc) => {
+    if (keys.has(doc.key)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    keys.set(doc.key, { ...doc, status: 'processing' });
+    return doc;
+  });
+  t.mock.method(IdempotencyKey, 'findOne', (filter) => fakeQuery(keys.get(filter.key) || null));
+  t.mock.method(IdempotencyKey, 'updateOne', async (filter, update) => Object.assign(keys.get(filter.key), update));
+  t.mock.method(IdempotencyKey, 'deleteOne', async (filter) => keys.delete(filter.key));
+  return keys;
+};
+
+test('a retried submission replays the stored response without running again', async (t) => {
+  fakeKeys(t);
+  const router = paymentRouter();
+  const request = { method: 'POST', url: '/payments', body: { amount: 500 }, headers: { 'Idempotency-Key': 'k1' } };
+
+  const first = await callRoute(t, router, request);
+  const retry = await callRoute(t, router, request);
+
+  assert.equal(router.runs, 1);
+  assert.equal(retry.status, 201);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.headers.get('Idempotent-Replayed'), 'true');
+});
+
+test('a key reused for a different request is refused', async (t) => {
+  fakeKeys(t);
+  const router = paymentRouter();
+
+  await callRoute(t, router, { method: 'POST', url: '/payments', body: { amount: 500 }, headers: { 'Idempotency-Key': 'k2' } });
+  const reused = await callRoute(t, router, { method: 'POST', url: '/payments', body: { amount: 900 }, headers: { 'Idempotency-Key': 'k2' } });
+
+  assert.equal(reused.status, 422);
+  assert.equal(router.runs, 1);
+});
+
+test('requests without a key always run', async (t) => {
+  const keys = fakeKeys(t);
+  const router = paymentRouter();
+
+  await callRoute(t, router, { method: 'POST', url: '/payments', body: { amount: 500 } });
+  await callRoute(t, router, { method: 'POST', url: '/payments', body: { amount: 500 } });
+
+  assert.equal(router.runs, 2);
+  assert.equal(keys.size, 0);
+});
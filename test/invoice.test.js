@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const { numberToWords, amountToWords } = require('../utils/numberToWords');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { SETTING_DEFAULTS } = require('../utils/settings');
+
+test('amounts are spelt in lakh and crore with paise', () => {
+  assert.equal(numberToWords(1234567), 'Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven');
+  assert.equal(numberToWords(25000000), 'Two Crore Fifty Lakh');
+  assert.equal(amountToWords(1000.5), 'Rupees One Thousand and Fifty Paise Only');
+});
+
+test('an order renders to a PDF document', async () => {
+  const order = {
+    invoiceNumber: 'INV/2026/0042',
+    orderId: 'ORD-42',
+    createdAt: new Date(),
+    customer: { name: 'Meena', phone: '9800000000', panNumber: 'ABCDE1234F' },
+    items: [{ sku: 'R1', name: 'Ring', purity: '22K', metalWeight: 4, netWeight: 4, makingCharges: 800, qty: 1, price: 30000 }],
+    subtotal: 30000,
+    grandTotal: 30916,
+    gst: { supplyType: 'intra', taxableValue: 30000, makingValue: 800, cgst: 458, sgst: 458, totalTax: 916,
+      lines: [{ makingHsnCode: '9988' }] },
+    paymentMethods: [{ method: 'Cash', amount: 30916 }]
+  };
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => stream.on('end', resolve));
+
+  renderInvoicePdf(order, SETTING_DEFAULTS.invoice, SETTING_DEFAULTS.gst, stream);
+  await finished;
+
+  assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Order = require('../models/Order');
+const DayClose = require('../models/DayClose');
+const OrderRevision = require('../models/OrderRevision');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Setting = require('../models/Setting');
+const StockMovement = require('../models/StockMovement');
+const ordersRouter = require('../routes/orders');
+const { fakeQuery } = require('./fakeQuery');
+
+const billed = (changes = {}) => {
+  const fields = {
+    _id: '64b0000000000000000000aa',
+    invoiceNumber: 'INV/2026/0042',
+    date: '2026-10-18',
+    status: 'active',
+    revision: 0,
+    notes: '',
+    items: [{ sku: 'R1', qty: 1, price: 5000 }],
+    paymentMethods: [],
+    creditNotes: [],
+    ...changes
+  };
+  return { ...fields, toObject: () => ({ ...fields }) };
+};
+
+// Replace the models the edit touches; `closedDays` are the closed business days
+const fakeModels = (t, { closedDays = [] } = {}) => {
+  t.mock.method(Order, 'findById', () => fakeQuery(billed()));
+  t.mock.method(DayClose, 'find', () => fakeQuery(closedDays.map(date => ({ date }))));
+  const update = t.mock.method(Order, 'findOneAndUpdate', (filter, { $inc, ...updates }) => fakeQuery(billed({ ...updates, revision: 1 })));
+  const revisions = t.mock.method(OrderRevision, 'create', async (docs) => docs);
+  return { update, revisions };
+};
+
+test('an edit saves the order and a revision with the reason', async (t) => {
+  const { update, revisions } = fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'PUT',
+    url: '/64b0000000000000000000aa',
+    body: { reason: 'Customer asked for gift wrap', notes: 'Gift wrap' }
+  });
+
+  assert.equal(res.status, 200, res.body.message);
+  assert.equal(update.mock.calls[0].arguments[1].notes, 'Gift wrap');
+  const [revision] = revisions.mock.calls[0].arguments[0];
+  assert.equal(revision.reason, 'Customer asked for gift wrap');
+  assert.equal(revision.dayCloseOverride, false);
+  assert.deepEqual(revision.changes.map(change => change.field), ['notes']);
+});
+
+test('an order on a closed day is only edited with an override, which the revision records', async (t) => {
+  const { revisions } = fakeModels(t, { closedDays: ['2026-10-18'] });
+
+  const refused = await callRoute(t, ordersRouter, {
+    method: 'PUT',
+    url: '/64b0000000000000000000aa',
+    body: { reason: 'Typo', notes: 'Gift wrap' }
+  });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.dayClosed, true);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'PUT',
+    url: '/64b0000000000000000000aa',
+    body: { reason: 'Typo', notes: 'Gift wrap', overrideDayClose: true }
+  });
+  assert.equal(res.status, 200, res.body.message);
+  assert.equal(revisions.mock.calls[0].arguments[0][0].dayCloseOverride, true);
+});
+
+test('an edit without a reason is refused', async (t) => {
+  const res = await callRoute(t, ordersRouter, { method: 'PUT', url: '/64b0000000000000000000aa', body: { notes: 'x' } });
+  assert.equal(res.status, 400);
+});
+
+test('store credit settled at billing cannot be changed by an edit', async (t) => {
+  const { update } = fakeModels(t);
+  Order.findById.mock.mockImplementation(() => fakeQuery(billed({
+    paymentMethods: [{ method: 'Store Credit', amount: 2000, toObject() { return { ...this }; } }]
+  })));
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'PUT',
+    url: '/64b0000000000000000000aa',
+    body: { reason: 'Wrong split', paymentMethods: [{ method: 'Store Credit', amount: 3000 }, { method: 'Cash', amount: 2000 }] }
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /cannot be changed by editing an order/);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+test('a piece added by an edit is priced at today\'s rate, checked against parked bills and taken out of stock', async (t) => {
+  const { update } = fakeModels(t);
+  const line = { sku: 'R1', name: 'Ring', qty: 1, price: 5000 };
+  Order.findById.mock.mockImplementation(() => fakeQuery(billed({ items: [{ ...line, toObject: () => ({ ...line }) }] })));
+  const chain = { _id: 'p2', sku: 'C1', name: 'Chain', metal: 'gold', purity: '22K', weight: 2, makingCharges: 400, stock: 1 };
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  t.mock.method(Product, 'findOne', () => fakeQuery(chain));
+  const held = t.mock.method(Product, 'find', () => fakeQuery([]));
+  const claim = t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery({ ...chain, stock: 0 }));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'PUT',
+    url: '/64b0000000000000000000aa',
+    body: { reason: 'Customer added a chain', items: [{ sku: 'R1', qty: 1, price: 5000 }, { sku: 'C1', qty: 1 }] }
+  });
+
+  assert.equal(res.status, 200, res.body.message);
+  assert.deepEqual(held.mock.calls[0].arguments[0].sku, { $in: ['C1'] });
+  assert.equal(claim.mock.callCount(), 1, 'only the added piece moves');
+  assert.equal(claim.mock.calls[0].arguments[0].sku, 'C1');
+  // 2 g at 7,300 a gram plus 400 making
+  assert.deepEqual(update.mock.calls[0].arguments[1].items.map(item => [item.sku, item.price]), [['R1', 5000], ['C1', 15000]]);
+});
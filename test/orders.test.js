@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const Promotion = require('../models/Promotion');
+const ordersRouter = require('../routes/orders');
+const { fakeQuery } = require('./fakeQuery');
+
+const RING = { _id: 'p1', sku: 'R1', name: 'Ring', metal: 'gold', purity: '22K', weight: 4, makingCharges: 800, stock: 0 };
+
+// Replace the models an order takes; `claimed` is what the conditional stock update finds
+// and `promotions` the live offers
+const fakeModels = (t, { claimed = RING, exists = true, promotions = [] } = {}) => {
+  t.mock.method(Promotion, 'find', () => fakeQuery(promotions));
+  t.mock.method(Counter, 'findOneAndUpdate', () => fakeQuery({ value: 42 }));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Product, 'find', () => fakeQuery([]));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  const claim = t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(claimed));
+  t.mock.method(Product, 'exists', () => fakeQuery(exists ? { _id: 'p1' } : null));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  const save = t.mock.method(Order.prototype, 'save', async function () { return this; });
+  return { claim, save };
+};
+
+const sale = {
+  items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }],
+  paymentMethods: [{ method: 'Cash', amount: 30916 }]
+};
+
+test('an order takes each piece out of stock with a conditional update and takes the next invoice number', async (t) => {
+  const { claim, save } = fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, { method: 'POST', url: '/', body: sale });
+
+  assert.equal(res.status, 200, res.body.message);
+  const [filter] = claim.mock.calls[0].arguments;
+  assert.equal(filter.sku, 'R1');
+  assert.equal(filter.$expr.$gte[1], 1, 'only matches a product with the piece in stock');
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(res.body.order.invoiceNumber, `INV/${new Date().getFullYear()}/0042`);
+  assert.equal(res.body.order.items[0].makingCharges, 800);
+  // 3% on the 29,200 metal value and 5% on the 800 making charges
+  assert.equal(res.body.order.grandTotal, 30916);
+});
+
+test('submitted totals that disagree with the server-side GST are refused', async (t) => {
+  const { save } = fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, { method: 'POST', url: '/', body: { ...sale, grandTotal: 30000 } });
+
+  assert.equal(res.status, 400);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('a piece sold at another counter is refused and nothing is saved', async (t) => {
+  const { save } = fakeModels(t, { claimed: null });
+
+  const res = await callRoute(t, ordersRouter, { method: 'POST', url: '/', body: sale });
+
+  assert.equal(res.status, 409);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('an unknown SKU is a 404 and an empty order a 400', async (t) => {
+  fakeModels(t, { claimed: null, exists: false });
+
+  const unknown = await callRoute(t, ordersRouter, { method: 'POST', url: '/', body: sale });
+  assert.equal(unknown.status, 404);
+
+  const empty = await callRoute(t, ordersRouter, { method: 'POST', url: '/', body: { items: [] } });
+  assert.equal(empty.status, 400);
+});
+
+test('collections and credit notes are never taken from a submitted order', async (t) => {
+  fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: '/',
+    body: { ...sale, collections: [{ method: 'Cash', amount: 5000 }], creditNotes: [{ number: 'CN/0001' }] }
+  });
+
+  assert.equal(res.status, 200, res.body.message);
+  assert.deepEqual(res.body.order.collections, []);
+  assert.deepEqual(res.body.order.creditNotes, []);
+});
+
+test('a line priced off today\'s rate by more than the tolerance is refused', async (t) => {
+  const { save } = fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: '/',
+    body: { ...sale, items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 29000 }] }
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.priceMismatches.map(line => [line.sku, line.submitted, line.expected]), [['R1', 29000, 30000]]);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('a live automatic offer is applied on top of the counter\'s discount and its use counted', async (t) => {
+  const offer = { _id: 'promo1', name: 'Festive', type: 'percent', value: 10, minOrderValue: 0, metals: [], categories: [] };
+  fakeModels(t, { promotions: [offer] });
+  const redeem = t.mock.method(Promotion, 'findOneAndUpdate', () => fakeQuery({ ...offer, usedCount: 1 }));
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: '/',
+    body: { ...sale, discount: 1000, paymentMethods: [{ method: 'Cash', amount: 26793.87 }] }
+  });
+
+  assert.equal(res.status, 200, res.body.message);
+  assert.equal(res.body.order.manualDiscount, 1000);
+  assert.equal(res.body.order.promotionDiscount, 3000);
+  assert.equal(res.body.order.discount, 4000);
+  assert.equal(res.body.order.grandTotal, 26793.87);
+  assert.equal(redeem.mock.callCount(), 1);
+});
+
+test('a manual discount above the biller\'s role limit is refused', async (t) => {
+  const { save } = fakeModels(t);
+
+  const res = await callRoute(t, ordersRouter, {
+    method: 'POST',
+    url: '/',
+    body: { ...sale, discount: 3000 },
+    user: { id: '64b000000000000000000002', name: 'Ravi', role: 'staff' }
+  });
+
+  assert.equal(res.status, 403);
+  assert.equal(res.body.maxDiscountPercent, 5);
+  assert.equal(save.mock.callCount(), 0);
+});
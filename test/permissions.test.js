@@ -0,0 +1,59 @@
+// middleware/auth.js refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, findUnknownPermissions, hasPermission } = require('../utils/permissions');
+const { getRoleDiscountLimit, requirePermission } = require('../middleware/auth');
+const { fakeQuery } = require('./fakeQuery');
+
+// Response double recording the status and body sent
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+test('hasPermission grants listed permissions and everything for full access', () => {
+  assert.equal(hasPermission(['orders.view'], 'orders.view'), true);
+  assert.equal(hasPermission(['orders.view'], 'orders.update'), false);
+  assert.equal(hasPermission([ALL_PERMISSIONS], 'orders.update'), true);
+  assert.equal(hasPermission(undefined, 'orders.view'), false);
+});
+
+test('findUnknownPermissions reports names missing from the catalogue', () => {
+  assert.deepEqual(findUnknownPermissions(['orders.view', ALL_PERMISSIONS, 'orders.explode']), ['orders.explode']);
+});
+
+test('requirePermission lets a role with the permission through', async (t) => {
+  t.mock.method(Role, 'findOne', () => fakeQuery({ name: 'cashier', permissions: ['orders.update'] }));
+  const req = { user: { id: 'u1', role: 'cashier' } };
+  const res = fakeResponse();
+  let passed = false;
+
+  await requirePermission('orders.update')(req, res, () => { passed = true; });
+
+  assert.equal(passed, true);
+  assert.deepEqual(req.permissions, ['orders.update']);
+});
+
+test('requirePermission falls back to the built-in role, answering 403 without the permission and 401 without a user', async (t) => {
+  t.mock.method(Role, 'findOne', () => fakeQuery(null));
+  const next = () => assert.fail('next must not be called');
+
+  const forbidden = fakeResponse();
+  await requirePermission('users.manage')({ user: { id: 'u1', role: 'staff' } }, forbidden, next);
+  assert.equal(forbidden.statusCode, 403);
+
+  const anonymous = fakeResponse();
+  await requirePermission('orders.view')({}, anonymous, next);
+  assert.equal(anonymous.statusCode, 401);
+});
+
+test('getRoleDiscountLimit falls back to the built-in role', async (t) => {
+  t.mock.method(Role, 'findOne', () => fakeQuery(null));
+  assert.equal(await getRoleDiscountLimit('staff'), 5);
+  assert.equal(await getRoleDiscountLimit('admin'), null);
+});
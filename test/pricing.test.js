@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkLinePrice, linePricing, normalizePurity, priceBreakdown } = require('../utils/pricing');
+
+test('priceBreakdown adds wastage on the metal value, making and stones', () => {
+  const breakdown = priceBreakdown(6000, 10, 8, 1500, 200);
+
+  assert.equal(breakdown.metalValue, 60000);
+  assert.equal(breakdown.wastageValue, 4800);
+  assert.equal(breakdown.total, 66500);
+});
+
+test('normalizePurity defaults gold to 22K and drops purity for silver', () => {
+  assert.equal(normalizePurity('gold', '18K'), '18K');
+  assert.equal(normalizePurity('gold', '916'), '22K');
+  assert.equal(normalizePurity('silver', '925'), null);
+});
+
+test('checkLinePrice applies the pricing mode and tolerance', () => {
+  const breakdown = { total: 1000 };
+
+  assert.deepEqual(checkLinePrice(1000.5, breakdown, { mode: 'validate', tolerance: 1 }),
+    { price: 1000.5, variance: 0.5, withinTolerance: true });
+  assert.equal(checkLinePrice(990, breakdown, { mode: 'validate', tolerance: 1 }).withinTolerance, false);
+  assert.deepEqual(checkLinePrice(990, breakdown, { mode: 'server', tolerance: 1 }),
+    { price: 1000, variance: 0, withinTolerance: true });
+  assert.equal(checkLinePrice(990, breakdown, { mode: 'off', tolerance: 1 }).withinTolerance, true);
+  assert.equal(checkLinePrice(undefined, breakdown, { mode: 'validate', tolerance: 1 }).price, 1000);
+});
+
+test('linePricing stores the expected price and the variance', () => {
+  assert.deepEqual(linePricing({ source: 'rate', total: 1000 }, -2), { source: 'rate', expectedPrice: 1000, variance: -2 });
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPromotions, assertDiscountWithinLimit, couponCodesFrom } = require('../utils/promotions');
+const HttpError = require('../utils/httpError');
+
+const promotion = (fields) => ({ _id: fields.name, minOrderValue: 0, metals: [], categories: [], ...fields });
+
+test('percentage offers apply one after another to what is left', () => {
+  const items = [{ sku: 'A', price: 1000, qty: 1 }];
+
+  const { applied, total } = applyPromotions([
+    promotion({ name: 'First', type: 'percent', value: 10 }),
+    promotion({ name: 'Second', type: 'percent', value: 10 })
+  ], items);
+
+  assert.deepEqual(applied.map(offer => offer.amount), [100, 90]);
+  assert.equal(total, 190);
+});
+
+test('making offers only discount the making charges', () => {
+  const items = [{ sku: 'A', price: 1000, qty: 2, makingCharges: 100 }];
+
+  const { total } = applyPromotions([promotion({ name: 'Making', type: 'making_percent', value: 50 })], items);
+
+  assert.equal(total, 100);
+});
+
+test('flat offers are spread by value and capped by maxDiscount', () => {
+  const items = [{ sku: 'A', price: 300 }, { sku: 'B', price: 100 }];
+
+  const { applied } = applyPromotions([promotion({ name: 'Flat', type: 'flat', value: 200, maxDiscount: 100 })], items);
+
+  assert.deepEqual(applied[0].lines, [{ sku: 'A', amount: 75 }, { sku: 'B', amount: 25 }]);
+});
+
+test('offers respect the minimum order value and the lines they cover', () => {
+  const items = [{ sku: 'G', price: 500, metal: 'gold' }, { sku: 'S', price: 500, metal: 'silver' }];
+
+  const { applied } = applyPromotions([
+    promotion({ name: 'Big spender', type: 'percent', value: 10, minOrderValue: 5000 }),
+    promotion({ name: 'Silver', type: 'percent', value: 10, metals: ['silver'] })
+  ], items);
+
+  assert.equal(applied.length, 1);
+  assert.deepEqual(applied[0].lines, [{ sku: 'S', amount: 50 }]);
+});
+
+test('stacked offers never take a line below zero', () => {
+  const items = [{ sku: 'A', price: 100 }];
+
+  const { total } = applyPromotions([
+    promotion({ name: 'Flat', type: 'flat', value: 80 }),
+    promotion({ name: 'Per gram', type: 'per_gram', value: 100 })
+  ], items.map(item => ({ ...item, metalWeight: 1 })));
+
+  assert.equal(total, 100);
+});
+
+test('manual discounts above the role limit are refused', () => {
+  assert.doesNotThrow(() => assertDiscountWithinLimit(50, 1000, 5));
+  assert.doesNotThrow(() => assertDiscountWithinLimit(500, 1000, null));
+  assert.throws(() => assertDiscountWithinLimit(60, 1000, 5), (err) => err instanceof HttpError && err.status === 403);
+});
+
+test('coupon codes are trimmed, upper-cased and de-duplicated', () => {
+  assert.deepEqual(couponCodesFrom({ couponCodes: [' diwali ', 'DIWALI'], couponCode: 'gold10' }), ['DIWALI', 'GOLD10']);
+  assert.deepEqual(couponCodesFrom({}), []);
+});
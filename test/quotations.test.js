@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Quotation = require('../models/Quotation');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const quotationsRouter = require('../routes/quotations');
+const { fakeQuery } = require('./fakeQuery');
+
+const QUOTATION_ID = '64b0000000000000000000e1';
+const RING = { _id: 'p1', sku: 'R1', name: 'Ring', metal: 'gold', purity: '22K', weight: 4, makingCharges: 800, stock: 0 };
+
+const openQuotation = () => new Quotation({
+  _id: QUOTATION_ID,
+  quotationNumber: 'QT-0001',
+  status: 'Open',
+  validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }]
+});
+
+const fakeModels = (t, quotation) => {
+  t.mock.method(Quotation, 'findById', () => fakeQuery(quotation));
+  t.mock.method(Quotation.prototype, 'save', async function () { return this; });
+  t.mock.method(Counter, 'findOneAndUpdate', () => fakeQuery({ value: 42 }));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Product, 'find', () => fakeQuery([]));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(RING));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  return t.mock.method(Order.prototype, 'save', async function () { return this; });
+};
+
+test('an open quotation is billed at the quoted prices and marked converted', async (t) => {
+  const quotation = openQuotation();
+  fakeModels(t, quotation);
+
+  const res = await callRoute(t, quotationsRouter, {
+    method: 'POST',
+    url: `/${QUOTATION_ID}/convert`,
+    body: { paymentMethods: [{ method: 'Cash', amount: 30916 }] }
+  });
+
+  assert.equal(res.status, 201, res.body.message);
+  assert.equal(res.body.repriced, false);
+  assert.equal(res.body.order.grandTotal, 30916);
+  assert.equal(quotation.status, 'Converted');
+  assert.equal(quotation.conversion.invoiceNumber, res.body.order.invoiceNumber);
+});
+
+test('a conversion cannot bring a booking advance or exchange credit', async (t) => {
+  const quotation = openQuotation();
+  const save = fakeModels(t, quotation);
+
+  for (const method of ['Booking Advance', 'Exchange Credit']) {
+    const res = await callRoute(t, quotationsRouter, {
+      method: 'POST',
+      url: `/${QUOTATION_ID}/convert`,
+      body: { paymentMethods: [{ method, amount: 30916 }] }
+    });
+
+    assert.equal(res.status, 400, method);
+  }
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(quotation.status, 'Open');
+});
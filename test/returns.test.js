@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { callRoute } = require('./http');
+const Return = require('../models/Return');
+const returnsRouter = require('../routes/returns');
+const { bucketForReturnType, canTransition, lineCredit, recordRefund, resolveReturnLines } = require('../utils/returnHelper');
+const { businessDate } = require('../utils/businessDate');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+const order = {
+  invoiceNumber: 'INV/0001',
+  items: [
+    { _id: 'l1', sku: 'R1', price: 1000, qty: 2, returnedQty: 1 },
+    { _id: 'l2', sku: 'C1', price: 500, qty: 1, returnedQty: 0 }
+  ],
+  gst: {
+    lines: [
+      { metalValue: 1800, makingValue: 200, metalTax: 54, makingTax: 10 },
+      { metalValue: 500, makingValue: 0, metalTax: 15, makingTax: 0 }
+    ]
+  }
+};
+
+test('the credit for a returned piece is its share of the billed GST line', () => {
+  assert.deepEqual(lineCredit(order, 0, 1), { taxableValue: 1000, tax: 32 });
+});
+
+test('orders billed before server-side GST spread the discount and tax by value', () => {
+  const legacy = { items: [{ price: 600, qty: 1 }, { price: 400, qty: 1 }], subtotal: 1000, discount: 100, tax: 27 };
+
+  assert.deepEqual(lineCredit(legacy, 1, 1), { taxableValue: 360, tax: 10.8 });
+});
+
+test('a line cannot be returned beyond what was sold and not yet returned', () => {
+  assert.deepEqual(resolveReturnLines(order, [{ sku: 'R1', qty: 1 }, { sku: 'C1' }]), [{ index: 0, qty: 1 }, { index: 1, qty: 1 }]);
+
+  assert.throws(() => resolveReturnLines(order, [{ sku: 'R1', qty: 2 }]), (err) => err instanceof HttpError && err.status === 409);
+  assert.throws(() => resolveReturnLines(order, [{ sku: 'R1' }, { sku: 'R1' }]), (err) => err.status === 409);
+  assert.throws(() => resolveReturnLines(order, [{ sku: 'X9' }]), (err) => err.status === 400);
+  assert.throws(() => resolveReturnLines(order, []), (err) => err.status === 400);
+});
+
+test('returns only move along the allowed transitions', () => {
+  assert.equal(canTransition('Inspected', 'Approved'), true);
+  assert.equal(canTransition('Approved', 'Refunded'), false, 'only a settlement refunds a return');
+  assert.equal(canTransition('Refunded', 'Approved'), false);
+  assert.equal(canTransition('Unknown', 'Approved'), false);
+});
+
+test('an approved return cannot be marked refunded by a status change', async (t) => {
+  const approved = { _id: 'r1', status: 'Approved', statusHistory: [] };
+  t.mock.method(Return, 'findById', () => fakeQuery(approved));
+
+  const res = await callRoute(t, returnsRouter, { method: 'PATCH', url: '/64b0000000000000000000a1/status', body: { status: 'Refunded' } });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.allowed, []);
+  assert.equal(approved.statusHistory.length, 0);
+});
+
+test('returned pieces go to the melt, repair or sellable bucket by return type', () => {
+  assert.equal(bucketForReturnType('For melting'), 'melt');
+  assert.equal(bucketForReturnType('Damaged clasp'), 'repair');
+  assert.equal(bucketForReturnType('Size exchange'), 'sellable');
+});
+
+test('a return with a credit note, restock or refund on record cannot be deleted', async (t) => {
+  const remove = t.mock.method(Return, 'findOneAndDelete', () => fakeQuery(null));
+  t.mock.method(Return, 'exists', () => fakeQuery({ _id: 'r1' }));
+
+  const res = await callRoute(t, returnsRouter, { method: 'DELETE', url: '/64b0000000000000000000a1' });
+
+  assert.equal(res.status, 400);
+  const [filter] = remove.mock.calls[0].arguments;
+  assert.deepEqual(filter['creditNote.number'], { $exists: false });
+  assert.deepEqual(filter.restocked, { $ne: true });
+  assert.deepEqual(filter['refunds.0'], { $exists: false });
+});
+
+test('refunds are paid in parts up to the refundable amount and then settle the return', async () => {
+  const approved = {
+    status: 'Approved',
+    statusHistory: [],
+    refunds: [],
+    refundSummary: { eligibleAmount: 1000, refundableAmount: 900, refundedAmount: 0 }
+  };
+  const by = { userId: 'u1', name: 'Asha', shiftId: 's1' };
+
+  const first = await recordRefund(approved, { method: 'cash', amount: 400 }, {}, by);
+  assert.equal(first.date, businessDate());
+  assert.equal(first.shiftId, 's1');
+  assert.equal(approved.status, 'Approved');
+
+  await assert.rejects(recordRefund(approved, { method: 'cash', amount: 600 }, {}, by), (err) => err.status === 400 && err.details.balance === 500);
+
+  await recordRefund(approved, { method: 'upi', amount: 500 }, {}, by);
+  assert.equal(approved.refundSummary.refundedAmount, 900);
+  assert.equal(approved.status, 'Refunded');
+});
+
+test('only approved returns can be refunded', async () => {
+  const requested = { status: 'Requested', statusHistory: [], refunds: [] };
+
+  await assert.rejects(recordRefund(requested, { method: 'cash', amount: 100 }, {}, { userId: 'u1', name: 'Asha' }), (err) => err.status === 400);
+  assert.equal(requested.refunds.length, 0);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { settingErrors } = require('../utils/settings');
+
+test('settings keep the type of their defaults', () => {
+  assert.deepEqual(settingErrors('gst', { metalRate: 3, makingHsnCode: '9988' }), []);
+  assert.deepEqual(settingErrors('gst', { metalRate: '3', makingHsnCode: 9988 }), [
+    'metalRate must be a number of zero or more',
+    'makingHsnCode must be text'
+  ]);
+  assert.deepEqual(settingErrors('invoice', { showKyc: 'yes', terms: ['No returns', 5] }), [
+    'showKyc must be true or false',
+    'terms must be a list of text values'
+  ]);
+});
+
+test('numbers must not be negative and percentages stay within 100', () => {
+  assert.deepEqual(settingErrors('gst', { tolerance: -1, makingRate: 120 }), [
+    'tolerance must be a number of zero or more',
+    'makingRate cannot be more than 100'
+  ]);
+});
+
+test('fields with fixed choices only take one of them', () => {
+  assert.deepEqual(settingErrors('pricing', { mode: 'server' }), []);
+  assert.deepEqual(settingErrors('pricing', { mode: 'strict' }), ['mode must be one of: validate, server, off']);
+  assert.deepEqual(settingErrors('booking', { expiryPolicy: 'keep' }), ['expiryPolicy must be one of: refund, forfeit, store_credit']);
+});
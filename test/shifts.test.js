@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, callRoute } = require('./http');
+const Shift = require('../models/Shift');
+const Order = require('../models/Order');
+const ChitPayment = require('../models/ChitPayment');
+const Return = require('../models/Return');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const shiftsRouter = require('../routes/shifts');
+const { fakeQuery } = require('./fakeQuery');
+
+const SHIFT_ID = '64b0000000000000000000f1';
+
+test('a user with an open shift cannot open another', async (t) => {
+  const res = await callRoute(t, shiftsRouter, {
+    method: 'POST',
+    url: '/open',
+    body: { terminalId: 'T2', openingCash: 0 },
+    shift: { _id: SHIFT_ID, terminalId: 'T1' }
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /open shift on terminal T1/);
+});
+
+test('a terminal opened at the same moment by someone else is refused by the unique index', async (t) => {
+  t.mock.method(Shift, 'findOpenForTerminal', async () => null);
+  t.mock.method(Shift.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { terminalId: 1 } });
+  });
+
+  const res = await callRoute(t, shiftsRouter, { method: 'POST', url: '/open', body: { terminalId: 'T1', openingCash: 500 } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'Terminal T1 already has an open shift');
+});
+
+test('closing a shift compares the counted cash with the cash taken', async (t) => {
+  const shift = new Shift({ _id: SHIFT_ID, userId: ADMIN.id, userName: 'Asha', terminalId: 'T1', openingCash: 1000 });
+  t.mock.method(Shift, 'findById', () => fakeQuery(shift));
+  t.mock.method(Shift.prototype, 'save', async function () { return this; });
+  // An order billed and later cancelled in the same shift, its cash handed back
+  const cancelled = {
+    status: 'cancelled',
+    grandTotal: 1000,
+    paymentMethods: [{ method: 'Cash', amount: 1000 }],
+    cancellation: { refunds: [{ method: 'Cash', amount: 1000, source: 'payment' }] }
+  };
+  t.mock.method(Order, 'find', (filter) => {
+    if (filter.shiftId) {
+      return fakeQuery([
+        { status: 'active', grandTotal: 3000, paymentMethods: [{ method: 'Cash', amount: 2000 }, { method: 'UPI', amount: 1000 }] },
+        cancelled
+      ]);
+    }
+    if (filter['cancellation.shiftId']) return fakeQuery([cancelled]);
+    // A balance collected in this shift on an order billed earlier
+    return fakeQuery([{ collections: [{ method: 'Cash', amount: 700, shiftId: SHIFT_ID }] }]);
+  });
+  t.mock.method(ChitPayment, 'find', () => fakeQuery([{ paymentMethod: 'cash', amount: 500 }]));
+  t.mock.method(Return, 'find', () => fakeQuery([
+    { refunds: [{ method: 'cash', amount: 300, shiftId: SHIFT_ID }, { method: 'cash', amount: 900, shiftId: 'another' }] }
+  ]));
+  t.mock.method(Booking, 'find', () => fakeQuery([]));
+  t.mock.method(WalletTransaction, 'find', () => fakeQuery([{ method: 'Cash', amount: 1000 }, { method: 'UPI', amount: 400 }]));
+
+  const res = await callRoute(t, shiftsRouter, { method: 'POST', url: `/${SHIFT_ID}/close`, body: { closingCash: 4800 } });
+
+  assert.equal(res.status, 200, res.body.message);
+  // 1000 opening + 3000 cash sales + 700 cash collected + 500 cash chit installment
+  // + 1000 cash wallet deposit - 300 cash refunded on a return - 1000 cash handed back on the cancellation
+  assert.equal(res.body.summary.expectedCash, 4900);
+  assert.equal(res.body.summary.totalOrders, 1);
+  assert.equal(res.body.summary.totalRevenue, 3000, 'the cancelled order is not revenue');
+  assert.equal(res.body.summary.totalCancellationRefunds, 1000);
+  assert.equal(res.body.summary.totalCollections, 700);
+  assert.equal(res.body.summary.totalWalletDeposits, 1400);
+  assert.equal(res.body.summary.totalRefunds, 300);
+  assert.equal(res.body.shift.cashDifference, -100);
+  assert.equal(res.body.shift.status, 'closed');
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { adjustStock } = require('../utils/stock');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+test('taking stock out records a movement with the new balance', async (t) => {
+  const update = t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery({ _id: 'p1', sku: 'R1', stock: 2 }));
+  const movements = [];
+  t.mock.method(StockMovement, 'create', async (docs) => { movements.push(...docs); return docs; });
+
+  const { product } = await adjustStock({ sku: 'R1', change: -1, type: 'sale', reason: 'Sold on INV/0001' });
+
+  assert.equal(product.stock, 2);
+  const [filter] = update.mock.calls[0].arguments;
+  assert.equal(filter.sku, 'R1');
+  assert.ok(filter.$expr, 'a sale only matches products with enough stock');
+  assert.deepEqual(
+    { sku: movements[0].sku, type: movements[0].type, quantity: movements[0].quantity, balanceAfter: movements[0].balanceAfter },
+    { sku: 'R1', type: 'sale', quantity: -1, balanceAfter: 2 }
+  );
+});
+
+test('selling more than is on hand is refused with a 409', async (t) => {
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(null));
+  t.mock.method(Product, 'exists', () => fakeQuery({ _id: 'p1' }));
+
+  await assert.rejects(
+    adjustStock({ sku: 'R1', change: -5, type: 'sale' }),
+    (err) => err instanceof HttpError && err.status === 409
+  );
+});
+
+test('moving stock of an unknown product is a 404', async (t) => {
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery(null));
+  t.mock.method(Product, 'exists', () => fakeQuery(null));
+
+  await assert.rejects(
+    adjustStock({ sku: 'NOPE', change: 1, type: 'adjustment' }),
+    (err) => err instanceof HttpError && err.status === 404
+  );
+});
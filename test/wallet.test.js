@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Rate = require('../models/Rate');
+const Counter = require('../models/Counter');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const { creditWallet, debitWallet } = require('../utils/wallet');
+const { createOrder } = require('../utils/orderHelper');
+const HttpError = require('../utils/httpError');
+const { fakeQuery } = require('./fakeQuery');
+
+test('a deposit credits the wallet and records how it was paid', async (t) => {
+  const update = t.mock.method(Customer, 'findOneAndUpdate', () => fakeQuery({ _id: 'c1', walletBalance: 1500 }));
+  t.mock.method(WalletTransaction, 'create', async (docs) => docs);
+
+  const { customer, transaction } = await creditWallet({
+    customerId: 'c1',
+    amount: 500,
+    source: 'advance',
+    payment: { method: 'UPI', date: '2026-10-19', shiftId: 's1' }
+  });
+
+  assert.equal(customer.walletBalance, 1500);
+  assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { walletBalance: 500 } });
+  assert.deepEqual(
+    { type: transaction.type, amount: transaction.amount, balanceAfter: transaction.balanceAfter, method: transaction.method, date: transaction.date, shiftId: transaction.shiftId },
+    { type: 'credit', amount: 500, balanceAfter: 1500, method: 'UPI', date: '2026-10-19', shiftId: 's1' }
+  );
+});
+
+test('spending only matches a wallet holding enough credit', async (t) => {
+  const update = t.mock.method(Customer, 'findOneAndUpdate', () => fakeQuery(null));
+  t.mock.method(Customer, 'findById', () => fakeQuery({ _id: 'c1', walletBalance: 100 }));
+
+  await assert.rejects(
+    debitWallet({ customerId: 'c1', amount: 250, source: 'order' }),
+    (err) => err instanceof HttpError && err.status === 409 && /₹100/.test(err.message)
+  );
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: 'c1', walletBalance: { $gte: 250 } });
+});
+
+test('a zero amount is refused', async () => {
+  await assert.rejects(creditWallet({ customerId: 'c1', amount: 0, source: 'adjustment' }), (err) => err.status === 400);
+});
+
+test('an order paid with store credit spends it from the customer wallet', async (t) => {
+  t.mock.method(Counter, 'findOneAndUpdate', () => fakeQuery({ value: 42 }));
+  t.mock.method(Setting, 'findOne', () => fakeQuery(null));
+  t.mock.method(Product, 'find', () => fakeQuery([]));
+  t.mock.method(Rate, 'findOne', () => fakeQuery({ metal: 'gold', purity: '22K', price: 7300 }));
+  t.mock.method(Product, 'findOneAndUpdate', () => fakeQuery({ _id: 'p1', sku: 'R1', metal: 'gold', purity: '22K', weight: 4, makingCharges: 800 }));
+  t.mock.method(StockMovement, 'create', async (docs) => docs);
+  t.mock.method(Order.prototype, 'save', async function () { return this; });
+  t.mock.method(Customer, 'findById', () => fakeQuery({ _id: '64b0000000000000000000c1', walletBalance: 5000 }));
+  const update = t.mock.method(Customer, 'findOneAndUpdate', () => fakeQuery({ _id: '64b0000000000000000000c1', walletBalance: 0 }));
+  t.mock.method(WalletTransaction, 'create', async (docs) => docs.map(doc => ({ ...doc, _id: 'w1' })));
+
+  const order = await createOrder({
+    customerId: '64b0000000000000000000c1',
+    items: [{ sku: 'R1', name: 'Ring', qty: 1, price: 30000 }],
+    paymentMethods: [{ method: 'Store Credit', amount: 5000 }, { method: 'Cash', amount: 25916 }]
+  }, { userId: 'u1', name: 'Asha' }, null);
+
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: '64b0000000000000000000c1', walletBalance: { $gte: 5000 } });
+  assert.equal(order.paymentMethods[0].storeCredit.balanceAfter, 0);
+});
@@ -0,0 +1,85 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never written to the audit trail
+const SECRET_FIELDS = new Set(['password', 'pin']);
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = new Set(['__v', 'updatedAt']);
+
+/**
+ * Convert a mongoose document (or plain object) into JSON-safe data without secrets.
+ */
+function toPlain(doc) {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const plain = JSON.parse(JSON.stringify(obj));
+  for (const field of SECRET_FIELDS) delete plain[field];
+  return plain;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Field-level diff between two plain objects. Nested objects are compared by
+ * dotted path; arrays are compared as a whole.
+ */
+function diffObjects(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (!prefix && (IGNORED_FIELDS.has(key) || SECRET_FIELDS.has(key))) continue;
+
+    const field = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffObjects(from, to, field));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record a create/update/delete in the audit trail. Failures are logged, never thrown,
+ * so auditing cannot break the request that triggered it.
+ */
+async function recordAudit(req, { entity, entityId, action, before, after, note }) {
+  try {
+    const beforePlain = toPlain(before);
+    const afterPlain = toPlain(after);
+    const id = entityId || afterPlain?._id || beforePlain?._id;
+
+    await AuditLog.create({
+      entity,
+      entityId: id ? String(id) : undefined,
+      action,
+      user: req.user ? {
+        userId: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role,
+      } : undefined,
+      method: req.method,
+      route: req.originalUrl,
+      ip: req.ip,
+      before: beforePlain,
+      after: afterPlain,
+      changes: action === 'update' ? diffObjects(beforePlain, afterPlain) : [],
+      note,
+    });
+  } catch (err) {
+    console.error('Audit log error:', err);
+  }
+}
+
+module.exports = {
+  diffObjects,
+  recordAudit,
+  toPlain,
+};
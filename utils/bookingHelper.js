@@ -0,0 +1,374 @@
+const Booking = require('../models/Booking');
+const Product = require('../models/Product');
+const HttpError = require('./httpError');
+const { adjustStock } = require('./stock');
+const { getNextFormattedNumber } = require('./counterHelper');
+const { findRate, normalizePurity, priceProductAt } = require('./pricing');
+const { round2 } = require('./gst');
+const { creditWallet, findWalletCustomer } = require('./wallet');
+const { createOrder } = require('./orderHelper');
+const { assertNotHeld } = require('./draftHelper');
+const { businessDate } = require('./businessDate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a booking inside `session`: allocate a BKG number, take each SKU out of
+ * stock as a reservation, lock the current rate if asked and record the advance.
+ *
+ * @param {Object} data - { customerId, customer, skus, description, advance: { method, amount, reference },
+ *   lockRate, rateLockDays, rateLock: { metal, purity }, validityDays, notes }
+ * @param {Object} config - the "booking" setting
+ * @param {Object} attribution - { userId, name, shiftId, terminalId } from shiftAttribution
+ * @param {ClientSession} session
+ * @returns {Promise<Booking>}
+ */
+async function createBooking(data, config, { userId, name, shiftId, terminalId }, session) {
+  const validityDays = Number(data.validityDays) || config.validityDays;
+  if (validityDays <= 0 || validityDays > config.maxValidityDays) {
+    throw new HttpError(400, `Booking validity must be between 1 and ${config.maxValidityDays} days`);
+  }
+
+  const now = new Date();
+  const booking = new Booking({
+    bookingNumber: await getNextFormattedNumber('BKG', '/', session),
+    customerId: data.customerId || undefined,
+    customer: data.customer,
+    description: data.description || '',
+    expiresAt: new Date(now.getTime() + validityDays * DAY_MS),
+    notes: data.notes || '',
+    createdBy: { userId, name },
+    shiftId,
+    terminalId
+  });
+
+  // Reserved pieces leave stock so no other counter can sell them
+  const skus = [...new Set(data.skus || [])];
+  await assertNotHeld(skus.map(sku => ({ sku, qty: 1 })), { session });
+  for (const sku of skus) {
+    const { product } = await adjustStock({
+      sku,
+      change: -1,
+      type: 'reservation',
+      reason: `Reserved on ${booking.bookingNumber}`,
+      reference: { kind: 'Booking', id: booking._id, number: booking.bookingNumber },
+      user: { userId, name },
+      session
+    });
+
+    booking.items.push({
+      productId: product._id,
+      sku: product.sku,
+      name: product.name,
+      metal: product.metal,
+      purity: product.purity,
+      metalWeight: product.weight || 0,
+      priceAtBooking: product.price,
+      reserved: true
+    });
+  }
+
+  if (data.lockRate) {
+    const lockDays = Number(data.rateLockDays) || config.rateLockDays;
+    if (lockDays <= 0 || lockDays > config.maxRateLockDays) {
+      throw new HttpError(400, `Rate lock must be between 1 and ${config.maxRateLockDays} days`);
+    }
+
+    const metal = data.rateLock?.metal || booking.items[0]?.metal;
+    const purity = normalizePurity(metal, data.rateLock?.purity || booking.items[0]?.purity);
+    const rate = metal ? await findRate(metal, purity, session) : null;
+    if (!rate || !(rate.price > 0)) {
+      throw new HttpError(400, `No ${metal || 'metal'} rate is set to lock`);
+    }
+
+    booking.rateLock = {
+      metal,
+      purity,
+      ratePerGram: rate.price,
+      lockedAt: now,
+      // The lock never outlives the booking
+      lockedUntil: new Date(Math.min(now.getTime() + lockDays * DAY_MS, booking.expiresAt.getTime()))
+    };
+  }
+
+  addAdvancePayment(booking, data.advance, { userId, name, shiftId });
+  if (booking.advanceAmount < config.minAdvanceAmount) {
+    throw new HttpError(400, `An advance of at least ₹${config.minAdvanceAmount} is required`);
+  }
+
+  await booking.save({ session });
+  return booking;
+}
+
+/**
+ * Record an advance instalment on the booking and update its running total.
+ */
+function addAdvancePayment(booking, payment, { userId, name, shiftId }) {
+  booking.payments.push({
+    method: payment.method,
+    amount: round2(payment.amount),
+    reference: payment.reference || '',
+    date: payment.date || businessDate(),
+    receivedBy: { userId, name },
+    shiftId
+  });
+  booking.advanceAmount = round2(booking.payments.reduce((sum, p) => sum + p.amount, 0));
+  return booking.payments[booking.payments.length - 1];
+}
+
+/**
+ * True while the booking's locked rate can still be used.
+ */
+function isRateLockActive(booking, at = new Date()) {
+  return Boolean(booking.rateLock?.ratePerGram && booking.rateLock.lockedUntil >= at);
+}
+
+/**
+ * Price breakdown of a product at the booking's locked rate, or null when the lock
+ * has lapsed or does not cover the product's metal and purity.
+ */
+function lockedPricingFor(booking, product) {
+  if (!isRateLockActive(booking)) return null;
+
+  const { metal, purity, ratePerGram } = booking.rateLock;
+  if (product.metal !== metal || normalizePurity(product.metal, product.purity) !== purity) return null;
+
+  return { source: 'locked', ...priceProductAt(ratePerGram, product) };
+}
+
+/**
+ * Put every still-reserved piece back into stock.
+ */
+async function releaseReservations(booking, reason, user, session) {
+  for (const item of booking.items) {
+    if (!item.reserved) continue;
+
+    await adjustStock({
+      productId: item.productId,
+      change: 1,
+      type: 'reservation',
+      reason,
+      reference: { kind: 'Booking', id: booking._id, number: booking.bookingNumber },
+      user,
+      session
+    });
+    item.reserved = false;
+    item.releasedAt = new Date();
+  }
+}
+
+/**
+ * Turn an active booking into a final order inside `session`. Reserved pieces are
+ * released and sold on the order, lines in the locked metal are priced at the
+ * locked rate, and the advance is applied as a 'Booking Advance' payment. Advance
+ * beyond the order total goes to the customer's wallet, or is owed as a refund
+ * for walk-in customers.
+ *
+ * @param {Booking} booking
+ * @param {Object} orderData - same payload as POST /api/orders
+ * @param {Object} attribution - { userId, name, shiftId, terminalId } from shiftAttribution
+ * @param {ClientSession} session
+ * @param {Object} [options] - { maxDiscountPercent } the billing user's role limit
+ * @returns {Promise<{ booking, order, appliedAdvance, walletCredit, excessAdvance }>}
+ */
+async function convertBooking(booking, orderData, attribution, session, { maxDiscountPercent = null } = {}) {
+  if (booking.status !== 'Active') {
+    throw new HttpError(400, `Only active bookings can be converted (this one is ${booking.status})`);
+  }
+  if (booking.expiresAt < new Date()) {
+    throw new HttpError(409, `Booking ${booking.bookingNumber} expired on ${businessDate(booking.expiresAt)}`);
+  }
+
+  const by = { userId: attribution.userId, name: attribution.name };
+  await releaseReservations(booking, `Released for sale on ${booking.bookingNumber}`, by, session);
+
+  // Price lines in the locked metal at the locked rate
+  const rateLocked = isRateLockActive(booking);
+  let items = orderData.items;
+  if (rateLocked) {
+    const products = await Product.find({ sku: { $in: items.map(item => item.sku) } }).session(session);
+    const bySku = new Map(products.map(product => [product.sku, product]));
+    items = items.map(item => {
+      const product = bySku.get(item.sku);
+      const locked = product ? lockedPricingFor(booking, product) : null;
+      return locked ? { ...item, price: locked.total } : item;
+    });
+  }
+
+  // The advance is applied up to the order's server-computed total
+  const advance = booking.advanceAmount || 0;
+  const customerId = orderData.customerId || booking.customerId;
+  const order = await createOrder({
+    ...orderData,
+    items,
+    customerId,
+    customer: orderData.customer || booking.customer
+  }, attribution, session, {
+    priceAt: product => lockedPricingFor(booking, product),
+    maxDiscountPercent,
+    prepaid: {
+      method: 'Booking Advance',
+      amount: advance,
+      bookingAdvance: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        rateLocked
+      }
+    }
+  });
+  const appliedAdvance = order.paymentMethods.find(payment => payment.method === 'Booking Advance')?.amount || 0;
+
+  const excessAdvance = round2(advance - appliedAdvance);
+  let walletCredit = 0;
+  if (excessAdvance > 0) {
+    const customer = await findWalletCustomer({ customerId, phone: booking.customer?.phone }, session);
+    if (customer) {
+      await creditWallet({
+        customerId: customer._id,
+        amount: excessAdvance,
+        source: 'booking',
+        reference: { kind: 'Booking', id: booking._id, number: booking.bookingNumber },
+        notes: `Unused advance after ${order.invoiceNumber}`,
+        user: by,
+        session
+      });
+      walletCredit = excessAdvance;
+    } else {
+      booking.settlement = {
+        policy: 'refund',
+        forfeitedAmount: 0,
+        refundableAmount: excessAdvance,
+        refundStatus: 'pending',
+        settledAt: new Date(),
+        notes: `Unused advance after ${order.invoiceNumber}`
+      };
+    }
+  }
+
+  booking.conversion = {
+    orderRef: order._id,
+    orderId: order.orderId,
+    invoiceNumber: order.invoiceNumber,
+    appliedAdvance,
+    walletCredit,
+    convertedAt: new Date()
+  };
+  booking.status = 'Converted';
+
+  return { booking, order, appliedAdvance, walletCredit, excessAdvance };
+}
+
+/**
+ * Close a booking that will not be converted (expired or cancelled): release its
+ * pieces and settle the advance under `policy`.
+ *
+ * - forfeit: the shop keeps the whole advance
+ * - refund: `forfeitPercent` is kept and the rest is owed to the customer (paid via recordBookingRefund)
+ * - store_credit: as refund, but credited to the customer's wallet straight away
+ *
+ * @param {Booking} booking
+ * @param {Object} options - { status: 'Expired' | 'Cancelled', policy, forfeitPercent, notes, by: { userId, name } }
+ * @param {ClientSession} session
+ */
+async function closeBooking(booking, { status, policy, forfeitPercent, notes, by }, session) {
+  if (booking.status !== 'Active') {
+    throw new HttpError(400, `Booking is already ${booking.status}`);
+  }
+
+  await releaseReservations(booking, `Booking ${booking.bookingNumber} ${status.toLowerCase()}`, by, session);
+
+  const advance = booking.advanceAmount || 0;
+  const forfeitedAmount = policy === 'forfeit'
+    ? advance
+    : round2(advance * Math.min(Math.max(forfeitPercent || 0, 0), 100) / 100);
+  const refundableAmount = round2(advance - forfeitedAmount);
+
+  const settlement = {
+    policy,
+    forfeitedAmount,
+    refundableAmount,
+    refundStatus: refundableAmount > 0 ? 'pending' : 'none',
+    date: businessDate(),
+    settledAt: new Date(),
+    notes: notes || ''
+  };
+
+  if (policy === 'store_credit' && refundableAmount > 0) {
+    const customer = await findWalletCustomer({ customerId: booking.customerId, phone: booking.customer?.phone }, session);
+    // Walk-in customers without a wallet are refunded instead
+    if (customer) {
+      const { transaction } = await creditWallet({
+        customerId: customer._id,
+        amount: refundableAmount,
+        source: 'booking',
+        reference: { kind: 'Booking', id: booking._id, number: booking.bookingNumber },
+        notes: `Advance from ${status.toLowerCase()} booking`,
+        user: by,
+        session
+      });
+      settlement.refundStatus = 'paid';
+      settlement.refundMethod = 'store_credit';
+      settlement.walletTransactionId = transaction._id;
+      settlement.refundedAt = new Date();
+    }
+  }
+
+  booking.settlement = settlement;
+  booking.status = status;
+  return booking;
+}
+
+/**
+ * Pay out the refundable advance of an expired or cancelled booking.
+ *
+ * @param {Booking} booking
+ * @param {Object} refund - { method: cash | upi | bank | store_credit, reference, notes, customerId }
+ * @param {Object} by - { userId, name, shiftId }
+ * @param {ClientSession} session
+ */
+async function recordBookingRefund(booking, refund, by, session) {
+  if (booking.settlement?.refundStatus !== 'pending') {
+    throw new HttpError(400, 'This booking has no refund outstanding');
+  }
+
+  const { settlement } = booking;
+  if (refund.method === 'store_credit') {
+    const customer = await findWalletCustomer({ customerId: refund.customerId || booking.customerId, phone: booking.customer?.phone }, session);
+    if (!customer) {
+      throw new HttpError(400, 'Store credit refunds need a registered customer');
+    }
+
+    const { transaction } = await creditWallet({
+      customerId: customer._id,
+      amount: settlement.refundableAmount,
+      source: 'booking',
+      reference: { kind: 'Booking', id: booking._id, number: booking.bookingNumber },
+      notes: 'Refund of booking advance',
+      user: { userId: by.userId, name: by.name },
+      session
+    });
+    settlement.walletTransactionId = transaction._id;
+  }
+
+  settlement.refundStatus = 'paid';
+  settlement.refundMethod = refund.method;
+  settlement.reference = refund.reference || '';
+  if (refund.notes) {
+    settlement.notes = settlement.notes ? `${settlement.notes}\n${refund.notes}` : refund.notes;
+  }
+  settlement.date = businessDate();
+  settlement.refundedAt = new Date();
+  settlement.shiftId = by.shiftId;
+  return booking;
+}
+
+module.exports = {
+  addAdvancePayment,
+  closeBooking,
+  convertBooking,
+  createBooking,
+  isRateLockActive,
+  lockedPricingFor,
+  recordBookingRefund,
+  releaseReservations,
+};
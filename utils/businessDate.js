@@ -0,0 +1,23 @@
+// The shop's clock: business days roll over at local midnight, not UTC midnight
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+// en-CA formats dates as YYYY-MM-DD, the form order and refund dates are stored in
+const formatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: BUSINESS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Business date (YYYY-MM-DD) of `at` in the shop's time zone (BUSINESS_TIMEZONE,
+ * India by default).
+ *
+ * @param {Date} [at] - defaults to now
+ * @returns {string}
+ */
+function businessDate(at = new Date()) {
+  return formatter.format(at);
+}
+
+module.exports = { BUSINESS_TIMEZONE, businessDate };
@@ -0,0 +1,161 @@
+const PDFDocument = require('pdfkit');
+const { amountToWords } = require('./numberToWords');
+
+// Characters per line on common thermal printers (Font A)
+const ESCPOS_WIDTHS = { 58: 32, 80: 48 };
+
+const ESC = '\x1b';
+const GS = '\x1d';
+const ESCPOS = {
+  init: `${ESC}@`,
+  alignLeft: `${ESC}a\x00`,
+  alignCenter: `${ESC}a\x01`,
+  boldOn: `${ESC}E\x01`,
+  boldOff: `${ESC}E\x00`,
+  doubleOn: `${GS}!\x11`,
+  doubleOff: `${GS}!\x00`,
+  feedAndCut: `${ESC}d\x04${GS}V\x41\x03`,
+};
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+const formatGrams = (value) => `${(Number(value) || 0).toFixed(3)} g`;
+
+/**
+ * Collect everything a receipt shows from a payment, its chit and the grams
+ * accumulated up to and including this installment.
+ */
+function buildReceiptData(payment, chit, gramsToDate) {
+  return {
+    receiptNumber: payment.receiptNumber,
+    paymentDate: payment.paymentDate,
+    chitNumber: payment.chitNumber,
+    customerName: payment.customerName,
+    customerPhone: chit?.customerPhone || '',
+    installmentNumber: payment.installmentNumber,
+    totalInstallments: chit?.totalInstallments,
+    amount: payment.amount,
+    paymentMethod: payment.paymentMethod,
+    goldRate: payment.goldDetails?.goldRate || 0,
+    purity: payment.goldDetails?.purity || '',
+    gramsThisInstallment: payment.goldDetails?.goldWeight || 0,
+    gramsToDate,
+    nextDueDate: chit && chit.status === 'active' ? chit.nextDueDate : null,
+    chitStatus: chit?.status || '',
+    collectedBy: payment.collectedBy,
+  };
+}
+
+/**
+ * Label/value rows shared by the PDF and thermal layouts.
+ */
+function receiptRows(data, currencyLabel) {
+  const money = (value) => `${currencyLabel} ${(Number(value) || 0).toFixed(2)}`;
+  return [
+    ['Receipt No', data.receiptNumber],
+    ['Date', formatDate(data.paymentDate)],
+    ['Chit No', data.chitNumber],
+    ['Customer', data.customerName],
+    ['Phone', data.customerPhone],
+    ['Installment', data.totalInstallments ? `${data.installmentNumber} of ${data.totalInstallments}` : String(data.installmentNumber)],
+    ['Amount', money(data.amount)],
+    ['Paid By', String(data.paymentMethod || '').toUpperCase()],
+    [`Gold Rate (${data.purity})`, `${money(data.goldRate)}/g`],
+    ['Gold This Inst.', formatGrams(data.gramsThisInstallment)],
+    ['Gold To Date', formatGrams(data.gramsToDate)],
+    ['Next Due', data.nextDueDate ? formatDate(data.nextDueDate) : (data.chitStatus || '-')],
+    ['Collected By', data.collectedBy],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Render a chit payment receipt as an A5 PDF piped to `stream`.
+ *
+ * @param {Object} data - from buildReceiptData
+ * @param {Object} template - the "invoice" setting (shop header, currency label)
+ * @param {Writable} stream
+ */
+function renderReceiptPdf(data, template, stream) {
+  const doc = new PDFDocument({ size: 'A5', margin: 30 });
+  const width = doc.page.width - 60;
+
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(14).text(template.shopName || '', { width, align: 'center' });
+  doc.font('Helvetica').fontSize(8);
+  (template.addressLines || []).forEach(line => doc.text(line, { width, align: 'center' }));
+  if (template.phone) doc.text(`Ph: ${template.phone}`, { width, align: 'center' });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).text('CHIT PAYMENT RECEIPT', { width, align: 'center' });
+  doc.moveDown(0.5);
+
+  receiptRows(data, template.currencyLabel).forEach(([label, value]) => {
+    const top = doc.y;
+    doc.font('Helvetica').fontSize(9).text(label, 30, top, { width: width * 0.45 });
+    doc.font('Helvetica-Bold').text(String(value), 30 + width * 0.45, top, { width: width * 0.55, align: 'right' });
+    doc.moveDown(0.3);
+  });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Oblique').fontSize(8).text(amountToWords(data.amount), 30, doc.y, { width });
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).text(template.signatureLabel, { width, align: 'right' });
+  if (template.footerNote) {
+    doc.moveDown(1);
+    doc.text(template.footerNote, { width, align: 'center' });
+  }
+
+  doc.end();
+}
+
+/**
+ * Render a chit payment receipt for a 58mm or 80mm thermal printer.
+ * With `raw` false the ESC/POS control codes are left out (for on-screen preview).
+ *
+ * @param {Object} data - from buildReceiptData
+ * @param {Object} template - the "invoice" setting
+ * @param {Object} [options] - { paperWidth: 58 | 80, raw: boolean }
+ * @returns {string}
+ */
+function renderReceiptEscPos(data, template, { paperWidth = 80, raw = true } = {}) {
+  const columns = ESCPOS_WIDTHS[paperWidth] || ESCPOS_WIDTHS[80];
+  const cmd = (code) => (raw ? code : '');
+  const rule = '-'.repeat(columns);
+  const center = (text) => {
+    const line = String(text).slice(0, columns);
+    return raw ? line : ' '.repeat(Math.floor((columns - line.length) / 2)) + line;
+  };
+  const row = (label, value) => {
+    const right = String(value);
+    const left = String(label).slice(0, Math.max(columns - right.length - 1, 0));
+    return left + ' '.repeat(Math.max(columns - left.length - right.length, 1)) + right;
+  };
+  const wrap = (text) => String(text).match(new RegExp(`.{1,${columns}}(\\s|$)`, 'g'))?.map(s => s.trim()) || [];
+
+  const lines = [
+    cmd(ESCPOS.init) + cmd(ESCPOS.alignCenter) + cmd(ESCPOS.boldOn) + cmd(ESCPOS.doubleOn) + center(template.shopName || ''),
+    cmd(ESCPOS.doubleOff) + cmd(ESCPOS.boldOff) + (template.addressLines || []).map(center).join('\n'),
+    template.phone ? center(`Ph: ${template.phone}`) : null,
+    rule,
+    cmd(ESCPOS.boldOn) + center('CHIT PAYMENT RECEIPT') + cmd(ESCPOS.boldOff),
+    rule + cmd(ESCPOS.alignLeft),
+    ...receiptRows(data, template.currencyLabel).map(([label, value]) => row(label, value)),
+    rule,
+    ...wrap(amountToWords(data.amount)),
+    '',
+    template.footerNote ? cmd(ESCPOS.alignCenter) + center(template.footerNote) : null,
+    cmd(ESCPOS.feedAndCut),
+  ].filter(line => line !== null);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  ESCPOS_WIDTHS,
+  buildReceiptData,
+  renderReceiptEscPos,
+  renderReceiptPdf,
+};
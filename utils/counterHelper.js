@@ -2,16 +2,27 @@ const Counter = require('../models/Counter');
 
 /**
  * Atomically increments a named counter and returns its new numeric value.
+ * Pass a session to roll the increment back with the surrounding transaction.
  */
-async function getNextSequence(name) {
+async function getNextSequence(name, session) {
   const counter = await Counter.findOneAndUpdate(
     { name },
     { $inc: { value: 1 } },
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
   );
   return counter.value;
 }
 
+/**
+ * Generate document numbers such as ORD-2024-0001 or INV/2024/0001.
+ */
+async function getNextFormattedNumber(prefix, separator = '/', session) {
+  const value = await getNextSequence(prefix, session);
+  const year = new Date().getFullYear();
+  const padded = String(value).padStart(4, '0');
+  return `${prefix}${separator}${year}${separator}${padded}`;
+}
+
 /**
  * Generate chit number: CHIT20240001
  */
@@ -38,6 +49,7 @@ async function generateReceiptNumber() {
 
 module.exports = { 
   getNextSequence,
+  getNextFormattedNumber,
   generateChitNumber,
   generateReceiptNumber
 };
\ No newline at end of file
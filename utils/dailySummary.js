@@ -0,0 +1,113 @@
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+
+/**
+ * Totals for one business day (orders keyed by their `date` string): revenue,
+ * payment methods, refunds, booking advances, collections, wallet deposits,
+ * cancellations and net cash.
+ * Cancelled orders are left out of the order count and revenue; what was paid for
+ * them still counts on the day it came in and their refunds on the day of the
+ * cancellation, so the cash drawer of each day reconciles.
+ */
+async function buildDailySummary(date) {
+  const orders = await Order.find({ date: date });
+  const activeOrders = orders.filter(order => order.status !== 'cancelled');
+  
+  const summary = {
+    totalOrders: activeOrders.length,
+    totalRevenue: activeOrders.reduce((sum, order) => sum + order.grandTotal, 0),
+    totalAdvanceAmount: orders.reduce((sum, order) => sum + (order.advanceAmount || 0), 0), // ADDED: Sum of advance amounts
+    paymentMethods: {},
+    chitSettlements: orders.filter(order => 
+      order.paymentMethods?.some(p => p.method === 'Chit Settlement')
+    ).length,
+    goldExchanges: orders.filter(order => 
+      order.paymentMethods?.some(p => p.method === 'Gold Exchange')
+    ).length
+  };
+  
+  // Calculate payment method breakdown
+  orders.forEach(order => {
+    order.paymentMethods?.forEach(payment => {
+      const method = payment.method;
+      if (!summary.paymentMethods[method]) {
+        summary.paymentMethods[method] = 0;
+      }
+      summary.paymentMethods[method] += payment.amount;
+    });
+  });
+
+  // Refunds paid out on returns that day, so the cash drawer reconciles
+  const returnsWithRefunds = await Return.find({ 'refunds.date': date });
+  summary.refunds = { total: 0, count: 0, methods: {} };
+  returnsWithRefunds.forEach(ret => {
+    ret.refunds.filter(refund => refund.date === date).forEach(refund => {
+      summary.refunds.total += refund.amount;
+      summary.refunds.count += 1;
+      summary.refunds.methods[refund.method] = (summary.refunds.methods[refund.method] || 0) + refund.amount;
+    });
+  });
+
+  // Booking advances taken that day count as cash in; refunded advances as refunds
+  const bookings = await Booking.find({ $or: [{ 'payments.date': date }, { 'settlement.date': date, 'settlement.refundStatus': 'paid' }] });
+  summary.bookingAdvances = { total: 0, count: 0, methods: {} };
+  bookings.forEach(booking => {
+    booking.payments.filter(payment => payment.date === date).forEach(payment => {
+      summary.bookingAdvances.total += payment.amount;
+      summary.bookingAdvances.count += 1;
+      summary.bookingAdvances.methods[payment.method] = (summary.bookingAdvances.methods[payment.method] || 0) + payment.amount;
+    });
+    const { settlement } = booking;
+    if (settlement?.refundStatus === 'paid' && settlement.date === date) {
+      summary.refunds.total += settlement.refundableAmount;
+      summary.refunds.count += 1;
+      summary.refunds.methods[settlement.refundMethod] = (summary.refunds.methods[settlement.refundMethod] || 0) + settlement.refundableAmount;
+    }
+  });
+
+  // Balances collected that day on orders billed earlier (or the same day)
+  const ordersWithCollections = await Order.find({ 'collections.date': date });
+  summary.collections = { total: 0, count: 0, methods: {} };
+  ordersWithCollections.forEach(order => {
+    order.collections.filter(collection => collection.date === date).forEach(collection => {
+      summary.collections.total += collection.amount;
+      summary.collections.count += 1;
+      summary.collections.methods[collection.method] = (summary.collections.methods[collection.method] || 0) + collection.amount;
+    });
+  });
+
+  // Store credit bought that day (advance deposits into customer wallets)
+  const deposits = await WalletTransaction.find({ date, source: 'advance', type: 'credit' });
+  summary.walletDeposits = { total: 0, count: deposits.length, methods: {} };
+  deposits.forEach(deposit => {
+    summary.walletDeposits.total += deposit.amount;
+    summary.walletDeposits.methods[deposit.method] = (summary.walletDeposits.methods[deposit.method] || 0) + deposit.amount;
+  });
+
+  // Orders cancelled that day and what was handed back for them
+  const cancelledOrders = await Order.find({ 'cancellation.date': date });
+  summary.cancellations = {
+    total: cancelledOrders.reduce((sum, order) => sum + order.grandTotal, 0),
+    count: cancelledOrders.length,
+    refunds: { total: 0, methods: {} }
+  };
+  cancelledOrders.forEach(order => {
+    order.cancellation.refunds.forEach(refund => {
+      summary.cancellations.refunds.total += refund.amount;
+      summary.cancellations.refunds.methods[refund.method] = (summary.cancellations.refunds.methods[refund.method] || 0) + refund.amount;
+    });
+  });
+
+  summary.netCash = (summary.paymentMethods.Cash || 0)
+    + (summary.collections.methods.Cash || 0)
+    + (summary.bookingAdvances.methods.Cash || 0)
+    + (summary.walletDeposits.methods.Cash || 0)
+    - (summary.refunds.methods.cash || 0)
+    - (summary.cancellations.refunds.methods.Cash || 0);
+
+  return summary;
+}
+
+module.exports = { buildDailySummary };
@@ -0,0 +1,140 @@
+const DraftOrder = require('../models/DraftOrder');
+const Product = require('../models/Product');
+const HttpError = require('./httpError');
+const { CURRENT_STOCK } = require('./stock');
+
+/**
+ * Total quantity per SKU of a list of lines ([{ sku, qty }], qty defaulting to 1).
+ */
+function quantitiesBySku(items) {
+  return items.reduce((map, item) => {
+    map.set(item.sku, (map.get(item.sku) || 0) + (Number(item.qty) || 1));
+    return map;
+  }, new Map());
+}
+
+/**
+ * Holds on a product that have not lapsed, leaving out those of `excludeDraftId`.
+ */
+function activeHolds(product, excludeDraftId) {
+  const now = new Date();
+  return (product.holds || []).filter(hold =>
+    hold.heldUntil > now && String(hold.draftId) !== String(excludeDraftId)
+  );
+}
+
+/**
+ * Throw HttpError 409 if taking `items` ([{ sku, qty }]) would dip into pieces
+ * held by a parked bill whose hold has not lapsed. Only the held quantity is
+ * kept back, so the rest of a multi-piece SKU can still be sold. Pass
+ * `excludeDraftId` to ignore the bill being edited.
+ */
+async function assertNotHeld(items, { excludeDraftId, session } = {}) {
+  const quantities = quantitiesBySku(items);
+  const products = await Product.find({
+    sku: { $in: [...quantities.keys()] },
+    'holds.heldUntil': { $gt: new Date() }
+  }).session(session || null);
+
+  const held = [];
+  products.forEach(product => {
+    const holds = activeHolds(product, excludeDraftId);
+    const heldQty = holds.reduce((sum, hold) => sum + hold.qty, 0);
+    const stock = product.stock ?? (product.available ? 1 : 0);
+    if (heldQty === 0 || stock - heldQty >= quantities.get(product.sku)) return;
+
+    holds.forEach(hold => held.push({
+      sku: product.sku,
+      draftId: hold.draftId,
+      qty: hold.qty,
+      heldUntil: hold.heldUntil
+    }));
+  });
+  if (held.length === 0) return;
+
+  // Say which counter and biller parked each hold
+  const drafts = await DraftOrder.find({ _id: { $in: held.map(hold => hold.draftId) } }, 'terminalId createdBy')
+    .session(session || null);
+  held.forEach(hold => {
+    const draft = drafts.find(d => String(d._id) === String(hold.draftId));
+    hold.terminalId = draft?.terminalId;
+    hold.heldBy = draft?.createdBy?.name;
+  });
+
+  const skus = [...new Set(held.map(hold => hold.sku))];
+  throw new HttpError(409, `Held on a parked bill: ${skus.join(', ')}`, { held });
+}
+
+/**
+ * Check the pieces on a bill being parked: each must exist, be in stock and not
+ * be held by another parked bill.
+ */
+async function checkDraftItems(items, excludeDraftId) {
+  const skus = items.map(item => item.sku);
+  const products = await Product.find({ sku: { $in: skus } });
+  const bySku = new Map(products.map(product => [product.sku, product]));
+
+  for (const item of items) {
+    const product = bySku.get(item.sku);
+    if (!product) {
+      throw new HttpError(404, `Product not found for SKU ${item.sku}`);
+    }
+    if (!product.available || (product.stock ?? 1) < (Number(item.qty) || 1)) {
+      throw new HttpError(409, `Insufficient stock for ${item.sku}`);
+    }
+  }
+
+  await assertNotHeld(items, { excludeDraftId });
+}
+
+/**
+ * Hold the parked quantity of each SKU on `items` for the bill `draftId` until
+ * `heldUntil`, inside `session`. The check against stock and other bills' holds
+ * and the hold itself are one update per product, so two counters cannot both
+ * park the last piece. Lapsed holds are dropped on the way.
+ */
+async function placeHolds(draftId, items, heldUntil, session) {
+  const now = new Date();
+  const otherHolds = {
+    $filter: {
+      input: { $ifNull: ['$holds', []] },
+      cond: { $and: [{ $gt: ['$$this.heldUntil', now] }, { $ne: ['$$this.draftId', draftId] }] }
+    }
+  };
+  const heldByOthers = { $sum: { $map: { input: otherHolds, in: '$$this.qty' } } };
+
+  for (const [sku, qty] of quantitiesBySku(items)) {
+    const product = await Product.findOneAndUpdate(
+      { sku, $expr: { $gte: [{ $subtract: [CURRENT_STOCK, heldByOthers] }, qty] } },
+      [{ $set: { holds: { $concatArrays: [otherHolds, [{ draftId, qty, heldUntil }]] } } }],
+      { new: true, session }
+    );
+
+    if (!product) {
+      await assertNotHeld([{ sku, qty }], { excludeDraftId: draftId, session });
+      throw new HttpError(409, `Insufficient stock for ${sku}`);
+    }
+  }
+}
+
+/**
+ * Drop every hold of the bill `draftId` (when it is edited, finalized or discarded).
+ */
+async function releaseHolds(draftId, session) {
+  await Product.updateMany({ 'holds.draftId': draftId }, { $pull: { holds: { draftId } } }, { session });
+}
+
+/**
+ * When a hold placed now lapses.
+ */
+function holdUntil(config) {
+  return new Date(Date.now() + config.holdMinutes * 60 * 1000);
+}
+
+module.exports = {
+  assertNotHeld,
+  checkDraftItems,
+  holdUntil,
+  placeHolds,
+  releaseHolds,
+};
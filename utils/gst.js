@@ -0,0 +1,163 @@
+const Category = require('../models/Category');
+const { getSetting } = require('./settings');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * State code (first two digits) of a GSTIN, or null if it does not start with one.
+ */
+function stateCodeFromGstin(gstin) {
+  const match = /^(\d{2})/.exec(String(gstin || '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Intra-state supplies pay CGST + SGST; a customer GSTIN registered in another
+ * state makes the sale inter-state (IGST). Walk-in customers without a GSTIN are
+ * treated as intra-state.
+ */
+function supplyType(customer, config) {
+  const shopState = config.shopStateCode || stateCodeFromGstin(config.shopGstin);
+  const customerState = stateCodeFromGstin(customer?.gstNumber);
+  if (!shopState || !customerState || shopState === customerState) {
+    return { type: 'intra', placeOfSupply: customerState || shopState || '' };
+  }
+  return { type: 'inter', placeOfSupply: customerState };
+}
+
+/**
+ * Split an order into metal and making values per line and compute GST.
+ *
+ * Each line's making charges are taxed at `makingRate` under `makingHsnCode` (the
+ * job-work SAC); the rest of the line (metal, wastage and stones) at `metalRate`
+ * under the category's HSN code. An order-level discount is spread over the lines
+ * in proportion to their value before tax is applied.
+ *
+ * @param {Object} order - { items: [{ sku, price, qty, makingCharges, category }], discount, customer }
+ * @param {Object} config - the "gst" setting
+ * @param {Object} [hsnCodes] - category name -> HSN code
+ * @returns {Object} breakdown stored on the order as `gst`
+ */
+function calculateGst({ items = [], discount = 0, customer } = {}, config, hsnCodes = {}) {
+  const lines = items.map(item => {
+    const qty = Number(item.qty) || 1;
+    const lineTotal = (Number(item.price) || 0) * qty;
+    const makingValue = Math.min(lineTotal, (Number(item.makingCharges) || 0) * qty);
+    return {
+      sku: item.sku,
+      hsnCode: hsnCodes[item.category] || config.defaultHsnCode,
+      lineTotal,
+      metalValue: lineTotal - makingValue,
+      makingValue,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const discountAmount = Math.min(Math.max(Number(discount) || 0, 0), subtotal);
+  const discountFactor = subtotal > 0 ? (subtotal - discountAmount) / subtotal : 0;
+
+  let metalValue = 0;
+  let makingValue = 0;
+  let totalTax = 0;
+
+  const taxedLines = lines.map(line => {
+    const lineMetal = round2(line.metalValue * discountFactor);
+    const lineMaking = round2(line.makingValue * discountFactor);
+    const metalTax = round2(lineMetal * config.metalRate / 100);
+    const makingTax = round2(lineMaking * config.makingRate / 100);
+
+    metalValue += lineMetal;
+    makingValue += lineMaking;
+    totalTax += metalTax + makingTax;
+
+    return {
+      sku: line.sku,
+      hsnCode: line.hsnCode,
+      makingHsnCode: lineMaking > 0 ? config.makingHsnCode : undefined,
+      metalValue: lineMetal,
+      makingValue: lineMaking,
+      metalTax,
+      makingTax,
+    };
+  });
+
+  totalTax = round2(totalTax);
+  const { type, placeOfSupply } = supplyType(customer, config);
+  const cgst = type === 'intra' ? round2(totalTax / 2) : 0;
+
+  return {
+    supplyType: type,
+    placeOfSupply,
+    metalRate: config.metalRate,
+    makingRate: config.makingRate,
+    subtotal: round2(subtotal),
+    discount: round2(discountAmount),
+    taxableValue: round2(metalValue + makingValue),
+    metalValue: round2(metalValue),
+    makingValue: round2(makingValue),
+    cgst,
+    sgst: type === 'intra' ? round2(totalTax - cgst) : 0,
+    igst: type === 'inter' ? totalTax : 0,
+    totalTax,
+    lines: taxedLines,
+  };
+}
+
+/**
+ * HSN codes for the given category names, from the Category collection.
+ */
+async function loadHsnCodes(categoryNames = []) {
+  const names = [...new Set(categoryNames.filter(Boolean))];
+  if (names.length === 0) return {};
+
+  const categories = await Category.find({ name: { $in: names } }, 'name hsnCode').lean();
+  return categories.reduce((map, category) => {
+    if (category.hsnCode) map[category.name] = category.hsnCode;
+    return map;
+  }, {});
+}
+
+/**
+ * Compute the GST breakdown for an order using the stored "gst" setting.
+ */
+async function computeOrderGst(order) {
+  const config = await getSetting('gst');
+  const hsnCodes = await loadHsnCodes((order.items || []).map(item => item.category));
+  return { breakdown: calculateGst(order, config, hsnCodes), config };
+}
+
+/**
+ * Compare the totals the counter submitted against the server's calculation.
+ * Missing values are filled in; values off by more than the tolerance are reported.
+ *
+ * @returns {{ totals: Object, mismatches: Array<{ field, submitted, expected }> }}
+ */
+function reconcileTotals(submitted, breakdown, tolerance) {
+  const amountAfterDiscount = round2(breakdown.subtotal - breakdown.discount);
+  const expected = {
+    subtotal: breakdown.subtotal,
+    amountAfterDiscount,
+    tax: breakdown.totalTax,
+    grandTotal: round2(amountAfterDiscount + breakdown.totalTax + (Number(submitted.extraCharges) || 0)),
+  };
+
+  const mismatches = [];
+  for (const [field, value] of Object.entries(expected)) {
+    const given = submitted[field];
+    if (given === undefined || given === null || given === '') continue;
+    if (Math.abs(Number(given) - value) > tolerance) {
+      mismatches.push({ field, submitted: Number(given), expected: value });
+    }
+  }
+
+  return { totals: expected, mismatches };
+}
+
+module.exports = {
+  round2,
+  calculateGst,
+  computeOrderGst,
+  loadHsnCodes,
+  reconcileTotals,
+  stateCodeFromGstin,
+};
@@ -0,0 +1,14 @@
+/**
+ * Error carrying an HTTP status, thrown from inside transactions and helpers
+ * so the route handler can answer with `{ success: false, message, ...details }`.
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { amountToWords } = require('./numberToWords');
+
+const MARGIN = 36;
+
+// Item table columns: [header, width, align]
+const ITEM_COLUMNS = [
+  ['#', 18, 'left'],
+  ['Item / HSN', 118, 'left'],
+  ['Purity', 34, 'left'],
+  ['Gross Wt', 42, 'right'],
+  ['Stone Wt', 40, 'right'],
+  ['Net Wt', 40, 'right'],
+  ['Wastage', 38, 'right'],
+  ['Making', 48, 'right'],
+  ['Stone', 45, 'right'],
+  ['Qty', 24, 'right'],
+  ['Amount', 76, 'right'],
+];
+
+const formatWeight = (value) => `${(Number(value) || 0).toFixed(3)} g`;
+
+/**
+ * Render a tax invoice for an order into a PDFKit document piped to `stream`.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} template - the "invoice" setting
+ * @param {Object} gstConfig - the "gst" setting (shop GSTIN)
+ * @param {Writable} stream - usually the Express response
+ */
+function renderInvoicePdf(order, template, gstConfig, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const money = (value) => `${template.currencyLabel} ${(Number(value) || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+  const pageWidth = doc.page.width - MARGIN * 2;
+
+  doc.pipe(stream);
+
+  // Cancelled invoices print with a watermark on every page
+  const cancelled = order.status === 'cancelled';
+  const watermark = () => {
+    const { x, y } = doc;
+    doc.save();
+    doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+    doc.font('Helvetica-Bold').fontSize(90).fillColor('#cc0000').opacity(0.15)
+      .text('CANCELLED', 0, doc.page.height / 2 - 45, { width: doc.page.width, align: 'center', lineBreak: false });
+    doc.restore();
+    doc.x = x;
+    doc.y = y;
+  };
+  if (cancelled) {
+    watermark();
+    doc.on('pageAdded', watermark);
+  }
+
+  // Shop header
+  let headerTop = MARGIN;
+  if (template.logoPath && fs.existsSync(template.logoPath)) {
+    doc.image(template.logoPath, MARGIN, headerTop, { fit: [60, 60] });
+  }
+  doc.font('Helvetica-Bold').fontSize(16).text(template.shopName || '', MARGIN, headerTop, { width: pageWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  (template.addressLines || []).forEach(line => doc.text(line, { width: pageWidth, align: 'center' }));
+  const contact = [template.phone && `Ph: ${template.phone}`, template.email].filter(Boolean).join('  |  ');
+  if (contact) doc.text(contact, { width: pageWidth, align: 'center' });
+  if (gstConfig.shopGstin) doc.text(`GSTIN: ${gstConfig.shopGstin}`, { width: pageWidth, align: 'center' });
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(12).text(template.title, MARGIN, doc.y, { width: pageWidth, align: 'center' });
+  if (cancelled) {
+    const { reason, cancelledAt } = order.cancellation || {};
+    doc.fillColor('#cc0000').fontSize(11).text('CANCELLED', { width: pageWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(8).text(
+      [cancelledAt && `on ${new Date(cancelledAt).toLocaleDateString('en-IN')}`, reason && `Reason: ${reason}`].filter(Boolean).join('  |  '),
+      { width: pageWidth, align: 'center' }
+    );
+    doc.fillColor('black');
+  }
+  doc.moveDown(0.5);
+
+  // Invoice and customer details
+  headerTop = doc.y;
+  const customer = order.customer || {};
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Invoice No: ${order.invoiceNumber}`, MARGIN, headerTop);
+  doc.text(`Order ID: ${order.orderId}`);
+  doc.text(`Date: ${order.date || new Date(order.createdAt).toLocaleDateString('en-IN')} ${order.time || ''}`);
+  if (order.gst?.placeOfSupply) doc.text(`Place of Supply: ${order.gst.placeOfSupply}`);
+  const leftBottom = doc.y;
+
+  const right = MARGIN + pageWidth / 2;
+  doc.font('Helvetica-Bold').text('Billed To', right, headerTop);
+  doc.font('Helvetica');
+  [
+    customer.name,
+    customer.phone && `Phone: ${customer.phone}`,
+    customer.email,
+    customer.gstNumber && `GSTIN: ${customer.gstNumber}`,
+    template.showKyc && customer.panNumber && `PAN: ${customer.panNumber}`,
+    template.showKyc && customer.aadharNumber && `Aadhaar: ${customer.aadharNumber}`,
+  ].filter(Boolean).forEach(line => doc.text(line, right, doc.y, { width: pageWidth / 2 }));
+
+  doc.y = Math.max(leftBottom, doc.y) + 10;
+
+  // Items
+  const drawRow = (cells, bold) => {
+    const top = doc.y;
+    let x = MARGIN;
+    let bottom = top;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cells.forEach((cell, index) => {
+      const [, width, align] = ITEM_COLUMNS[index];
+      doc.text(String(cell ?? ''), x + 2, top, { width: width - 4, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 3;
+    doc.moveTo(MARGIN, doc.y - 1).lineTo(MARGIN + pageWidth, doc.y - 1).lineWidth(0.5).stroke('#999999');
+  };
+
+  drawRow(ITEM_COLUMNS.map(([header]) => header), true);
+  (order.items || []).forEach((item, index) => {
+    if (doc.y > doc.page.height - 200) doc.addPage();
+    drawRow([
+      index + 1,
+      `${item.name || ''}\n${item.sku || ''}${item.hsnCode ? ` / ${item.hsnCode}` : ''}`,
+      item.purity || '',
+      formatWeight(item.metalWeight),
+      formatWeight(item.stoneWeight),
+      formatWeight(item.netWeight),
+      `${item.wastage || 0}%`,
+      money(item.makingCharges),
+      money(item.stonePrice),
+      item.qty || 1,
+      money((item.price || 0) * (item.qty || 1)),
+    ]);
+  });
+
+  // Totals and GST split
+  doc.moveDown(0.5);
+  const totalsX = MARGIN + pageWidth - 220;
+  const totalLine = (label, value, bold) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, totalsX, top, { width: 120 });
+    doc.text(value, totalsX + 120, top, { width: 100, align: 'right' });
+  };
+
+  const gst = order.gst || {};
+  totalLine('Subtotal', money(order.subtotal));
+  if (order.promotions?.length) {
+    if (order.manualDiscount) totalLine('Discount', `- ${money(order.manualDiscount)}`);
+    order.promotions.forEach(promotion => {
+      totalLine(promotion.code ? `${promotion.name} (${promotion.code})` : promotion.name, `- ${money(promotion.amount)}`);
+    });
+  } else if (order.discount) {
+    totalLine('Discount', `- ${money(order.discount)}`);
+  }
+  if (gst.totalTax !== undefined) {
+    totalLine('Taxable Value', money(gst.taxableValue));
+    const makingHsnCode = gst.lines?.find(line => line.makingHsnCode)?.makingHsnCode;
+    if (makingHsnCode && gst.makingValue > 0) {
+      totalLine(`  of which making (SAC ${makingHsnCode})`, money(gst.makingValue));
+    }
+    if (gst.supplyType === 'inter') {
+      totalLine('IGST', money(gst.igst));
+    } else {
+      totalLine('CGST', money(gst.cgst));
+      totalLine('SGST', money(gst.sgst));
+    }
+  } else if (order.chitSettlement?.weightReduction) {
+    totalLine('GST on chit gold', money(order.chitGoldGST));
+    totalLine('GST on remaining weight', money(order.remainingWeightGST));
+  } else if (order.tax) {
+    totalLine('GST', money(order.tax));
+  }
+  if (order.extraCharges) totalLine('Extra Charges', money(order.extraCharges));
+  if (order.advanceAmount) totalLine('Advance', money(order.advanceAmount));
+  totalLine('Grand Total', money(order.grandTotal), true);
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Oblique').fontSize(9).text(amountToWords(order.grandTotal), MARGIN, doc.y, { width: pageWidth });
+
+  // GST rate detail
+  if (gst.lines?.length) {
+    doc.moveDown(0.5);
+    const split = gst.supplyType === 'inter' ? 'IGST' : 'CGST + SGST';
+    doc.font('Helvetica').fontSize(8).text(
+      `GST (${split}): ${gst.metalRate}% on metal value ${money(gst.metalValue)}, ` +
+      `${gst.makingRate}% on making charges ${money(gst.makingValue)}`,
+      { width: pageWidth }
+    );
+  }
+
+  // Payments
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(9).text('Payment Details', MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(9);
+  (order.paymentMethods || []).forEach(payment => {
+    let detail = '';
+    if (payment.method === 'Gold Exchange' && payment.goldExchange) {
+      const exchange = payment.goldExchange;
+      detail = ` (${formatWeight(exchange.weight)} @ ${money(exchange.goldRatePerGram)}/g)`;
+    }
+    if (payment.method === 'Chit Settlement' && payment.chitSettlement) {
+      const chit = payment.chitSettlement;
+      detail = ` (Chit ${chit.chitNumber || ''}, gold ${formatWeight(chit.accumulatedGold)})`;
+    }
+    doc.text(`${payment.method}${detail}: ${money(payment.amount)}`);
+  });
+
+  // Footer
+  doc.moveDown(1);
+  if (template.terms?.length) {
+    doc.font('Helvetica-Bold').fontSize(8).text('Terms & Conditions');
+    doc.font('Helvetica').fontSize(8);
+    template.terms.forEach((term, index) => doc.text(`${index + 1}. ${term}`, { width: pageWidth }));
+  }
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).text(template.signatureLabel, MARGIN, doc.y, { width: pageWidth, align: 'right' });
+  if (template.footerNote) {
+    doc.moveDown(1);
+    doc.text(template.footerNote, MARGIN, doc.y, { width: pageWidth, align: 'center' });
+  }
+
+  doc.end();
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,55 @@
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Spell a whole number using the Indian system (thousand, lakh, crore).
+ * e.g. 1234567 -> "Twelve Lakh Thirty Four Thousand Five Hundred Sixty Seven"
+ */
+function numberToWords(value) {
+  let n = Math.floor(Math.abs(Number(value) || 0));
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n) parts.push(belowThousand(n));
+
+  return parts.join(' ');
+}
+
+/**
+ * Amount in rupees and paise for invoices: "Rupees One Thousand and Fifty Paise Only".
+ */
+function amountToWords(amount) {
+  const total = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(total / 100);
+  const paise = total % 100;
+
+  let words = `Rupees ${numberToWords(rupees)}`;
+  if (paise) words += ` and ${belowHundred(paise)} Paise`;
+  return `${words} Only`;
+}
+
+module.exports = { numberToWords, amountToWords };
@@ -0,0 +1,681 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Chit = require('../models/Chit');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const DayClose = require('../models/DayClose');
+const HttpError = require('./httpError');
+const { adjustStock } = require('./stock');
+const { getNextFormattedNumber } = require('./counterHelper');
+const { computeOrderGst, reconcileTotals, round2 } = require('./gst');
+const { creditWallet, debitWallet, findWalletCustomer } = require('./wallet');
+const { assertNotHeld } = require('./draftHelper');
+const { getSetting } = require('./settings');
+const { checkLinePrice, currentPriceBreakdown, linePricing } = require('./pricing');
+const { businessDate } = require('./businessDate');
+const {
+  assertDiscountWithinLimit,
+  couponCodesFrom,
+  evaluatePromotions,
+  redeemPromotions,
+  releasePromotions
+} = require('./promotions');
+
+// Payments that move money held elsewhere (customer wallets, booking advances,
+// returned pieces); they are settled at billing and never edited afterwards
+const LINKED_PAYMENT_METHODS = ['Store Credit', 'Booking Advance', 'Exchange Credit'];
+
+// Linked payments the server builds from a booking or a returned piece and passes
+// to createOrder as `prepaid`; a submitted order never carries them. Store credit
+// may be submitted: createOrder debits it from the customer's wallet
+const PREPAID_PAYMENT_METHODS = {
+  'Booking Advance': 'Booking advances are applied by converting the booking (POST /api/bookings/:id/convert)',
+  'Exchange Credit': 'Exchange credit is applied by billing the exchange (POST /api/exchanges)'
+};
+
+// Fields only the server writes (collections, cancellation, returns, edits, promotions);
+// never taken from a submitted order
+const SERVER_OWNED_FIELDS = [
+  'collections', 'status', 'cancellation', 'creditNotes', 'revision',
+  'promotions', 'promotionDiscount', 'manualDiscount'
+];
+
+// Amount still owed on an order, as an aggregation expression (mirrors the `balance` virtual)
+const BALANCE_DUE = {
+  $round: [{
+    $subtract: [
+      { $add: [{ $ifNull: ['$grandTotal', 0] }, { $ifNull: ['$advanceAmount', 0] }] },
+      { $add: [{ $sum: '$paymentMethods.amount' }, { $sum: '$collections.amount' }] }
+    ]
+  }, 2]
+};
+
+/**
+ * Copy weight and charge details from the catalogue product onto an order line.
+ */
+function buildOrderItem(item, product) {
+  return {
+    name: item.name,
+    price: item.price,
+    qty: item.qty,
+    sku: item.sku,
+    category: product.category || '',
+    metal: product.metal || '',
+    purity: product.purity || '',
+    costPrice: product.costPrice || 0,
+    metalWeight: product.weight || 0,
+    stoneWeight: product.stoneWeight || 0,
+    netWeight: product.netWeight || 0,
+    makingCharges: product.makingCharges || 0,
+    wastage: product.wastage || 0,
+    stonePrice: product.stonePrice || 0,
+  };
+}
+
+/**
+ * Copy of a submitted order without the fields only the server writes.
+ */
+function withoutServerFields(body) {
+  const fields = { ...body };
+  SERVER_OWNED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+}
+
+/**
+ * Chit settlements with weight reduction carry their own GST split (chitGoldGST / remainingWeightGST).
+ */
+function hasChitWeightReduction(order) {
+  return Boolean(order.chitSettlement?.weightReduction);
+}
+
+/**
+ * Compute GST on the server and check the counter's totals against it.
+ * Returns the fields to store on the order; throws 400 listing any mismatches.
+ */
+async function applyGst(order, submitted = order) {
+  const { breakdown, config } = await computeOrderGst(order);
+  const { totals, mismatches } = reconcileTotals(submitted, breakdown, config.tolerance);
+
+  if (mismatches.length > 0) {
+    throw new HttpError(400, 'Order totals do not match the GST calculation', {
+      mismatches,
+      expected: totals,
+      gst: breakdown
+    });
+  }
+
+  return {
+    ...totals,
+    gst: breakdown,
+    items: order.items.map((item, index) => ({ ...item, hsnCode: breakdown.lines[index].hsnCode }))
+  };
+}
+
+/**
+ * Normalise submitted payment methods: keep only the detail object that matches
+ * each method and work out chit gold value / extra amount.
+ */
+function processPaymentMethods(body) {
+  const processedPaymentMethods = body.paymentMethods ? body.paymentMethods.map(payment => {
+    // Ensure goldExchange object exists for Gold Exchange payments
+    if (payment.method === 'Gold Exchange') {
+      return {
+        method: payment.method,
+        amount: payment.amount,
+        goldExchange: payment.goldExchange || {
+          weight: 0,
+          goldRatePerGram: 6000,
+          calculatedAmount: payment.amount || 0
+        }
+      };
+    }
+    // Ensure chitSettlement object exists for Chit Settlement payments
+    if (payment.method === 'Chit Settlement') {
+      return {
+        method: payment.method,
+        amount: payment.amount,
+        chitSettlement: payment.chitSettlement || {
+          chitId: '',
+          chitNumber: '',
+          customerName: '',
+          customerPhone: '',
+          accumulatedGold: 0,
+          chitAmount: 0,
+          paidAmount: 0,
+          currentGoldRate: body.chitSettlement?.goldPricePerGram || 6000,
+          goldValue: 0,
+          extraAmount: 0
+        }
+      };
+    }
+    return {
+      ...payment,
+      goldExchange: undefined, // Remove goldExchange for non-gold payments
+      chitSettlement: undefined // Remove chitSettlement for non-chit payments
+    };
+  }) : [];
+
+  // Calculate gold value and extra amount for chit settlements
+  return processedPaymentMethods.map(payment => {
+    if (payment.method === 'Chit Settlement' && payment.chitSettlement) {
+      const chitData = payment.chitSettlement;
+      const goldRate = chitData.currentGoldRate || body.chitSettlement?.goldPricePerGram || 6000;
+      const goldWeight = chitData.accumulatedGold || 0;
+      const goldValue = goldWeight * goldRate;
+      const extraAmount = payment.amount - goldValue;
+      
+      return {
+        ...payment,
+        chitSettlement: {
+          ...chitData,
+          currentGoldRate: goldRate,
+          goldValue: goldValue,
+          extraAmount: extraAmount > 0 ? extraAmount : 0,
+          remainingAmount: (chitData.chitAmount || 0) - (chitData.paidAmount || 0) - payment.amount
+        }
+      };
+    }
+    return payment;
+  });
+}
+
+/**
+ * Create an order inside `session`: allocate ORD/INV numbers, take each SKU out of
+ * stock atomically (so two counters cannot sell the same piece), apply server-side
+ * GST and save. Throws HttpError for stock, parked-bill holds and total mismatches.
+ *
+ * Each line is priced from its product at today's rate (see the "pricing" setting):
+ * submitted prices outside the tolerance are rejected, and the breakdown is stored
+ * on the line. Pass `priceAt(product)` to price lines from a locked or quoted
+ * breakdown instead; returning null falls back to today's rate.
+ *
+ * With `promotions`, live automatic offers and the coupons in `body.couponCodes`
+ * are applied on top of the counter's `discount` (which must stay within
+ * `maxDiscountPercent` of the subtotal) and recorded on the order. Orders with a
+ * chit weight reduction keep the counter's totals and get no promotions.
+ *
+ * `prepaid` is a payment settled before the counter's own (exchange credit, a
+ * booking advance). Its amount is capped at the server-computed grand total; the
+ * amount actually applied is the first entry of the order's `paymentMethods`.
+ *
+ * Orders dated on a closed business day are rejected with a 409.
+ *
+ * @param {Object} body - order payload as submitted by the counter
+ * @param {Object} attribution - { userId, name, shiftId, terminalId } from shiftAttribution
+ * @param {ClientSession} session
+ * @param {Object} [options] - { priceAt, promotions, maxDiscountPercent, prepaid }
+ * @returns {Promise<Order>}
+ */
+async function createOrder(body, { userId, name, shiftId, terminalId }, session, {
+  priceAt,
+  promotions = false,
+  maxDiscountPercent = null,
+  prepaid = null
+} = {}) {
+  const submittedPrepaid = (body.paymentMethods || []).find(payment => PREPAID_PAYMENT_METHODS[payment?.method]);
+  if (submittedPrepaid) {
+    throw new HttpError(400, PREPAID_PAYMENT_METHODS[submittedPrepaid.method]);
+  }
+
+  // A closed business day takes no new bills
+  if (body.date && await DayClose.exists({ date: body.date }).session(session || null)) {
+    throw new HttpError(409, `Business day ${body.date} is closed. Bill the order on an open day`, { dayClosed: true });
+  }
+
+  // Pieces parked on another counter's bill cannot be sold until the hold lapses
+  await assertNotHeld(body.items, { session });
+
+  const orderId = await getNextFormattedNumber('ORD', '-', session);
+  const invoiceNumber = await getNextFormattedNumber('INV', '/', session);
+  const orderDocId = new mongoose.Types.ObjectId();
+
+  // Take each SKU out of stock atomically so two counters cannot sell the same piece
+  const pricingConfig = await getSetting('pricing');
+  const processedItems = [];
+  const priceMismatches = [];
+  for (const item of body.items) {
+    const qty = Number(item.qty) || 1;
+    const { product } = await adjustStock({
+      sku: item.sku,
+      change: -qty,
+      type: 'sale',
+      reason: `Sold on ${invoiceNumber}`,
+      reference: { kind: 'Order', id: orderDocId, number: invoiceNumber },
+      user: { userId, name },
+      session
+    });
+
+    const breakdown = (priceAt && priceAt(product)) || await currentPriceBreakdown(product, session);
+    const { price, variance, withinTolerance } = checkLinePrice(item.price, breakdown, pricingConfig);
+    if (!withinTolerance) {
+      priceMismatches.push({ sku: item.sku, submitted: Number(item.price), expected: breakdown.total, breakdown });
+    }
+
+    processedItems.push({
+      ...buildOrderItem({ ...item, qty, price }, product),
+      pricing: linePricing(breakdown, variance)
+    });
+  }
+
+  if (priceMismatches.length > 0) {
+    throw new HttpError(400, 'Line prices do not match the current rates', {
+      priceMismatches,
+      tolerance: pricingConfig.tolerance
+    });
+  }
+
+  // Counter discount within the role limit, plus whatever promotions apply
+  const manualDiscount = round2(Math.max(Number(body.discount) || 0, 0));
+  const subtotal = processedItems.reduce((sum, item) => sum + item.price * item.qty, 0);
+  assertDiscountWithinLimit(manualDiscount, subtotal, maxDiscountPercent);
+
+  const weightReduction = hasChitWeightReduction(body);
+  const applied = promotions && !weightReduction
+    ? await evaluatePromotions(processedItems, couponCodesFrom(body), session)
+    : { applied: [], total: 0 };
+  await redeemPromotions(applied.applied, session);
+
+  const discountFields = {
+    discount: round2(manualDiscount + applied.total),
+    manualDiscount,
+    promotionDiscount: applied.total,
+    promotions: applied.applied
+  };
+
+  const gstFields = weightReduction
+    ? { items: processedItems }
+    : await applyGst({ ...body, ...discountFields, items: processedItems });
+
+  // A prepaid credit never covers more than the bill (orders with a chit weight
+  // reduction carry the counter's total)
+  const billedTotal = Number(gstFields.grandTotal ?? body.grandTotal);
+  const prepaidAmount = prepaid && Number.isFinite(billedTotal)
+    ? round2(Math.min(prepaid.amount, Math.max(billedTotal, 0)))
+    : prepaid?.amount;
+  const paymentMethods = [
+    ...(prepaidAmount > 0 ? [{ ...prepaid, amount: prepaidAmount }] : []),
+    ...processPaymentMethods(body)
+  ];
+
+  // Spend store credit from the customer's wallet for Store Credit payments
+  for (const payment of paymentMethods) {
+    if (payment.method !== 'Store Credit') continue;
+
+    const customer = await findWalletCustomer({
+      customerId: payment.storeCredit?.customerId || body.customerId,
+      phone: body.customer?.phone
+    }, session);
+    if (!customer) {
+      throw new HttpError(400, 'Store credit can only be used by a registered customer');
+    }
+
+    const { customer: updated, transaction } = await debitWallet({
+      customerId: customer._id,
+      amount: payment.amount,
+      source: 'order',
+      reference: { kind: 'Order', id: orderDocId, number: invoiceNumber },
+      user: { userId, name },
+      session
+    });
+    payment.storeCredit = {
+      customerId: customer._id,
+      transactionId: transaction._id,
+      balanceAfter: updated.walletBalance
+    };
+  }
+
+  const newOrder = new Order({
+    ...withoutServerFields(body),
+    _id: orderDocId,
+    createdBy: { userId, name },
+    shiftId,
+    terminalId,
+    items: processedItems, // Use processed items with all data
+    ...discountFields,
+    ...gstFields, // Server-calculated tax and totals (items gain HSN codes)
+    paymentMethods, // Use processed payment methods with calculations
+    orderId,
+    invoiceNumber,
+    // Include advanceAmount if provided
+    advanceAmount: body.advanceAmount || 0,
+    // Include chit settlement data if provided
+    chitSettlement: body.chitSettlement ? {
+      ...body.chitSettlement,
+      goldPricePerGram: body.chitSettlement.goldPricePerGram || 6000
+    } : undefined,
+    // Set paymentMode for backward compatibility (use first method or 'Multiple')
+    paymentMode: paymentMethods.length > 0 
+      ? paymentMethods.length === 1 
+        ? paymentMethods[0].method 
+        : 'Multiple'
+      : body.paymentMode || 'Multiple'
+  });
+
+  await newOrder.save({ session });
+  return newOrder;
+}
+
+/**
+ * Rebuild the lines of an order being edited from `[{ sku, qty, price, name? }]`.
+ * Lines already on the bill keep their subdocument (id, returned quantity, billed
+ * breakdown) and a changed price is checked against what they were billed at; new
+ * SKUs are priced at today's rate like a fresh sale. Throws 400 listing prices
+ * outside the tolerance and 404 for unknown SKUs. Stock is moved by moveEditedStock.
+ *
+ * @param {Order} order - the order before the edit
+ * @param {Array} items - submitted lines
+ * @returns {Promise<Array>} lines to store on the order
+ */
+async function priceEditedItems(order, items) {
+  const pricingConfig = await getSetting('pricing');
+  const unmatched = [...order.items];
+  const lines = [];
+  const priceMismatches = [];
+
+  for (const item of items) {
+    const qty = Number(item.qty) || 1;
+    const index = unmatched.findIndex(line => line.sku === item.sku);
+    const existing = index >= 0 ? unmatched.splice(index, 1)[0] : null;
+
+    let breakdown;
+    let base;
+    if (existing) {
+      // Billed lines stay at the rate they were billed at; lines billed before
+      // server pricing are held to their billed price
+      const { expectedPrice, variance, ...billed } = existing.pricing?.toObject?.() || existing.pricing || {};
+      breakdown = expectedPrice != null
+        ? { ...billed, total: expectedPrice }
+        : { source: 'catalogue', ratePerGram: null, total: existing.price };
+      base = existing.toObject();
+    } else {
+      const product = await Product.findOne({ sku: item.sku });
+      if (!product) {
+        throw new HttpError(404, `Product not found for SKU ${item.sku}`);
+      }
+      breakdown = await currentPriceBreakdown(product);
+      base = buildOrderItem({ ...item, name: item.name || product.name, qty }, product);
+    }
+
+    const { price, variance, withinTolerance } = checkLinePrice(item.price ?? existing?.price, breakdown, pricingConfig);
+    if (!withinTolerance) {
+      priceMismatches.push({ sku: item.sku, submitted: Number(item.price), expected: breakdown.total, breakdown });
+    }
+
+    lines.push({
+      ...base,
+      name: item.name || base.name,
+      qty,
+      price,
+      pricing: linePricing(breakdown, variance)
+    });
+  }
+
+  if (priceMismatches.length > 0) {
+    throw new HttpError(400, 'Line prices do not match the current rates', {
+      priceMismatches,
+      tolerance: pricingConfig.tolerance
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Move stock for an edited order inside `session`: pieces added to the bill are
+ * sold (and must not be held on a parked bill), pieces taken off it go back into
+ * stock (skipping products deleted since).
+ *
+ * @param {Order} order - the order before the edit
+ * @param {Array} items - the edited lines from priceEditedItems
+ * @param {Object} by - { userId, name }
+ * @param {ClientSession} session
+ */
+async function moveEditedStock(order, items, by, session) {
+  const quantities = (lines) => lines.reduce((map, line) => {
+    map.set(line.sku, (map.get(line.sku) || 0) + (Number(line.qty) || 1));
+    return map;
+  }, new Map());
+
+  const billed = quantities(order.items);
+  const edited = quantities(items);
+  const reference = { kind: 'Order', id: order._id, number: order.invoiceNumber };
+
+  const added = [...edited.keys()]
+    .filter(sku => edited.get(sku) > (billed.get(sku) || 0))
+    .map(sku => ({ sku, qty: edited.get(sku) - (billed.get(sku) || 0) }));
+  if (added.length > 0) {
+    await assertNotHeld(added, { session });
+  }
+
+  for (const sku of new Set([...billed.keys(), ...edited.keys()])) {
+    const change = (billed.get(sku) || 0) - (edited.get(sku) || 0);
+    if (change === 0) continue;
+    if (change > 0 && !(await Product.exists({ sku }).session(session))) continue;
+
+    await adjustStock({
+      sku,
+      change,
+      type: change < 0 ? 'sale' : 'adjustment',
+      reason: change < 0 ? `Added to ${order.invoiceNumber} on edit` : `Removed from ${order.invoiceNumber} on edit`,
+      reference,
+      user: by,
+      session
+    });
+  }
+}
+
+/**
+ * Record a payment collected against an order's balance. The balance check and the
+ * push happen in one update so two counters cannot over-collect the same order.
+ * Store Credit collections are debited from the customer's wallet.
+ *
+ * @param {string} orderId
+ * @param {Object} collection - { method, amount, reference, notes, date, customerId }
+ * @param {Object} by - { userId, name, shiftId }
+ * @param {ClientSession} session
+ * @returns {Promise<{ order, collection }>}
+ */
+async function recordCollection(orderId, collection, by, session) {
+  const amount = round2(collection.amount);
+  const existing = await Order.findById(orderId).session(session);
+  if (!existing) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    method: collection.method,
+    amount,
+    reference: collection.reference || '',
+    notes: collection.notes || '',
+    date: collection.date || businessDate(),
+    collectedAt: new Date(),
+    collectedBy: { userId: by.userId, name: by.name },
+    shiftId: by.shiftId
+  };
+
+  if (collection.method === 'Store Credit') {
+    const customer = await findWalletCustomer({ customerId: collection.customerId, phone: existing.customer?.phone }, session);
+    if (!customer) {
+      throw new HttpError(400, 'Store credit can only be used by a registered customer');
+    }
+
+    const { customer: updated, transaction } = await debitWallet({
+      customerId: customer._id,
+      amount,
+      source: 'order',
+      reference: { kind: 'Order', id: existing._id, number: existing.invoiceNumber },
+      notes: 'Collected against balance due',
+      user: entry.collectedBy,
+      session
+    });
+    entry.storeCredit = {
+      customerId: customer._id,
+      transactionId: transaction._id,
+      balanceAfter: updated.walletBalance
+    };
+  }
+
+  if (existing.status === 'cancelled') {
+    throw new HttpError(400, `Order ${existing.invoiceNumber} has been cancelled`);
+  }
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $ne: 'cancelled' }, $expr: { $gte: [BALANCE_DUE, amount] } },
+    { $push: { collections: entry } },
+    { new: true, session }
+  );
+
+  if (!order) {
+    const balance = round2(existing.balance);
+    throw new HttpError(400, `Collection exceeds the balance due of ₹${balance}`, { balance });
+  }
+
+  return { order, collection: order.collections.id(entry._id) };
+}
+
+/**
+ * Cancel an order inside `session`, keeping the invoice on file. Sold pieces go
+ * back into stock, chits settled against the invoice are reopened and the money
+ * taken is handed back, recorded on `cancellation.refunds` against today's date
+ * and `by.shiftId`: store credit, booking advances and exchange credit go to the
+ * customer's wallet (cash for walk-in customers), everything else is refunded in
+ * the method it was paid with (old gold as cash). Converted bookings stay closed.
+ * Orders with returns against them cannot be cancelled.
+ *
+ * @param {Order} order
+ * @param {Object} options - { reason, by: { userId, name, shiftId } }
+ * @param {ClientSession} session
+ * @returns {Promise<{ order, reopenedChits: string[] }>}
+ */
+async function cancelOrder(order, { reason, by }, session) {
+  if (order.status === 'cancelled') {
+    throw new HttpError(400, `Order ${order.invoiceNumber} is already cancelled`);
+  }
+  if (order.creditNotes?.length || order.items.some(item => item.returnedQty > 0)) {
+    throw new HttpError(400, `Order ${order.invoiceNumber} has returns against it and cannot be cancelled`);
+  }
+
+  const reference = { kind: 'Order', id: order._id, number: order.invoiceNumber };
+  const note = `Order ${order.invoiceNumber} cancelled`;
+
+  // Put the sold pieces back into stock (skipping products deleted since)
+  for (const item of order.items) {
+    if (!(await Product.exists({ sku: item.sku }).session(session))) continue;
+    await adjustStock({
+      sku: item.sku,
+      change: item.qty || 1,
+      type: 'adjustment',
+      reason: note,
+      reference,
+      user: by,
+      session
+    });
+  }
+
+  // Hand back what was paid at billing and in later collections. Chit settlements
+  // are undone below by reopening the chits
+  const refunds = [];
+  const payments = [
+    ...order.paymentMethods.map(payment => ({ payment, source: 'payment' })),
+    ...order.collections.map(payment => ({ payment, source: 'collection' }))
+  ];
+  let walletCustomer;
+  for (const { payment, source } of payments) {
+    if (payment.method === 'Chit Settlement' || !(payment.amount > 0)) continue;
+
+    let customerId = null;
+    if (payment.method === 'Store Credit') {
+      customerId = payment.storeCredit?.customerId;
+    } else if (['Booking Advance', 'Exchange Credit'].includes(payment.method)) {
+      if (walletCustomer === undefined) {
+        walletCustomer = await findWalletCustomer({ phone: order.customer?.phone }, session);
+      }
+      customerId = walletCustomer?._id;
+    }
+
+    if (customerId) {
+      const { transaction } = await creditWallet({
+        customerId,
+        amount: payment.amount,
+        source: 'order_reversal',
+        reference,
+        notes: note,
+        user: by,
+        session
+      });
+      refunds.push({
+        method: 'Store Credit',
+        amount: payment.amount,
+        source,
+        paidWith: payment.method === 'Store Credit' ? undefined : payment.method,
+        walletTransactionId: transaction._id
+      });
+      continue;
+    }
+
+    const method = ['Cash', 'Card', 'UPI', 'Bank Transfer'].includes(payment.method) ? payment.method : 'Cash';
+    refunds.push({
+      method,
+      amount: payment.amount,
+      source,
+      paidWith: method === payment.method ? undefined : payment.method
+    });
+  }
+
+  // Promotion uses (coupon limits) are freed up again
+  await releasePromotions(order.promotions, session);
+
+  // Chits settled against this invoice become completed (and usable) again
+  const chits = await Chit.find({ status: 'settled', purchaseInvoiceNumber: order.invoiceNumber }).session(session);
+  for (const chit of chits) {
+    chit.status = 'completed';
+    chit.settlementStatus = 'pending';
+    chit.settlementType = undefined;
+    chit.settlementAmount = undefined;
+    chit.settlementDate = undefined;
+    chit.settlementGoldRate = undefined;
+    chit.purchaseInvoiceNumber = undefined;
+    chit.purchaseItems = [];
+    chit.notes = chit.notes ? `${chit.notes}\n${note}` : note;
+    await chit.save({ session });
+
+    if (chit.customerId) {
+      await Customer.findByIdAndUpdate(chit.customerId, {
+        $inc: {
+          'chitDetails.settledChits': -1,
+          'chitDetails.completedChits': 1,
+          'chitDetails.purchaseSettlements': -1
+        }
+      }, { session });
+    }
+  }
+
+  order.status = 'cancelled';
+  order.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy: { userId: by.userId, name: by.name },
+    date: businessDate(),
+    shiftId: by.shiftId,
+    refunds
+  };
+  await order.save({ session });
+
+  return { order, reopenedChits: chits.map(chit => chit.chitNumber) };
+}
+
+module.exports = {
+  BALANCE_DUE,
+  LINKED_PAYMENT_METHODS,
+  applyGst,
+  buildOrderItem,
+  cancelOrder,
+  createOrder,
+  hasChitWeightReduction,
+  moveEditedStock,
+  priceEditedItems,
+  processPaymentMethods,
+  recordCollection,
+  withoutServerFields,
+};
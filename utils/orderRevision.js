@@ -0,0 +1,58 @@
+const OrderRevision = require('../models/OrderRevision');
+const { diffObjects, toPlain } = require('./audit');
+
+// Changed on every edit or maintained by other endpoints; left out of revision diffs
+const UNTRACKED_FIELDS = ['revision', 'updatedAt', '__v'];
+
+/**
+ * Turn arrays into index-keyed objects so diffObjects reports `items.0.price`
+ * instead of the whole items array.
+ */
+function indexArrays(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((obj, item, index) => ({ ...obj, [index]: indexArrays(item) }), {});
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, indexArrays(item)]));
+  }
+  return value;
+}
+
+/**
+ * Field-level changes between two versions of an order.
+ */
+function orderChanges(before, after) {
+  const strip = (order) => {
+    const plain = toPlain(order) || {};
+    UNTRACKED_FIELDS.forEach(field => delete plain[field]);
+    return indexArrays(plain);
+  };
+  return diffObjects(strip(before), strip(after));
+}
+
+/**
+ * Store the order as it was before an edit, with who edited it and why.
+ *
+ * @param {Order} before - order before the edit
+ * @param {Order} after - order after the edit (its `revision` is the new number)
+ * @param {Object} options - { reason, by: { userId, name }, dayCloseOverride }
+ * @param {ClientSession} [session]
+ */
+async function recordOrderRevision(before, after, { reason, by, dayCloseOverride = false }, session) {
+  const [revision] = await OrderRevision.create([{
+    orderRef: after._id,
+    invoiceNumber: after.invoiceNumber,
+    revision: after.revision,
+    snapshot: toPlain(before),
+    changes: orderChanges(before, after),
+    reason,
+    dayCloseOverride,
+    editedBy: by,
+  }], { session });
+  return revision;
+}
+
+module.exports = {
+  orderChanges,
+  recordOrderRevision,
+};
@@ -0,0 +1,127 @@
+/**
+ * Catalogue of named permissions checked by the routers.
+ * Roles (models/Role.js) grant a subset of these; '*' grants everything.
+ */
+const PERMISSIONS = {
+  'products.view': 'View products and stock',
+  'products.create': 'Create products and upload images',
+  'products.update': 'Edit products, mark sold and change availability',
+  'products.delete': 'Delete products',
+  'products.stock': 'Adjust and transfer stock',
+
+  'categories.view': 'View categories',
+  'categories.manage': 'Create, edit and delete categories',
+
+  'customers.view': 'View and search customers',
+  'customers.create': 'Create customers',
+  'customers.update': 'Edit customers',
+  'customers.delete': 'Delete customers',
+  'customers.wallet': 'Add advances and adjust customer store credit',
+
+  'orders.view': 'View orders, invoices and summaries',
+  'orders.create': 'Create orders',
+  'orders.update': 'Edit orders',
+  'orders.collect': 'Collect payments against order balances',
+  'orders.cancel': 'Cancel orders (the invoice is kept and marked cancelled)',
+  'orders.overrideDayClose': 'Edit or cancel orders on a closed business day',
+
+  'returns.view': 'View returns',
+  'returns.create': 'Create returns',
+  'returns.update': 'Inspect returns and change their status',
+  'returns.approve': 'Approve or reject returns',
+  'returns.refund': 'Pay out refunds on approved returns',
+  'returns.delete': 'Delete returns',
+
+  'promotions.view': 'View promotions and coupon codes',
+  'promotions.manage': 'Create, edit and delete promotions',
+
+  'quotations.view': 'View quotations',
+  'quotations.create': 'Create, cancel and convert quotations',
+
+  'bookings.view': 'View advance bookings',
+  'bookings.create': 'Take bookings and advances, and convert bookings to orders',
+  'bookings.manage': 'Cancel and expire bookings and refund their advances',
+
+  'chits.view': 'View chits and chit payments',
+  'chits.create': 'Open new chits',
+  'chits.update': 'Edit chits and change chit status',
+  'chits.delete': 'Delete chits',
+  'chits.payment': 'Record chit installment payments',
+  'chits.settle': 'Settle completed chits',
+
+  'rates.view': 'View metal rates',
+  'rates.update': 'Update metal rates and reprice products',
+
+  'shifts.view': 'View all shifts and shift summaries',
+  'shifts.manage': 'Close shifts opened by other users',
+
+  'dayclose.manage': 'Close and reopen business days',
+
+  'audit.view': 'View the audit trail',
+
+  'settings.manage': 'View and change shop settings (GST rates, etc.)',
+
+  'users.manage': 'Create, edit and delete users',
+  'roles.manage': 'Create, edit and delete roles',
+};
+
+const ALL_PERMISSIONS = '*';
+
+/**
+ * Built-in roles used when no matching Role document exists yet.
+ * `maxDiscountPercent` caps the manual discount a role can give on a bill.
+ */
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS],
+  },
+  staff: {
+    description: 'Counter staff',
+    permissions: [
+      'products.view',
+      'categories.view',
+      'customers.view',
+      'customers.create',
+      'customers.update',
+      'orders.view',
+      'orders.create',
+      'orders.collect',
+      'returns.view',
+      'returns.create',
+      'promotions.view',
+      'quotations.view',
+      'quotations.create',
+      'bookings.view',
+      'bookings.create',
+      'chits.view',
+      'chits.create',
+      'chits.payment',
+      'chits.settle',
+      'rates.view',
+    ],
+    maxDiscountPercent: 5,
+  },
+};
+
+/**
+ * Returns the permission names from the list that are not in the catalogue.
+ */
+function findUnknownPermissions(permissions = []) {
+  return permissions.filter(p => p !== ALL_PERMISSIONS && !PERMISSIONS[p]);
+}
+
+/**
+ * True if a granted permission list includes the given permission.
+ */
+function hasPermission(granted = [], permission) {
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  findUnknownPermissions,
+  hasPermission,
+};
@@ -0,0 +1,109 @@
+const Rate = require('../models/Rate');
+const { round2 } = require('./gst');
+
+const VALID_PURITIES = ['24K', '22K', '18K'];
+
+/**
+ * Itemised price of one piece at `rate` per gram:
+ * metal (rate × weight) + wastage (% of metal value) + making charges + stone price.
+ * `total` is rounded to the rupee, as product prices are.
+ */
+function priceBreakdown(rate, weight, wastage = 0, makingCharges = 0, stonePrice = 0) {
+  const w = parseFloat(weight || '0') || 0;
+  const metalValue = w * rate;
+  const wastageValue = (metalValue * wastage) / 100;
+  return {
+    ratePerGram: rate,
+    weight: w,
+    metalValue: round2(metalValue),
+    wastagePercent: wastage,
+    wastageValue: round2(wastageValue),
+    makingCharges,
+    stonePrice,
+    total: Math.round(metalValue + wastageValue + makingCharges + stonePrice),
+  };
+}
+
+/**
+ * Breakdown for a product document at the given rate per gram.
+ */
+function priceProductAt(rate, product) {
+  return priceBreakdown(
+    rate,
+    product.weight,
+    product.wastage ?? 0,
+    product.makingCharges ?? 0,
+    product.stonePrice ?? 0
+  );
+}
+
+/**
+ * Purity key used for Rate documents: silver has none, gold defaults to 22K.
+ */
+function normalizePurity(metal, purity) {
+  if (metal === 'silver') return null;
+  return VALID_PURITIES.includes(purity) ? purity : '22K';
+}
+
+/**
+ * Today's Rate document for a metal and purity, or null if none has been set.
+ */
+async function findRate(metal, purity, session) {
+  return Rate.findOne({ metal, purity: normalizePurity(metal, purity) }).session(session || null);
+}
+
+/**
+ * Breakdown of a product at today's rate for its metal and purity, tagged with
+ * `source: 'rate'`. Falls back to the stored catalogue price (`source: 'catalogue'`,
+ * no breakdown) when no rate has been set.
+ */
+async function currentPriceBreakdown(product, session) {
+  const rate = await findRate(product.metal, product.purity, session);
+  if (!rate || !(rate.price > 0)) {
+    return { source: 'catalogue', ratePerGram: null, total: product.price };
+  }
+  return { source: 'rate', ...priceProductAt(rate.price, product) };
+}
+
+/**
+ * Compare a submitted unit price with the expected one.
+ *
+ * @param {number} submitted
+ * @param {Object} breakdown - from currentPriceBreakdown / priceProductAt
+ * @param {Object} config - the "pricing" setting
+ * @returns {{ price: number, variance: number, withinTolerance: boolean }} the unit price to bill
+ */
+function checkLinePrice(submitted, breakdown, config) {
+  const expected = breakdown.total;
+  const given = Number(submitted);
+  const hasPrice = submitted !== undefined && submitted !== null && submitted !== '' && !isNaN(given);
+
+  if (config.mode === 'server' || !hasPrice) {
+    return { price: expected, variance: 0, withinTolerance: true };
+  }
+
+  const variance = round2(given - expected);
+  return {
+    price: given,
+    variance,
+    withinTolerance: config.mode === 'off' || Math.abs(variance) <= config.tolerance
+  };
+}
+
+/**
+ * The `pricing` object stored on order and quotation lines.
+ */
+function linePricing({ total, ...breakdown }, variance = 0) {
+  return { ...breakdown, expectedPrice: total, variance };
+}
+
+module.exports = {
+  VALID_PURITIES,
+  checkLinePrice,
+  linePricing,
+  currentPriceBreakdown,
+  findRate,
+  normalizePurity,
+  priceBreakdown,
+  priceProductAt,
+};
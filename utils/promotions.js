@@ -0,0 +1,195 @@
+const Promotion = require('../models/Promotion');
+const HttpError = require('./httpError');
+const { round2 } = require('./gst');
+
+/**
+ * Coupon codes entered on a bill (`couponCodes: [...]` or `couponCode`), upper-cased and de-duplicated.
+ */
+function couponCodesFrom(body = {}) {
+  const codes = [...(Array.isArray(body.couponCodes) ? body.couponCodes : []), body.couponCode];
+  return [...new Set(codes.map(code => String(code || '').trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * True if the promotion's metal and category filters cover the order line.
+ */
+function coversLine(promotion, item) {
+  if (promotion.metals?.length && !promotion.metals.includes(String(item.metal || '').toLowerCase())) return false;
+  if (promotion.categories?.length && !promotion.categories.includes(item.category)) return false;
+  return true;
+}
+
+/**
+ * Uncapped discount a promotion gives on one line, of which `remaining` is still
+ * to pay after earlier offers. Percentage offers apply to what is left, so two
+ * 10% offers take 19% rather than 20%; making and wastage offers take their
+ * share of the part of the line left. Wastage offers use the wastage value from
+ * the line's price breakdown, so catalogue-priced lines get nothing.
+ */
+function lineDiscount(promotion, item, remaining) {
+  const qty = Number(item.qty) || 1;
+  const lineTotal = (Number(item.price) || 0) * qty;
+  const left = lineTotal > 0 ? remaining / lineTotal : 0;
+  switch (promotion.type) {
+    case 'making_percent':
+      return (Number(item.makingCharges) || 0) * qty * left * promotion.value / 100;
+    case 'wastage_percent':
+      return (Number(item.pricing?.wastageValue) || 0) * qty * left * promotion.value / 100;
+    case 'per_gram':
+      return (Number(item.metalWeight) || 0) * qty * promotion.value;
+    case 'percent':
+      return remaining * promotion.value / 100;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Apply promotions to the billed lines in the given order, each on what earlier
+ * offers left to pay. Flat offers are spread over the lines they cover by value,
+ * `maxDiscount` caps each offer, and no line is discounted below zero however
+ * many offers stack on it.
+ *
+ * @param {Array<Promotion>} promotions
+ * @param {Array} items - order lines from buildOrderItem, with `pricing`
+ * @returns {{ applied: Array, total: number }} `applied` is stored on the order as `promotions`
+ */
+function applyPromotions(promotions, items) {
+  const remaining = items.map(item => (Number(item.price) || 0) * (Number(item.qty) || 1));
+  const subtotal = remaining.reduce((sum, value) => sum + value, 0);
+  const applied = [];
+
+  for (const promotion of promotions) {
+    if (subtotal < (promotion.minOrderValue || 0)) continue;
+
+    const covered = items.map((item, index) => index).filter(index => coversLine(promotion, items[index]));
+    let amounts;
+    if (promotion.type === 'flat') {
+      const base = covered.reduce((sum, index) => sum + remaining[index], 0);
+      const amount = Math.min(promotion.value, base);
+      amounts = covered.map(index => (base > 0 ? amount * remaining[index] / base : 0));
+    } else {
+      amounts = covered.map(index => lineDiscount(promotion, items[index], remaining[index]));
+    }
+
+    const uncapped = amounts.reduce((sum, amount) => sum + amount, 0);
+    const scale = promotion.maxDiscount != null && uncapped > promotion.maxDiscount ? promotion.maxDiscount / uncapped : 1;
+
+    const lines = [];
+    covered.forEach((index, position) => {
+      const amount = round2(Math.min(amounts[position] * scale, remaining[index]));
+      if (amount <= 0) return;
+      remaining[index] = round2(remaining[index] - amount);
+      lines.push({ sku: items[index].sku, amount });
+    });
+    if (lines.length === 0) continue;
+
+    applied.push({
+      promotionId: promotion._id,
+      name: promotion.name,
+      code: promotion.code || undefined,
+      type: promotion.type,
+      value: promotion.value,
+      amount: round2(lines.reduce((sum, line) => sum + line.amount, 0)),
+      lines
+    });
+  }
+
+  return { applied, total: round2(applied.reduce((sum, promotion) => sum + promotion.amount, 0)) };
+}
+
+/**
+ * Work out the promotions for a bill: every live automatic offer, then the coupons
+ * entered. Throws 400 naming coupon codes that are unknown, out of their dates,
+ * used up or that do not apply to the bill.
+ *
+ * @param {Array} items - order lines from buildOrderItem, with `pricing`
+ * @param {Array<string>} couponCodes - from couponCodesFrom
+ * @param {ClientSession} [session]
+ * @returns {Promise<{ applied: Array, total: number }>}
+ */
+async function evaluatePromotions(items, couponCodes = [], session) {
+  const now = new Date();
+  const promotions = (await Promotion.find({
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+      { $or: [{ code: null }, { code: { $in: couponCodes } }] }
+    ]
+  }).sort({ createdAt: 1 }).session(session || null))
+    .filter(promotion => promotion.usageLimit == null || promotion.usedCount < promotion.usageLimit);
+
+  const coupons = promotions.filter(promotion => promotion.code);
+  const invalidCoupons = couponCodes.filter(code => !coupons.some(promotion => promotion.code === code));
+  if (invalidCoupons.length > 0) {
+    throw new HttpError(400, `Coupon code not valid: ${invalidCoupons.join(', ')}`, { invalidCoupons });
+  }
+
+  const result = applyPromotions([...promotions.filter(promotion => !promotion.code), ...coupons], items);
+
+  const unusedCoupons = couponCodes.filter(code => !result.applied.some(promotion => promotion.code === code));
+  if (unusedCoupons.length > 0) {
+    throw new HttpError(400, `Coupon does not apply to this bill: ${unusedCoupons.join(', ')}`, { unusedCoupons });
+  }
+
+  return result;
+}
+
+/**
+ * Count one use of each applied promotion inside `session`. The limit check and the
+ * increment are one update so two counters cannot both take the last use.
+ */
+async function redeemPromotions(applied = [], session) {
+  for (const promotion of applied) {
+    const updated = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion.promotionId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new HttpError(409, `Promotion "${promotion.name}" has been used up`);
+    }
+  }
+}
+
+/**
+ * Give back the uses counted for an order's promotions (when the order is cancelled).
+ */
+async function releasePromotions(applied = [], session) {
+  for (const promotion of applied) {
+    await Promotion.updateOne(
+      { _id: promotion.promotionId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+  }
+}
+
+/**
+ * Reject a manual discount above the biller's role limit (percent of the subtotal).
+ * A null limit means the role may give any discount.
+ */
+function assertDiscountWithinLimit(discount, subtotal, maxDiscountPercent) {
+  if (maxDiscountPercent == null || !(discount > 0)) return;
+
+  const discountPercent = subtotal > 0 ? round2(discount / subtotal * 100) : 100;
+  if (discountPercent > maxDiscountPercent) {
+    throw new HttpError(403, `A discount of ${discountPercent}% is above your limit of ${maxDiscountPercent}%`, {
+      discountPercent,
+      maxDiscountPercent
+    });
+  }
+}
+
+module.exports = {
+  applyPromotions,
+  assertDiscountWithinLimit,
+  couponCodesFrom,
+  evaluatePromotions,
+  redeemPromotions,
+  releasePromotions,
+};
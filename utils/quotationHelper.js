@@ -0,0 +1,143 @@
+const Product = require('../models/Product');
+const Quotation = require('../models/Quotation');
+const HttpError = require('./httpError');
+const { getNextFormattedNumber } = require('./counterHelper');
+const { applyGst, buildOrderItem, createOrder } = require('./orderHelper');
+const { currentPriceBreakdown, linePricing } = require('./pricing');
+const { assertDiscountWithinLimit } = require('./promotions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build quotation lines from `[{ sku, qty, name? }]`, copying weights and charges
+ * from the catalogue (as orders do) and pricing each piece at today's rate.
+ */
+async function priceQuotationItems(items, session) {
+  const products = await Product.find({ sku: { $in: items.map(item => item.sku) } }).session(session || null);
+  const bySku = new Map(products.map(product => [product.sku, product]));
+
+  const lines = [];
+  for (const item of items) {
+    const product = bySku.get(item.sku);
+    if (!product) {
+      throw new HttpError(404, `Product not found for SKU ${item.sku}`);
+    }
+
+    const breakdown = await currentPriceBreakdown(product, session);
+    lines.push({
+      ...buildOrderItem({ name: item.name || product.name, price: breakdown.total, qty: Number(item.qty) || 1, sku: product.sku }, product),
+      ratePerGram: breakdown.ratePerGram,
+      pricing: linePricing(breakdown)
+    });
+  }
+  return lines;
+}
+
+/**
+ * Create a quotation priced at today's rates with server-side GST.
+ *
+ * @param {Object} data - { customerId, customer, items: [{ sku, qty }], discount, extraCharges, validityDays, notes }
+ * @param {Object} config - the "quotation" setting
+ * @param {Object} user - { userId, name }
+ * @param {Object} [options] - { maxDiscountPercent } the quoting user's role limit
+ * @returns {Promise<Quotation>}
+ */
+async function createQuotation(data, config, user, { maxDiscountPercent = null } = {}) {
+  const validityDays = Number(data.validityDays) || config.validityDays;
+  if (validityDays <= 0 || validityDays > config.maxValidityDays) {
+    throw new HttpError(400, `Quotation validity must be between 1 and ${config.maxValidityDays} days`);
+  }
+
+  const items = await priceQuotationItems(data.items);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+  assertDiscountWithinLimit(Number(data.discount) || 0, subtotal, maxDiscountPercent);
+
+  const quote = {
+    items,
+    discount: Number(data.discount) || 0,
+    extraCharges: Number(data.extraCharges) || 0,
+    customer: data.customer
+  };
+
+  const quotation = new Quotation({
+    ...quote,
+    ...(await applyGst(quote, { extraCharges: quote.extraCharges })),
+    quotationNumber: await getNextFormattedNumber('QT', '/'),
+    customerId: data.customerId || undefined,
+    validUntil: new Date(Date.now() + validityDays * DAY_MS),
+    notes: data.notes || '',
+    createdBy: user
+  });
+
+  await quotation.save();
+  return quotation;
+}
+
+/**
+ * The breakdown a quoted line was priced with, tagged `source: 'quoted'`, so the
+ * order line records the quote rather than today's rate.
+ */
+function quotedPricingFor(quotation, product) {
+  const line = quotation.items.find(item => item.sku === product.sku);
+  if (!line) return null;
+
+  const { expectedPrice, variance, ...breakdown } = line.pricing?.toObject?.() || line.pricing || {};
+  return { ...breakdown, ratePerGram: line.ratePerGram ?? null, source: 'quoted', total: line.price };
+}
+
+/**
+ * Bill an open quotation as an order inside `session`. Within its validity the
+ * quoted unit prices are honoured; once it has lapsed every line is repriced at
+ * today's rate. Submitted totals, if any, are checked against the prices used.
+ *
+ * @param {Quotation} quotation
+ * @param {Object} orderData - payment details and any other POST /api/orders fields
+ * @param {Object} attribution - { userId, name, shiftId, terminalId } from shiftAttribution
+ * @param {ClientSession} session
+ * @returns {Promise<{ quotation, order, repriced, priceChanges }>}
+ */
+async function convertQuotation(quotation, orderData, attribution, session) {
+  if (quotation.status !== 'Open') {
+    throw new HttpError(400, `Only open quotations can be converted (this one is ${quotation.status})`);
+  }
+
+  const repriced = quotation.validUntil < new Date();
+  let items = quotation.items.map(item => ({ sku: item.sku, name: item.name, qty: item.qty, price: item.price }));
+  const priceChanges = [];
+
+  if (repriced) {
+    const current = await priceQuotationItems(items, session);
+    items = items.map((item, index) => {
+      if (current[index].price !== item.price) {
+        priceChanges.push({ sku: item.sku, quoted: item.price, current: current[index].price });
+      }
+      return { ...item, price: current[index].price };
+    });
+  }
+
+  const order = await createOrder({
+    ...orderData,
+    items,
+    discount: quotation.discount,
+    extraCharges: quotation.extraCharges,
+    customerId: orderData.customerId || quotation.customerId,
+    customer: orderData.customer || quotation.customer
+  }, attribution, session, repriced ? {} : { priceAt: product => quotedPricingFor(quotation, product) });
+
+  quotation.status = 'Converted';
+  quotation.conversion = {
+    orderRef: order._id,
+    orderId: order.orderId,
+    invoiceNumber: order.invoiceNumber,
+    repriced,
+    convertedAt: new Date()
+  };
+
+  return { quotation, order, repriced, priceChanges };
+}
+
+module.exports = {
+  convertQuotation,
+  createQuotation,
+  priceQuotationItems,
+};
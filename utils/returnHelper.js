@@ -0,0 +1,473 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Return = require('../models/Return');
+const HttpError = require('./httpError');
+const { getNextFormattedNumber } = require('./counterHelper');
+const { round2 } = require('./gst');
+const { findRate, normalizePurity } = require('./pricing');
+const { adjustStock } = require('./stock');
+const { creditWallet, findWalletCustomer } = require('./wallet');
+const { businessDate } = require('./businessDate');
+
+/**
+ * Allowed status changes. 'Pending' and 'Completed' are legacy values from before
+ * the approval workflow and behave like Requested and Approved respectively.
+ * Approved returns become Refunded when they are settled, never through a status change.
+ */
+const RETURN_TRANSITIONS = {
+  Requested: ['Inspected', 'Rejected'],
+  Pending: ['Inspected', 'Rejected'],
+  Inspected: ['Approved', 'Rejected'],
+  Approved: [],
+  Completed: [],
+  Rejected: [],
+  Refunded: [],
+};
+
+/**
+ * True if a return may move from `from` to `to`.
+ */
+function canTransition(from, to) {
+  return (RETURN_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Bucket a returned piece goes to, from the free-text return type:
+ * anything mentioning melt goes to melt, repair/damage to repair, the rest back on sale.
+ */
+function bucketForReturnType(returnType) {
+  const type = String(returnType || '').toLowerCase();
+  if (type.includes('melt')) return 'melt';
+  if (type.includes('repair') || type.includes('damage')) return 'repair';
+  return 'sellable';
+}
+
+/**
+ * Find the order a return refers to by document id, order number or invoice number.
+ */
+async function findOrderForReturn(ref, session) {
+  const query = mongoose.Types.ObjectId.isValid(ref)
+    ? { _id: ref }
+    : { $or: [{ orderId: ref }, { invoiceNumber: ref }] };
+  return Order.findOne(query).session(session || null);
+}
+
+/**
+ * Taxable value and GST for `qty` pieces of the order line at `index`, after the order discount.
+ */
+function lineCredit(order, index, qty) {
+  const line = order.items[index];
+  const share = qty / (line.qty || 1);
+  const gstLine = order.gst?.lines?.[index];
+
+  if (gstLine) {
+    return {
+      taxableValue: round2((gstLine.metalValue + gstLine.makingValue) * share),
+      tax: round2((gstLine.metalTax + gstLine.makingTax) * share),
+    };
+  }
+
+  // Orders billed before server-side GST: spread the order's discount and tax by line value
+  const subtotal = order.subtotal || order.items.reduce((sum, item) => sum + (item.price || 0) * (item.qty || 1), 0);
+  const lineValue = (line.price || 0) * qty;
+  const discountFactor = subtotal > 0 ? (subtotal - (order.discount || 0)) / subtotal : 1;
+
+  return {
+    taxableValue: round2(lineValue * discountFactor),
+    tax: subtotal > 0 ? round2((order.tax || 0) * lineValue / subtotal) : 0,
+  };
+}
+
+/**
+ * Match requested { sku, qty, lineId? } entries to order lines, checking each
+ * against the quantity sold and not yet returned. Returns [{ index, qty }].
+ */
+function resolveReturnLines(order, requested) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new HttpError(400, 'Select at least one item to return');
+  }
+
+  const claimed = new Map(); // line index -> qty taken by earlier entries in this request
+  const available = (line, index) => (line.qty || 1) - (line.returnedQty || 0) - (claimed.get(index) || 0);
+
+  return requested.map(entry => {
+    const qty = entry.qty === undefined ? 1 : Number(entry.qty);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw new HttpError(400, `Invalid return quantity for ${entry.sku}`);
+    }
+
+    const matches = (line) => (entry.lineId ? String(line._id) === String(entry.lineId) : line.sku === entry.sku);
+    const index = order.items.findIndex((line, i) => matches(line) && available(line, i) >= qty);
+
+    if (index === -1) {
+      if (!order.items.some(matches)) {
+        throw new HttpError(400, `${entry.sku || entry.lineId} is not on invoice ${order.invoiceNumber}`);
+      }
+      throw new HttpError(409, `Cannot return ${qty} of ${entry.sku || entry.lineId}: more than was sold and not yet returned`);
+    }
+
+    claimed.set(index, (claimed.get(index) || 0) + qty);
+    return { index, qty };
+  });
+}
+
+/**
+ * Create a return request against an order inside `session`: validate the lines and
+ * mark them returned on the order so they cannot be claimed twice. The credit note is
+ * issued when the return is approved (see approveReturn).
+ *
+ * @param {Object} data - request body: orderId (or orderRef), items [{ sku, qty, lineId? }],
+ *                        returnReason, returnType, returnWeight, returnDate, returnTime
+ * @param {ClientSession} session
+ * @returns {Promise<{ returnDoc, order, orderBefore }>}
+ */
+async function createReturn(data, session) {
+  const order = await findOrderForReturn(data.orderRef || data.orderId, session);
+  if (!order) {
+    throw new HttpError(404, 'Original order not found');
+  }
+  if (order.status === 'cancelled') {
+    throw new HttpError(400, `Order ${order.invoiceNumber} has been cancelled`);
+  }
+
+  const orderBefore = order.toObject();
+  const lines = resolveReturnLines(order, data.items);
+
+  const items = lines.map(({ index, qty }) => {
+    const line = order.items[index];
+    const credit = lineCredit(order, index, qty);
+    line.returnedQty = (line.returnedQty || 0) + qty;
+
+    return {
+      lineId: line._id,
+      name: line.name,
+      price: line.price,
+      qty,
+      sku: line.sku,
+      hsnCode: line.hsnCode,
+      metalWeight: round2((line.metalWeight || 0) * qty),
+      metal: line.metal,
+      purity: line.purity,
+      taxableValue: credit.taxableValue,
+      tax: credit.tax,
+      amount: round2(credit.taxableValue + credit.tax),
+    };
+  });
+
+  const returnDoc = new Return({
+    orderId: order.orderId,
+    orderRef: order._id,
+    invoiceNumber: order.invoiceNumber,
+    customer: {
+      name: order.customer?.name,
+      phone: order.customer?.phone,
+      email: order.customer?.email,
+      gstNumber: order.customer?.gstNumber,
+    },
+    items,
+    grandTotal: round2(items.reduce((sum, item) => sum + item.amount, 0)),
+    returnReason: data.returnReason,
+    returnType: data.returnType,
+    returnWeight: data.returnWeight,
+    returnDate: data.returnDate,
+    returnTime: data.returnTime,
+    status: 'Requested',
+  });
+  await returnDoc.save({ session });
+  await order.save({ session });
+
+  return { returnDoc, order, orderBefore };
+}
+
+/**
+ * Issue a numbered credit note (CN/<year>/<seq>) for a return, reversing the
+ * proportional GST of its lines, and link it on the original order.
+ * The caller saves the return.
+ *
+ * @returns {Promise<{ order, orderBefore }>} order is null for legacy returns without orderRef
+ */
+async function issueCreditNote(returnDoc, session) {
+  if (returnDoc.creditNote?.number) return { order: null, orderBefore: null };
+
+  const order = returnDoc.orderRef
+    ? await Order.findById(returnDoc.orderRef).session(session || null)
+    : null;
+
+  const taxableValue = round2(returnDoc.items.reduce((sum, item) => sum + (item.taxableValue || 0), 0));
+  const totalTax = round2(returnDoc.items.reduce((sum, item) => sum + (item.tax || 0), 0));
+  const supplyType = order?.gst?.supplyType || 'intra';
+  const cgst = supplyType === 'intra' ? round2(totalTax / 2) : 0;
+
+  returnDoc.creditNote = {
+    number: await getNextFormattedNumber('CN', '/', session),
+    issuedAt: new Date(),
+    supplyType,
+    taxableValue,
+    cgst,
+    sgst: supplyType === 'intra' ? round2(totalTax - cgst) : 0,
+    igst: supplyType === 'inter' ? totalTax : 0,
+    totalTax,
+    amount: round2(taxableValue + totalTax),
+  };
+  returnDoc.grandTotal = returnDoc.creditNote.amount;
+
+  if (!order) return { order: null, orderBefore: null };
+
+  const orderBefore = order.toObject();
+  order.creditNotes.push({
+    returnId: returnDoc._id,
+    number: returnDoc.creditNote.number,
+    taxableValue,
+    totalTax,
+    amount: returnDoc.creditNote.amount,
+    issuedAt: returnDoc.creditNote.issuedAt,
+  });
+  await order.save({ session });
+
+  return { order, orderBefore };
+}
+
+/**
+ * Approve a return: record the approver, issue its credit note and put the pieces
+ * back into stock. Saves the return.
+ *
+ * @param {Object} approver - { userId, name }
+ * @returns {Promise<{ order, orderBefore }>} the original order as changed by the credit note
+ */
+async function approveReturn(returnDoc, approver, notes, session) {
+  returnDoc.status = 'Approved';
+  returnDoc.approval = { by: approver, at: new Date(), notes: notes || '' };
+
+  const result = await issueCreditNote(returnDoc, session);
+  await restockReturn(returnDoc, approver, session);
+  await returnDoc.save({ session });
+  return result;
+}
+
+/**
+ * Value a return's pieces by metal weight at today's rate, less the exchange
+ * deduction (percent from the "exchange" setting plus any flat `deductionAmount`).
+ */
+async function computeExchangeCredit(returnDoc, { deductionPercent, deductionAmount = 0 }, session) {
+  const lines = [];
+
+  for (const item of returnDoc.items) {
+    const metal = item.metal || 'gold';
+    const purity = normalizePurity(metal, item.purity);
+    const rate = await findRate(metal, purity, session);
+    if (!rate) {
+      throw new HttpError(400, `No ${metal}${purity ? ` ${purity}` : ''} rate set for today`);
+    }
+
+    lines.push({
+      sku: item.sku,
+      metal,
+      purity,
+      weight: item.metalWeight || 0,
+      ratePerGram: rate.price,
+      value: round2((item.metalWeight || 0) * rate.price),
+    });
+  }
+
+  const weight = round2(lines.reduce((sum, line) => sum + line.weight, 0));
+  const grossValue = round2(lines.reduce((sum, line) => sum + line.value, 0));
+  const deduction = round2(grossValue * deductionPercent / 100 + (Number(deductionAmount) || 0));
+
+  return {
+    weight,
+    grossValue,
+    deductionPercent,
+    deduction,
+    credit: round2(Math.max(grossValue - deduction, 0)),
+    lines,
+  };
+}
+
+/**
+ * Put an approved return's pieces back into stock (once), routed to the bucket for
+ * its return type, with a 'return' stock movement per line. Products deleted since
+ * the sale are skipped. Saves the return with `restocked` set.
+ */
+async function restockReturn(returnDoc, user, session) {
+  if (returnDoc.restocked) return returnDoc;
+
+  const bucket = bucketForReturnType(returnDoc.returnType);
+  const reference = { kind: 'Return', id: returnDoc._id, number: returnDoc.creditNote?.number || returnDoc.orderId };
+
+  for (const item of returnDoc.items) {
+    if (!item.sku || !(await Product.exists({ sku: item.sku }).session(session || null))) continue;
+
+    await adjustStock({
+      sku: item.sku,
+      change: item.qty || 1,
+      type: 'return',
+      reason: `Returned against ${returnDoc.invoiceNumber || returnDoc.orderId} (${returnDoc.returnType})`,
+      reference,
+      user,
+      bucket,
+      session,
+    });
+    item.bucket = bucket;
+  }
+
+  returnDoc.restocked = true;
+  returnDoc.restockedAt = new Date();
+  await returnDoc.save({ session });
+  return returnDoc;
+}
+
+/**
+ * Work out how much of an approved return can be paid back under the refund policy.
+ * Wastage and making charges are taken from the original order lines, pro rata to
+ * the quantity returned.
+ */
+async function computeRefundSummary(returnDoc, policy, session) {
+  const order = returnDoc.orderRef
+    ? await Order.findById(returnDoc.orderRef).session(session || null)
+    : null;
+
+  let wastageValue = 0;
+  let makingValue = 0;
+
+  returnDoc.items.forEach(item => {
+    const line = order?.items.id(item.lineId);
+    if (!line) return;
+
+    const qty = item.qty || 1;
+    const making = (line.makingCharges || 0) * qty;
+    // Sale price = metal value x (1 + wastage%) + making + stones, so back out the wastage part
+    const metalWithWastage = Math.max((line.price || 0) * qty - making - (line.stonePrice || 0) * qty, 0);
+    const wastagePercent = line.wastage || 0;
+
+    makingValue += making;
+    wastageValue += metalWithWastage * wastagePercent / (100 + wastagePercent);
+  });
+
+  const eligibleAmount = returnDoc.creditNote?.amount ?? returnDoc.grandTotal ?? 0;
+  const wastageDeduction = round2(wastageValue * policy.wastageDeductionPercent / 100);
+  const makingDeduction = round2(makingValue * policy.makingDeductionPercent / 100);
+  const otherDeduction = round2(eligibleAmount * policy.otherDeductionPercent / 100);
+
+  return {
+    eligibleAmount: round2(eligibleAmount),
+    wastageDeduction,
+    makingDeduction,
+    otherDeduction,
+    refundableAmount: round2(Math.max(eligibleAmount - wastageDeduction - makingDeduction - otherDeduction, 0)),
+    refundedAmount: 0,
+  };
+}
+
+/**
+ * Record a (possibly partial) refund on an approved return. The first refund fixes
+ * the refund summary from `policy`; once the refundable amount is paid out the
+ * return moves to Refunded. The caller saves the return.
+ *
+ * @param {Object} refund - { method, amount, reference, notes, date, goldRatePerGram, customerId }
+ * @param {Object} by - { userId, name, shiftId }
+ * @returns {Promise<Object>} the refund entry
+ */
+async function recordRefund(returnDoc, refund, policy, by, session) {
+  if (!['Approved', 'Completed'].includes(returnDoc.status)) {
+    throw new HttpError(400, `Refunds can only be made on approved returns (this one is ${returnDoc.status})`);
+  }
+
+  if (typeof returnDoc.refundSummary?.refundableAmount !== 'number') {
+    returnDoc.refundSummary = await computeRefundSummary(returnDoc, policy, session);
+  }
+
+  const summary = returnDoc.refundSummary;
+  const balance = round2(summary.refundableAmount - (summary.refundedAmount || 0));
+  const amount = round2(refund.amount);
+
+  if (amount > balance) {
+    throw new HttpError(400, `Refund exceeds the balance of ₹${balance}`, { refundSummary: summary, balance });
+  }
+
+  const entry = {
+    method: refund.method,
+    amount,
+    reference: refund.reference || '',
+    notes: refund.notes || '',
+    date: refund.date || businessDate(),
+    refundedAt: new Date(),
+    refundedBy: { userId: by.userId, name: by.name },
+    shiftId: by.shiftId,
+  };
+
+  if (refund.method === 'gold_credit') {
+    if (!(refund.goldRatePerGram > 0)) {
+      throw new HttpError(400, 'Gold rate per gram is required for a gold credit refund');
+    }
+    entry.goldCredit = {
+      ratePerGram: refund.goldRatePerGram,
+      weight: Math.round((amount / refund.goldRatePerGram) * 1000) / 1000,
+    };
+  }
+
+  if (refund.method === 'store_credit') {
+    const customer = await findWalletCustomer({ customerId: refund.customerId, phone: returnDoc.customer?.phone }, session);
+    if (!customer) {
+      throw new HttpError(400, 'Store credit refunds need a registered customer');
+    }
+
+    const { transaction } = await creditWallet({
+      customerId: customer._id,
+      amount,
+      source: 'refund',
+      reference: { kind: 'Return', id: returnDoc._id, number: returnDoc.creditNote?.number },
+      user: entry.refundedBy,
+      session,
+    });
+    entry.walletTransactionId = transaction._id;
+  }
+
+  returnDoc.refunds.push(entry);
+  summary.refundedAmount = round2((summary.refundedAmount || 0) + amount);
+
+  if (summary.refundedAmount >= summary.refundableAmount) {
+    returnDoc.statusHistory.push({ from: returnDoc.status, to: 'Refunded', note: 'Fully refunded', by: entry.refundedBy });
+    returnDoc.status = 'Refunded';
+  }
+
+  return returnDoc.refunds[returnDoc.refunds.length - 1];
+}
+
+/**
+ * Undo a return's effect on its order (returned quantities and credit note link)
+ * when the return is rejected or deleted. Returns the updated order, or null for
+ * legacy returns and returns already rejected (their lines were released then).
+ */
+async function reverseReturn(returnDoc, session) {
+  if (!returnDoc.orderRef || returnDoc.status === 'Rejected') return null;
+
+  const order = await Order.findById(returnDoc.orderRef).session(session || null);
+  if (!order) return null;
+
+  returnDoc.items.forEach(item => {
+    const line = order.items.id(item.lineId);
+    if (line) line.returnedQty = Math.max((line.returnedQty || 0) - (item.qty || 0), 0);
+  });
+  order.creditNotes = order.creditNotes.filter(note => String(note.returnId) !== String(returnDoc._id));
+
+  await order.save({ session });
+  return order;
+}
+
+module.exports = {
+  RETURN_TRANSITIONS,
+  approveReturn,
+  bucketForReturnType,
+  canTransition,
+  computeRefundSummary,
+  computeExchangeCredit,
+  createReturn,
+  findOrderForReturn,
+  issueCreditNote,
+  recordRefund,
+  lineCredit,
+  resolveReturnLines,
+  restockReturn,
+  reverseReturn,
+};
@@ -0,0 +1,128 @@
+const Setting = require('../models/Setting');
+
+/**
+ * Defaults for every known setting key. Stored values are merged over these,
+ * so a key works before anyone has saved it and new fields pick up defaults.
+ */
+const SETTING_DEFAULTS = {
+  gst: {
+    metalRate: 3, // percent on metal (and stone) value
+    makingRate: 5, // percent on making charges
+    defaultHsnCode: '7113',
+    makingHsnCode: '9988',
+    shopGstin: '',
+    shopStateCode: '', // first two digits of the shop GSTIN when blank
+    tolerance: 1, // rupees of rounding difference accepted from the counter
+  },
+  refundPolicy: {
+    wastageDeductionPercent: 100, // share of the wastage charged at sale that is not refunded
+    makingDeductionPercent: 100, // share of the making charges that is not refunded
+    otherDeductionPercent: 0, // flat percent of the credit note kept as a handling fee
+  },
+  exchange: {
+    deductionPercent: 2, // taken off the metal value of pieces brought back for exchange
+  },
+  booking: {
+    validityDays: 30, // days a booking stays open when none is given
+    maxValidityDays: 180,
+    rateLockDays: 7, // days the locked rate holds when none is given
+    maxRateLockDays: 30,
+    minAdvanceAmount: 0,
+    expiryPolicy: 'refund', // refund | forfeit | store_credit, applied when a booking expires
+    forfeitPercent: 0, // share of the advance kept on expiry under refund / store_credit
+  },
+  pricing: {
+    mode: 'validate', // validate: reject line prices off by more than the tolerance | server: always bill the computed price | off: trust the counter
+    tolerance: 1, // rupees per piece
+  },
+  draftOrder: {
+    holdMinutes: 30, // how long a parked bill keeps its SKUs from other counters
+  },
+  quotation: {
+    validityDays: 7, // days the quoted prices are honoured when none is given
+    maxValidityDays: 30,
+  },
+  invoice: {
+    title: 'TAX INVOICE',
+    shopName: '',
+    addressLines: [],
+    phone: '',
+    email: '',
+    logoPath: '', // local file, e.g. uploads/logo.png
+    currencyLabel: 'Rs.', // the built-in PDF fonts have no rupee glyph
+    showKyc: true, // Aadhaar / PAN on the invoice
+    footerNote: 'Thank you for your purchase!',
+    terms: [],
+    signatureLabel: 'Authorised Signatory',
+  },
+};
+
+// Fields that only take one of a fixed set of values
+const SETTING_CHOICES = {
+  booking: { expiryPolicy: ['refund', 'forfeit', 'store_credit'] },
+  pricing: { mode: ['validate', 'server', 'off'] },
+};
+
+/**
+ * Problems with a submitted value for `key`: each field must have the type of
+ * its default, numbers must be zero or more (percentages at most 100) and
+ * fields with fixed choices must use one of them.
+ *
+ * @returns {string[]} empty when the value can be saved
+ */
+function settingErrors(key, value = {}) {
+  const defaults = SETTING_DEFAULTS[key];
+  const errors = [];
+
+  for (const [field, given] of Object.entries(value)) {
+    const expected = defaults[field];
+    const choices = SETTING_CHOICES[key]?.[field];
+
+    if (Array.isArray(expected)) {
+      if (!Array.isArray(given) || given.some(entry => typeof entry !== 'string')) {
+        errors.push(`${field} must be a list of text values`);
+      }
+    } else if (typeof expected === 'number') {
+      if (typeof given !== 'number' || !Number.isFinite(given) || given < 0) {
+        errors.push(`${field} must be a number of zero or more`);
+      } else if (/(Percent|Rate)$/.test(field) && given > 100) {
+        errors.push(`${field} cannot be more than 100`);
+      }
+    } else if (typeof given !== typeof expected) {
+      errors.push(`${field} must be ${typeof expected === 'boolean' ? 'true or false' : 'text'}`);
+    } else if (choices && !choices.includes(given)) {
+      errors.push(`${field} must be one of: ${choices.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load a setting merged over its defaults.
+ */
+async function getSetting(key) {
+  const stored = await Setting.findOne({ key }).lean();
+  return { ...(SETTING_DEFAULTS[key] || {}), ...(stored?.value || {}) };
+}
+
+/**
+ * Merge `value` into the stored setting and return the full, defaulted result.
+ */
+async function updateSetting(key, value, user) {
+  const current = await getSetting(key);
+  const merged = { ...current, ...value };
+  await Setting.findOneAndUpdate(
+    { key },
+    { value: merged, updatedBy: user },
+    { upsert: true, new: true, runValidators: true }
+  );
+  return merged;
+}
+
+module.exports = {
+  SETTING_DEFAULTS,
+  getSetting,
+  settingErrors,
+  updateSetting,
+};
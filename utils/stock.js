@@ -0,0 +1,129 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const HttpError = require('./httpError');
+
+// Products saved before stock tracking have no `stock`; treat them as 1 if available, else 0
+const CURRENT_STOCK = { $ifNull: ['$stock', { $cond: ['$available', 1, 0] }] };
+
+// Only pieces in the sellable bucket (the default) can be offered for sale
+const IS_AVAILABLE = {
+  $and: [
+    { $gt: ['$stock', 0] },
+    { $eq: [{ $ifNull: ['$bucket', 'sellable'] }, 'sellable'] }
+  ]
+};
+
+/**
+ * Atomically change a product's stock by `change` (negative to take stock out),
+ * re-derive `available`, and record a StockMovement. Throws HttpError 409 if the
+ * product does not have enough stock, 404 if it does not exist.
+ *
+ * @param {Object} options
+ * @param {string} [options.sku]
+ * @param {string} [options.productId]
+ * @param {number} options.change
+ * @param {string} options.type - sale | return | adjustment | transfer | reservation
+ * @param {string} [options.reason]
+ * @param {Object} [options.reference] - { kind, id, number }
+ * @param {Object} [options.user] - { userId, name }
+ * @param {string} [options.bucket] - move the product to this bucket (sellable | melt | repair)
+ * @param {ClientSession} [options.session]
+ */
+async function adjustStock({ sku, productId, change, type, reason = '', reference, user, bucket, session }) {
+  const filter = productId ? { _id: productId } : { sku };
+  if (change < 0) {
+    filter.$expr = { $gte: [CURRENT_STOCK, -change] };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    filter,
+    [
+      { $set: { stock: { $add: [CURRENT_STOCK, change] }, ...(bucket ? { bucket } : {}) } },
+      { $set: { available: IS_AVAILABLE } }
+    ],
+    { new: true, session }
+  );
+
+  if (!product) {
+    const exists = await Product.exists(productId ? { _id: productId } : { sku }).session(session || null);
+    if (!exists) {
+      throw new HttpError(404, `Product not found for SKU ${sku || productId}`);
+    }
+    throw new HttpError(409, `Insufficient stock for ${sku || productId}`);
+  }
+
+  const [movement] = await StockMovement.create([{
+    productId: product._id,
+    sku: product.sku,
+    type,
+    quantity: change,
+    balanceAfter: product.stock,
+    reason,
+    reference,
+    user
+  }], { session });
+
+  return { product, movement };
+}
+
+/**
+ * Set a product's stock to an absolute quantity, recording the difference as an adjustment.
+ * Pass `bucket` to move the product between sellable/melt/repair at the same time.
+ */
+async function setStock({ productId, sku, quantity, reason, reference, user, bucket, session }) {
+  const product = await Product.findOne(productId ? { _id: productId } : { sku }).session(session || null);
+  if (!product) {
+    throw new HttpError(404, `Product not found for SKU ${sku || productId}`);
+  }
+
+  const current = product.stock ?? (product.available ? 1 : 0);
+  if (quantity === current && (!bucket || bucket === product.bucket)) {
+    return { product, movement: null };
+  }
+
+  return adjustStock({
+    productId: product._id,
+    change: quantity - current,
+    type: 'adjustment',
+    reason,
+    reference,
+    user,
+    bucket,
+    session
+  });
+}
+
+/**
+ * Move a product to another location without changing its quantity.
+ */
+async function transferStock({ productId, toLocation, reason = '', user, session }) {
+  const product = await Product.findById(productId).session(session || null);
+  if (!product) {
+    throw new HttpError(404, 'Product not found');
+  }
+
+  const fromLocation = product.location;
+  product.location = toLocation;
+  await product.save({ session });
+
+  const [movement] = await StockMovement.create([{
+    productId: product._id,
+    sku: product.sku,
+    type: 'transfer',
+    quantity: product.stock,
+    balanceAfter: product.stock,
+    reason,
+    fromLocation,
+    toLocation,
+    user
+  }], { session });
+
+  return { product, movement };
+}
+
+module.exports = {
+  CURRENT_STOCK,
+  adjustStock,
+  setStock,
+  transferStock
+};
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const WalletTransaction = require('../models/WalletTransaction');
+const HttpError = require('./httpError');
+const { round2 } = require('./gst');
+
+/**
+ * Find the customer whose wallet to use, by id or (for orders and returns, which
+ * only copy customer details) by phone number.
+ */
+async function findWalletCustomer({ customerId, phone }, session) {
+  if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+    return Customer.findById(customerId).session(session || null);
+  }
+  if (phone) {
+    return Customer.findOne({ phone: String(phone).trim() }).session(session || null);
+  }
+  return null;
+}
+
+/**
+ * Atomically add (positive) or take (negative) store credit and record a
+ * WalletTransaction. Throws HttpError 409 if the balance would go below zero.
+ *
+ * @param {Object} options
+ * @param {string} options.customerId
+ * @param {number} options.change
+ * @param {string} options.source - refund | exchange | advance | booking | order | order_reversal | adjustment
+ * @param {Object} [options.reference] - { kind, id, number }
+ * @param {string} [options.notes]
+ * @param {Object} [options.user] - { userId, name }
+ * @param {Object} [options.payment] - { method, date, shiftId } for money paid in at the counter
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{ customer, transaction }>}
+ */
+async function changeWallet({ customerId, change, source, reference, notes = '', user, payment, session }) {
+  const amount = round2(change);
+  if (amount === 0) {
+    throw new HttpError(400, 'Wallet amount must not be zero');
+  }
+
+  const filter = { _id: customerId };
+  if (amount < 0) {
+    filter.walletBalance = { $gte: -amount };
+  }
+
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    { $inc: { walletBalance: amount } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const existing = await Customer.findById(customerId).session(session || null);
+    if (!existing) {
+      throw new HttpError(404, 'Customer not found');
+    }
+    throw new HttpError(409, `Insufficient store credit: balance is ₹${existing.walletBalance || 0}`);
+  }
+
+  const [transaction] = await WalletTransaction.create([{
+    customerId: customer._id,
+    type: amount > 0 ? 'credit' : 'debit',
+    amount: Math.abs(amount),
+    balanceAfter: round2(customer.walletBalance),
+    source,
+    reference,
+    notes,
+    ...payment,
+    user,
+  }], { session });
+
+  return { customer, transaction };
+}
+
+/**
+ * Add store credit to a customer's wallet.
+ */
+function creditWallet(options) {
+  return changeWallet({ ...options, change: Math.abs(options.amount) });
+}
+
+/**
+ * Spend store credit from a customer's wallet.
+ */
+function debitWallet(options) {
+  return changeWallet({ ...options, change: -Math.abs(options.amount) });
+}
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  findWalletCustomer,
+};